@@ -5,12 +5,21 @@ const axios = require('axios');
 const dotenv = require('dotenv');
 const mongoose = require('mongoose');
 const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
 const { Server } = require('socket.io');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const { DocumentProcessorServiceClient } = require('@google-cloud/documentai');
-const { Storage } = require('@google-cloud/storage');
 const multer = require('multer');
+const ExcelJS = require('exceljs');
+const archiver = require('archiver');
+const { STORAGE_URL_TTL, isValidStorageKey, contentDisposition, createStorage } = require('./storage');
 
 // Load environment variables
 dotenv.config();
@@ -21,6 +30,12 @@ if (!fs.existsSync(mediaDir)) {
     fs.mkdirSync(mediaDir, { recursive: true });
 }
 
+// Finished transcript exports, and their working directories while they are built
+const exportsDir = path.join(__dirname, 'exports');
+if (!fs.existsSync(exportsDir)) {
+    fs.mkdirSync(exportsDir, { recursive: true });
+}
+
 // Create Express app and server
 const app = express();
 const server = http.createServer(app);
@@ -39,22 +54,177 @@ const PORT = process.env.PORT || 8000;
 const WHAPI_TOKEN = process.env.WHAPI_TOKEN;
 const WHAPI_BASE_URL = process.env.WHAPI_BASE_URL;
 const MONGODB_URI = process.env.MONGODB_URI;
+const WHAPI_WEBHOOK_SECRET = process.env.WHAPI_WEBHOOK_SECRET;
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE) || 50 * 1024 * 1024;
+const HISTORY_BACKFILL_LIMIT = parseInt(process.env.HISTORY_BACKFILL_LIMIT) || 5000;
+const DOCUMENT_JOB_CONCURRENCY = parseInt(process.env.DOCUMENT_JOB_CONCURRENCY) || 2;
+const DOCUMENT_JOB_MAX_ATTEMPTS = parseInt(process.env.DOCUMENT_JOB_MAX_ATTEMPTS) || 5;
+const DOCUMENT_JOB_RETRY_BASE_MS = parseInt(process.env.DOCUMENT_JOB_RETRY_BASE_MS) || 5000;
+const DOCUMENT_JOB_STALE_MS = 10 * 60 * 1000;
+const WHAPI_TIMEOUT_MS = parseInt(process.env.WHAPI_TIMEOUT_MS) || 15000;
+const WHAPI_MAX_RETRIES = process.env.WHAPI_MAX_RETRIES ? parseInt(process.env.WHAPI_MAX_RETRIES) || 0 : 3;
+const WHAPI_RETRY_BASE_MS = parseInt(process.env.WHAPI_RETRY_BASE_MS) || 500;
+const WHAPI_MAX_THROTTLE_WAIT_MS = parseInt(process.env.WHAPI_MAX_THROTTLE_WAIT_MS) || 10000;
+const WHAPI_CIRCUIT_THRESHOLD = parseInt(process.env.WHAPI_CIRCUIT_THRESHOLD) || 5;
+const WHAPI_CIRCUIT_RESET_MS = parseInt(process.env.WHAPI_CIRCUIT_RESET_MS) || 30000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+const WEBHOOK_CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY) || 4;
+// Lets webhooks reach loopback/private addresses; only for local development
+const WEBHOOK_ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+const TRANSCRIPT_EXPORT_TTL_HOURS = parseInt(process.env.TRANSCRIPT_EXPORT_TTL_HOURS) || 72;
+const TRANSCRIPT_LINK_TTL = parseInt(process.env.TRANSCRIPT_LINK_TTL) || 60 * 60;
+// Stemming language for the search indexes; changing it requires dropping the *_search indexes
+const SEARCH_LANGUAGE = process.env.SEARCH_LANGUAGE || 'english';
 
 // Middleware
-app.use(cors());
+// Behind a proxy set TRUST_PROXY (true or a hop count) so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+app.use(cors({ exposedHeaders: ['X-Total-Count', 'Retry-After'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// File uploads are kept in memory and forwarded to Whapi
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_SIZE }
+});
+
 // Make io accessible to routes
 app.use((req, res, next) => {
     req.io = io;
     next();
 });
 
+// ----------------Metrics-----------------------------------------------------
+// Minimal Prometheus registry, rendered in the text exposition format at /metrics
+const metricRegistry = [];
+
+const formatMetricLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    const escaped = entries.map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return `{${escaped.join(',')}}`;
+};
+
+const createCounter = (name, help) => {
+    const values = new Map();
+    const counter = {
+        inc: (labels = {}, amount = 1) => {
+            const key = formatMetricLabels(labels);
+            values.set(key, (values.get(key) || 0) + amount);
+        },
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} counter`,
+            ...[...values].map(([key, value]) => `${name}${key} ${value}`)
+        ]
+    };
+    metricRegistry.push(counter);
+    return counter;
+};
+
+// Gauges are read when /metrics is scraped; collect returns [{ labels, value }]
+const createGauge = (name, help, collect) => {
+    const gauge = {
+        render: async () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} gauge`,
+            ...(await collect()).map(({ labels = {}, value }) => `${name}${formatMetricLabels(labels)} ${value}`)
+        ]
+    };
+    metricRegistry.push(gauge);
+    return gauge;
+};
+
+const createHistogram = (name, help, buckets) => {
+    const series = new Map();
+    const histogram = {
+        observe: (labels, value) => {
+            const key = JSON.stringify(labels);
+            if (!series.has(key)) {
+                series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+            }
+            const entry = series.get(key);
+            buckets.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index] += 1;
+            });
+            entry.sum += value;
+            entry.count += 1;
+        },
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} histogram`,
+            ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                ...buckets.map((bound, index) => `${name}_bucket${formatMetricLabels({ ...labels, le: bound })} ${counts[index]}`),
+                `${name}_bucket${formatMetricLabels({ ...labels, le: '+Inf' })} ${count}`,
+                `${name}_sum${formatMetricLabels(labels)} ${sum}`,
+                `${name}_count${formatMetricLabels(labels)} ${count}`
+            ])
+        ]
+    };
+    metricRegistry.push(histogram);
+    return histogram;
+};
+
+const renderMetrics = async () => {
+    const sections = await Promise.all(metricRegistry.map(metric => metric.render()));
+    return `${sections.flat().join('\n')}\n`;
+};
+
+const httpRequestDuration = createHistogram(
+    'http_request_duration_seconds',
+    'HTTP request latency by route',
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+const whapiRequestsTotal = createCounter('whapi_requests_total', 'Whapi API calls, including retries');
+const whapiErrorsTotal = createCounter('whapi_errors_total', 'Failed Whapi API calls by error code');
+const documentJobsTotal = createCounter('document_jobs_total', 'Document jobs finished by outcome (succeeded, failed, retried)');
+const webhookDeliveriesTotal = createCounter('webhook_deliveries_total', 'Webhook delivery attempts by outcome (succeeded, failed, retried)');
+createGauge('socketio_connected_clients', 'Connected Socket.io clients', () => [{ value: io.engine.clientsCount }]);
+createGauge('whapi_circuit_open', 'Whether the Whapi circuit breaker for a channel is open', () =>
+    [...whapiCircuits.values()].map(circuit => ({ labels: { channel: circuit.label }, value: circuit.state === 'open' ? 1 : 0 })));
+createGauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => [{ value: process.memoryUsage().rss }]);
+createGauge('process_uptime_seconds', 'Seconds since the server started', () => [{ value: Math.round(process.uptime()) }]);
+
+// Latency is labelled with the matched route pattern (not the raw URL) to keep cardinality bounded
+app.use((req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        httpRequestDuration.observe(
+            { method: req.method, route, status: res.statusCode },
+            Number(process.hrtime.bigint() - start) / 1e9
+        );
+    });
+    next();
+});
+
 // ----------------MongoDB Connection------------------------------------------
-mongoose.connect(MONGODB_URI)
-    .then(() => console.log('Connected to MongoDB'))
-    .catch(err => console.error('MongoDB connection error:', err));
+// Only when run as the server; tests require this file for its helpers
+if (require.main === module) {
+    mongoose.connect(MONGODB_URI)
+        .then(async () => {
+            console.log('Connected to MongoDB');
+            await ensureDefaultChannel();
+            repairChatAssignments()
+                .then(repair => {
+                    if (repair.duplicatesResolved || repair.chatsUpdated) {
+                        console.log('Repaired chat assignments:', repair);
+                    }
+                })
+                .catch(error => console.error('Error repairing chat assignments:', error.message));
+            backfillDocumentSearchText()
+                .then(updated => {
+                    if (updated) console.log(`Indexed ${updated} documents for search`);
+                })
+                .catch(error => console.error('Error indexing documents for search:', error.message));
+        })
+        .catch(err => console.error('MongoDB connection error:', err));
+}
 
 // MongoDB Schemas
 const organizationSchema = new mongoose.Schema({
@@ -64,6 +234,66 @@ const organizationSchema = new mongoose.Schema({
     },
     description: String,
     chatIds: [String],
+    // Extraction provider for this organization's documents (see extractionProviders)
+    extractionProvider: String,
+    // Media posted in this organization's chats that matches a rule is analyzed automatically
+    ingestionRules: [{
+        name: String,
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        mediaTypes: [String],
+        mimeTypes: [String],
+        senders: [String],
+        // Glob over the whole file name, e.g. '*invoice*.pdf'
+        fileNamePattern: String,
+        maxSize: Number,
+        documentType: String,
+        includeOwnMessages: {
+            type: Boolean,
+            default: false
+        }
+    }],
+    // Chats no organization lists yet go to the first organization with a matching rule
+    assignmentRules: [{
+        name: String,
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        chatType: {
+            type: String,
+            enum: ['any', 'individual', 'group'],
+            default: 'any'
+        },
+        // Glob over the whole group subject, e.g. 'ACME *'
+        groupSubjectPattern: String,
+        // Phone number prefixes, e.g. '44' for UK numbers
+        participantPrefixes: [String],
+        // WhatsApp ID domains, e.g. 'lid' or 's.whatsapp.net'
+        participantDomains: [String],
+        // Phone numbers or WhatsApp IDs
+        contacts: [String]
+    }],
+    // Saved column layouts for document exports (see Document export)
+    exportMappings: [{
+        name: {
+            type: String,
+            required: true
+        },
+        rows: {
+            type: String,
+            enum: ['document', 'lineItem'],
+            default: 'document'
+        },
+        documentType: String,
+        columns: [{
+            _id: false,
+            header: String,
+            source: String
+        }]
+    }],
     createdAt: {
         type: Date,
         default: Date.now
@@ -85,17 +315,47 @@ const chatSchema = new mongoose.Schema({
         default: false
     },
     participants: [String],
+    // Group admins among the participants, and the group description
+    groupAdmins: [String],
+    description: String,
     profilePicture: String,
+    // Mirror of Organization.chatIds, maintained by assignChats/repairChatAssignments
     organization: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Organization'
     },
+    assignmentSource: {
+        type: String,
+        enum: ['manual', 'rule']
+    },
+    lastMessageAt: Date,
+    unreadCount: {
+        type: Number,
+        default: 0
+    },
+    historySyncedAt: Date,
+    // Set by the chat sync: when Whapi last listed the chat, and when it stopped listing it
+    syncedAt: Date,
+    removedAt: Date,
+    // Channel the chat was last seen on. Chat IDs are unique per deployment, so a contact
+    // talking to two of our numbers shares one chat record.
+    channel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Channel'
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+chatSchema.index({ isGroup: 1, lastMessageAt: -1 });
+chatSchema.index({ channel: 1, syncedAt: 1 });
+chatSchema.index(
+    { name: 'text', description: 'text' },
+    { name: 'chat_search', weights: { name: 10, description: 2 }, default_language: SEARCH_LANGUAGE }
+);
+
 const messageSchema = new mongoose.Schema({
     messageId: {
         type: String,
@@ -106,7 +366,16 @@ const messageSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    channel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Channel'
+    },
     sender: String,
+    senderName: String,
+    fromMe: {
+        type: Boolean,
+        default: false
+    },
     content: String,
     mediaType: {
         type: String,
@@ -114,12 +383,43 @@ const messageSchema = new mongoose.Schema({
         default: 'none'
     },
     mediaUrl: String,
+    mediaId: String,
+    mimeType: String,
+    fileName: String,
+    fileSize: Number,
+    quotedMessageId: String,
+    // Campaign that sent this message
+    campaign: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign'
+    },
+    reactions: [{
+        emoji: String,
+        sender: String,
+        fromMe: Boolean,
+        timestamp: Date
+    }],
+    status: {
+        type: String,
+        enum: ['pending', 'sent', 'delivered', 'read', 'played', 'failed'],
+        default: 'sent'
+    },
+    error: String,
     timestamp: {
         type: Date,
         default: Date.now
     }
 });
 
+// History is always read per chat in timestamp order
+messageSchema.index({ chatId: 1, timestamp: -1, _id: -1 });
+messageSchema.index({ chatId: 1, sender: 1, timestamp: -1 });
+messageSchema.index({ chatId: 1, mediaType: 1, timestamp: -1 });
+messageSchema.index(
+    { content: 'text', fileName: 'text', senderName: 'text' },
+    { name: 'message_search', weights: { content: 10, fileName: 5, senderName: 2 }, default_language: SEARCH_LANGUAGE }
+);
+
 const documentSchema = new mongoose.Schema({
     originalMessageId: {
         type: String,
@@ -129,16 +429,161 @@ const documentSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    mediaId: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    channel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Channel'
+    },
+    // Original file in object storage (fileUrl is its storage URI, not a download link)
     fileUrl: String,
+    storageKey: String,
     fileType: String,
     fileName: String,
     rawText: String,
+    parsedData: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    confidence: Number,
+    provider: String,
+    processorVersion: String,
+    documentType: String,
+    // Typed fields for the document type: { name: { value, text, confidence, boundingBox } }
+    fields: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    lineItems: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    // Typed field and line item values as plain text, for the search index
+    searchText: String,
+    validationErrors: [{
+        _id: false,
+        field: String,
+        code: String,
+        message: String
+    }],
+    status: {
+        type: String,
+        enum: ['draft', 'needs_review', 'reviewed', 'approved', 'rejected'],
+        default: 'draft'
+    },
+    reviewReasons: [String],
+    // Every reviewer edit, in order
+    corrections: [{
+        field: String,
+        oldValue: mongoose.Schema.Types.Mixed,
+        newValue: mongoose.Schema.Types.Mixed,
+        by: String,
+        at: Date
+    }],
+    statusHistory: [{
+        _id: false,
+        from: String,
+        to: String,
+        by: String,
+        comment: String,
+        at: Date
+    }],
+    reviewedBy: String,
+    reviewedAt: Date,
+    // Earlier analysis results, oldest first, kept when a document is re-analyzed
+    history: [{
+        parsedData: mongoose.Schema.Types.Mixed,
+        documentType: String,
+        fields: mongoose.Schema.Types.Mixed,
+        lineItems: [mongoose.Schema.Types.Mixed],
+        rawText: String,
+        confidence: Number,
+        provider: String,
+        processorVersion: String,
+        processedAt: Date
+    }],
     processedAt: {
         type: Date,
         default: Date.now
     }
 });
 
+const documentJobSchema = new mongoose.Schema({
+    mediaId: {
+        type: String,
+        required: true
+    },
+    chatId: String,
+    messageId: String,
+    reanalyze: {
+        type: Boolean,
+        default: false
+    },
+    source: {
+        type: String,
+        enum: ['manual', 'ingestion-rule'],
+        default: 'manual'
+    },
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+    },
+    ingestionRule: mongoose.Schema.Types.ObjectId,
+    // Who asked for the job; re-analyses are audited in their name
+    requestedBy: {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        email: String
+    },
+    documentType: String,
+    provider: String,
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'succeeded', 'failed'],
+        default: 'queued'
+    },
+    stage: String,
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5
+    },
+    error: String,
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document'
+    },
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    startedAt: Date,
+    // Refreshed while a worker runs the job; a stale heartbeat means the worker went away
+    heartbeatAt: Date,
+    finishedAt: Date
+}, { timestamps: true });
+
+documentSchema.index({ status: 1, processedAt: 1 });
+documentSchema.index(
+    { searchText: 'text', rawText: 'text', fileName: 'text', documentType: 'text' },
+    { name: 'document_search', weights: { searchText: 10, fileName: 5, documentType: 5, rawText: 3 }, default_language: SEARCH_LANGUAGE }
+);
+
+documentSchema.pre('save', function () {
+    this.searchText = documentSearchText(this);
+});
+
+documentJobSchema.index({ status: 1, runAt: 1 });
+documentJobSchema.index({ mediaId: 1, status: 1 });
+
 const systemInfoSchema = new mongoose.Schema({
     whatsappAccount: String,
     profileIcon: String,
@@ -150,704 +595,8401 @@ const systemInfoSchema = new mongoose.Schema({
         groups: Number,
         documents: Number
     },
+    channels: [{
+        _id: false,
+        channel: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Channel'
+        },
+        label: String,
+        whatsappAccount: String,
+        profileIcon: String,
+        status: String,
+        error: String,
+        chats: Number,
+        groups: Number
+    }],
     lastUpdated: {
         type: Date,
         default: Date.now
     }
 });
 
-// Create models
-const Organization = mongoose.model('Organization', organizationSchema);
-const Chat = mongoose.model('Chat', chatSchema);
-const Message = mongoose.model('Message', messageSchema);
-const Document = mongoose.model('Document', documentSchema);
-const SystemInfo = mongoose.model('SystemInfo', systemInfoSchema);
-
-// Utility function to make Whapi API calls
-const whapiRequest = async (endpoint, method = 'get', data = null) => {
-    try {
-        const config = {
-            method,
-            url: `${WHAPI_BASE_URL}${endpoint}`,
-            headers: {
-                'Authorization': `Bearer ${WHAPI_TOKEN}`,
-                'Content-Type': 'application/json'
-            }
-        };
-
-        if (data && (method === 'post' || method === 'put')) {
-            config.data = data;
-        }
-
-        const response = await axios(config);
-        return response.data;
-    } catch (error) {
-        console.error(`Whapi API Error (${endpoint}):`, error.response?.data || error.message);
-        throw error;
-    }
-};
-
-// Google Document AI processing utility
-const processDocumentWithAI = async (fileBuffer, fileName) => {
-    try {
-        const projectId = process.env.DOCUMENT_AI_PROJECT_ID;
-        const location = process.env.DOCUMENT_AI_LOCATION;
-        const processorId = process.env.DOCUMENT_AI_PROCESSOR_ID;
-
-        const documentaiClient = new DocumentProcessorServiceClient();
-        const name = `projects/${projectId}/locations/${location}/processors/${processorId}`;
-
-        // Get file MIME type based on extension
-        const getFileMimeType = (filename) => {
-            const extension = path.extname(filename).toLowerCase();
-            switch (extension) {
-                case '.pdf': return 'application/pdf';
-                case '.jpg':
-                case '.jpeg': return 'image/jpeg';
-                case '.png': return 'image/png';
-                case '.tiff': return 'image/tiff';
-                case '.gif': return 'image/gif';
-                case '.bmp': return 'image/bmp';
-                default: return 'application/octet-stream';
-            }
-        };
-
-        const mimeType = getFileMimeType(fileName);
-        
-        // Process the document
-        const [result] = await documentaiClient.processDocument({
-            name,
-            rawDocument: {
-                content: fileBuffer,
-                mimeType: mimeType,
-            }
-        });
-
-        const document = result.document;
-        
-        // Create a structured object from the parsed entities
-        const parsedData = {};
-        
-        if (document.entities && document.entities.length > 0) {
-            document.entities.forEach(entity => {
-                if (entity.type && entity.mentionText) {
-                    parsedData[entity.type] = entity.mentionText;
-                }
-            });
+const userSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    name: String,
+    passwordHash: String,
+    // Global administrators can manage users and see every organization
+    isAdmin: {
+        type: Boolean,
+        default: false
+    },
+    disabled: {
+        type: Boolean,
+        default: false
+    },
+    memberships: [{
+        _id: false,
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true
+        },
+        role: {
+            type: String,
+            enum: ['admin', 'operator', 'viewer'],
+            default: 'viewer'
         }
-        
-        // Include raw text from the document in case it's needed
-        const rawText = document.text;
-        
-        return {
-            parsedData,
-            rawText,
-            confidence: document.textStyles?.length 
-                ? document.textStyles.reduce((sum, style) => sum + style.confidence, 0) / document.textStyles.length 
-                : null
-        };
-    } catch (error) {
-        console.error('Document AI processing error:', error);
-        throw error;
-    }
-};
-
-// API Routes
-
-// Organization Routes
-app.get('/api/organizations', async (req, res) => {
-    try {
-        const organizations = await Organization.find();
-        res.status(200).json(organizations);
-    } catch (error) {
-        console.error('Error getting organizations:', error);
-        res.status(500).json({ message: 'Failed to get organizations' });
+    }],
+    apiKeys: [{
+        name: String,
+        prefix: String,
+        hash: {
+            type: String,
+            index: true
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        lastUsedAt: Date
+    }],
+    tokensValidAfter: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
     }
 });
 
-app.get('/api/organizations/:id', async (req, res) => {
-    try {
-        const organization = await Organization.findById(req.params.id);
-        if (!organization) {
-            return res.status(404).json({ message: 'Organization not found' });
+const channelSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        required: true
+    },
+    token: {
+        type: String,
+        required: true
+    },
+    baseUrl: {
+        type: String,
+        default: 'https://gate.whapi.cloud'
+    },
+    // Whapi's own channel ID, sent as channel_id in webhook payloads
+    whapiChannelId: String,
+    phone: String,
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+    },
+    // Overrides WHAPI_WEBHOOK_SECRET for this channel's webhook
+    webhookSecret: String,
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    toJSON: {
+        // Never send credentials to clients
+        transform: (doc, ret) => {
+            ret.tokenHint = ret.token ? `…${ret.token.slice(-4)}` : null;
+            ret.hasWebhookSecret = !!ret.webhookSecret;
+            delete ret.token;
+            delete ret.webhookSecret;
+            return ret;
         }
-        res.status(200).json(organization);
-    } catch (error) {
-        console.error(`Error getting organization ${req.params.id}:`, error);
-        res.status(500).json({ message: 'Failed to get organization' });
     }
 });
 
-app.post('/api/organizations', async (req, res) => {
-    try {
-        const { name, description } = req.body;
-        const organization = new Organization({
-            name,
-            description: description || '',
-            chatIds: []
-        });
-        const savedOrg = await organization.save();
-        res.status(201).json(savedOrg);
-    } catch (error) {
-        console.error('Error creating organization:', error);
-        res.status(500).json({ message: 'Failed to create organization' });
+// People seen as chat partners, group participants or message senders
+const contactSchema = new mongoose.Schema({
+    // Canonical WhatsApp ID, e.g. 447700900123@s.whatsapp.net
+    contactId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // IDs of contacts merged into this one
+    aliases: {
+        type: [String],
+        index: true
+    },
+    phone: {
+        type: String,
+        index: true
+    },
+    // Name the person set on WhatsApp
+    pushName: String,
+    profilePicture: String,
+    // Name given by our users, shown instead of the push name
+    label: String,
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+    },
+    lastSeenAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
     }
 });
 
-app.put('/api/organizations/:id', async (req, res) => {
-    try {
-        const { name, description } = req.body;
-        const organization = await Organization.findById(req.params.id);
+contactSchema.index(
+    { label: 'text', pushName: 'text', phone: 'text' },
+    { name: 'contact_search', weights: { label: 10, pushName: 5, phone: 5 }, default_language: SEARCH_LANGUAGE }
+);
 
-        if (!organization) {
-            return res.status(404).json({ message: 'Organization not found' });
+// A templated text message sent to many chats, throttled and resumable
+const campaignSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    // Text with {{variables}}: name, chatName, label, phone, organization
+    template: {
+        type: String,
+        required: true
+    },
+    // Exactly one of organization, chatIds or contacts
+    target: {
+        organization: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization'
+        },
+        chatIds: [String],
+        contacts: {
+            organization: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Organization'
+            },
+            contactIds: [{
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Contact'
+            }],
+            q: String
         }
+    },
+    // Organization the campaign is visible to
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+    },
+    channel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Channel'
+    },
+    status: {
+        type: String,
+        enum: ['scheduled', 'running', 'paused', 'completed', 'cancelled'],
+        default: 'scheduled'
+    },
+    scheduledAt: {
+        type: Date,
+        default: Date.now
+    },
+    ratePerMinute: Number,
+    recipients: [{
+        _id: false,
+        chatId: String,
+        name: String,
+        variables: mongoose.Schema.Types.Mixed,
+        status: {
+            type: String,
+            enum: ['pending', 'sent', 'failed', 'skipped'],
+            default: 'pending'
+        },
+        messageId: String,
+        error: String,
+        sentAt: Date
+    }],
+    // Lease held by the process sending the campaign
+    lockedUntil: Date,
+    createdBy: String,
+    startedAt: Date,
+    finishedAt: Date
+}, { timestamps: true });
 
-        if (name) organization.name = name;
-        if (description !== undefined) organization.description = description;
-
-        const updatedOrg = await organization.save();
-        res.status(200).json(updatedOrg);
-    } catch (error) {
-        console.error(`Error updating organization ${req.params.id}:`, error);
-        res.status(500).json({ message: 'Failed to update organization' });
-    }
-});
-
-app.delete('/api/organizations/:id', async (req, res) => {
-    try {
-        const organization = await Organization.findById(req.params.id);
+campaignSchema.index({ status: 1, scheduledAt: 1 });
 
-        if (!organization) {
-            return res.status(404).json({ message: 'Organization not found' });
-        }
+// Append-only record of every mutating API request
+const auditLogSchema = new mongoose.Schema({
+    at: {
+        type: Date,
+        default: Date.now
+    },
+    actor: {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        email: String
+    },
+    // e.g. organization.update, or "<METHOD> <route>" for routes without a named action
+    action: String,
+    method: String,
+    route: String,
+    path: String,
+    target: {
+        type: { type: String },
+        id: String
+    },
+    // Organization the entry concerns, so organization admins can read it
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+    },
+    changes: [{
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    statusCode: Number,
+    ip: String,
+    userAgent: String,
+    meta: mongoose.Schema.Types.Mixed
+});
+
+auditLogSchema.index({ at: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, at: -1 });
+auditLogSchema.index({ organization: 1, at: -1 });
+auditLogSchema.index({ 'actor.email': 1, at: -1 });
+
+// Entries are never changed or removed through the application
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function (next) {
+    next(new Error('Audit log entries are append-only'));
+});
+auditLogSchema.pre('save', function (next) {
+    next(this.isNew ? null : new Error('Audit log entries are append-only'));
+});
+
+// Outbound webhook subscription: events are POSTed to url as signed JSON
+const webhookSchema = new mongoose.Schema({
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true,
+        index: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    description: String,
+    // Event names (see WEBHOOK_EVENTS), or * for all
+    events: [String],
+    // HMAC key for X-Webhook-Signature; shown once when created or rotated
+    secret: {
+        type: String,
+        required: true
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: String,
+    lastDeliveryAt: Date,
+    lastDeliveryStatus: String
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            ret.secretHint = ret.secret ? `…${ret.secret.slice(-4)}` : null;
+            delete ret.secret;
+            return ret;
+        }
+    }
+});
+
+// One event sent (or to be sent) to one webhook, with every attempt
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true
+    },
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+    },
+    // Stays the same across redeliveries so receivers can deduplicate
+    eventId: {
+        type: String,
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    payload: mongoose.Schema.Types.Mixed,
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: Number,
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    attemptLog: [{
+        _id: false,
+        at: Date,
+        statusCode: Number,
+        error: String,
+        durationMs: Number
+    }],
+    responseStatus: Number,
+    // First part of the last response body
+    responseBody: String,
+    error: String,
+    redeliveryOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery'
+    },
+    startedAt: Date,
+    finishedAt: Date
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+// A ZIP of one chat's or one organization's conversations, built in the background
+const transcriptExportSchema = new mongoose.Schema({
+    // Exactly one of chatId or organization
+    chatId: String,
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+    },
+    from: Date,
+    to: Date,
+    includeMedia: {
+        type: Boolean,
+        default: true
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'succeeded', 'failed', 'expired'],
+        default: 'queued'
+    },
+    stage: String,
+    progress: {
+        chats: {
+            type: Number,
+            default: 0
+        },
+        totalChats: Number,
+        messages: {
+            type: Number,
+            default: 0
+        },
+        media: {
+            type: Number,
+            default: 0
+        },
+        mediaMissing: {
+            type: Number,
+            default: 0
+        }
+    },
+    // Download name; the file itself is exports/<_id>.zip
+    fileName: String,
+    size: Number,
+    error: String,
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    requestedBy: {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        email: String
+    },
+    startedAt: Date,
+    finishedAt: Date,
+    expiresAt: Date
+}, { timestamps: true });
+
+transcriptExportSchema.index({ status: 1, createdAt: 1 });
+
+// Create models
+const Organization = mongoose.model('Organization', organizationSchema);
+const Chat = mongoose.model('Chat', chatSchema);
+const Message = mongoose.model('Message', messageSchema);
+const Document = mongoose.model('Document', documentSchema);
+const SystemInfo = mongoose.model('SystemInfo', systemInfoSchema);
+const DocumentJob = mongoose.model('DocumentJob', documentJobSchema);
+const User = mongoose.model('User', userSchema);
+const Channel = mongoose.model('Channel', channelSchema);
+const Contact = mongoose.model('Contact', contactSchema);
+const Campaign = mongoose.model('Campaign', campaignSchema);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+const Webhook = mongoose.model('Webhook', webhookSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+const TranscriptExport = mongoose.model('TranscriptExport', transcriptExportSchema);
+
+// ----------------Whapi client------------------------------------------------
+// Every Whapi call goes through callWhapi: per-request timeout, jittered retries for
+// idempotent methods, Retry-After aware throttling and a circuit breaker per channel.
+
+// Whapi failures carry the status routes should answer with: 429 when rate limited,
+// 502 when Whapi errored or could not be reached, 503 while the circuit is open.
+// `response` is the upstream axios response, when there was one.
+class WhapiError extends Error {
+    constructor(message, { status = 502, code = 'whapi_error', upstreamStatus = null, retryAfter = null, response = null } = {}) {
+        super(message);
+        this.name = 'WhapiError';
+        this.status = status;
+        this.code = code;
+        this.upstreamStatus = upstreamStatus;
+        this.retryAfter = retryAfter;
+        this.response = response;
+    }
+}
+
+const WHAPI_IDEMPOTENT_METHODS = ['get', 'head', 'put', 'delete'];
+
+// Circuit state per channel ('env' for calls made with the environment credentials)
+const whapiCircuits = new Map();
+
+const getWhapiCircuit = (channel) => {
+    const key = channel?._id ? String(channel._id) : 'env';
+    if (!whapiCircuits.has(key)) {
+        whapiCircuits.set(key, {
+            key,
+            label: channel?.label || 'Default',
+            state: 'closed',
+            failures: 0,
+            openedAt: null,
+            trialInFlight: false,
+            throttledUntil: 0
+        });
+    }
+    return whapiCircuits.get(key);
+};
+
+// Overall Whapi health from the circuits seen so far
+const currentWhapiStatus = () => {
+    const circuits = [...whapiCircuits.values()];
+    if (circuits.length === 0) return null;
+    const open = circuits.filter(circuit => circuit.state === 'open').length;
+    if (open === 0) return 'Active';
+    return open === circuits.length ? 'Unreachable' : 'Degraded';
+};
+
+const setCircuitState = (circuit, state) => {
+    if (circuit.state === state) return;
+    console.log(`Whapi circuit for ${circuit.label} is now ${state}`);
+    circuit.state = state;
+    circuit.openedAt = state === 'open' ? Date.now() : null;
+
+    // Keep the stored system info in step so /api/system/info reflects outages as they happen
+    if (state === 'half-open') return;
+    SystemInfo.updateOne({}, { $set: { whapiStatus: currentWhapiStatus() } }).catch(() => {});
+    if (circuit.key !== 'env') {
+        SystemInfo.updateOne(
+            { 'channels.channel': circuit.key },
+            { $set: { 'channels.$.status': state === 'open' ? 'Unreachable' : 'Active' } }
+        ).catch(() => {});
+    }
+};
+
+// Rejects while the circuit is open; once the cool-down has passed a single trial request is let through
+const acquireCircuit = (circuit) => {
+    if (circuit.state === 'open') {
+        const retryAfterMs = circuit.openedAt + WHAPI_CIRCUIT_RESET_MS - Date.now();
+        if (retryAfterMs > 0 || circuit.trialInFlight) {
+            throw new WhapiError(`Whapi is unavailable for ${circuit.label}; requests are paused`, {
+                status: 503,
+                code: 'whapi_circuit_open',
+                retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000))
+            });
+        }
+        circuit.state = 'half-open';
+    }
+    if (circuit.state === 'half-open') {
+        if (circuit.trialInFlight) {
+            throw new WhapiError(`Whapi is recovering for ${circuit.label}; try again shortly`, {
+                status: 503,
+                code: 'whapi_circuit_open',
+                retryAfter: 1
+            });
+        }
+        circuit.trialInFlight = true;
+    }
+};
+
+const recordCircuitResult = (circuit, healthy) => {
+    circuit.trialInFlight = false;
+    if (healthy) {
+        circuit.failures = 0;
+        setCircuitState(circuit, 'closed');
+        return;
+    }
+    circuit.failures += 1;
+    if (circuit.state === 'half-open' || circuit.failures >= WHAPI_CIRCUIT_THRESHOLD) {
+        setCircuitState(circuit, 'open');
+    }
+};
+
+// The error callWhapi would fail with right now for this channel (open circuit or a throttle
+// longer than we wait out), without counting as a request; null when a call may go ahead
+const whapiBackoffError = (channel) => {
+    const circuit = getWhapiCircuit(channel);
+    const retryAfterMs = circuit.state === 'open'
+        ? circuit.openedAt + WHAPI_CIRCUIT_RESET_MS - Date.now()
+        : circuit.state === 'half-open' && circuit.trialInFlight ? 1000 : 0;
+    if (retryAfterMs > 0) {
+        return new WhapiError(`Whapi is unavailable for ${circuit.label}; requests are paused`, {
+            status: 503,
+            code: 'whapi_circuit_open',
+            retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000))
+        });
+    }
+    const throttleMs = circuit.throttledUntil - Date.now();
+    if (throttleMs > WHAPI_MAX_THROTTLE_WAIT_MS) {
+        return new WhapiError(`Whapi rate limit reached for ${circuit.label}`, {
+            status: 429,
+            code: 'whapi_rate_limited',
+            retryAfter: Math.ceil(throttleMs / 1000)
+        });
+    }
+    return null;
+};
+
+const isWhapiBackoff = (error) => error?.status === 429 || error?.code === 'whapi_circuit_open';
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Full jitter: anywhere between 0 and base * 2^attempt
+const whapiRetryDelay = (attempt) => Math.round(Math.random() * WHAPI_RETRY_BASE_MS * Math.pow(2, attempt));
+
+const toWhapiError = (error, endpoint) => {
+    if (error instanceof WhapiError) return error;
+
+    const response = error.response;
+    if (!response) {
+        const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+        return new WhapiError(timedOut ? `Whapi did not respond in time (${endpoint})` : `Could not reach Whapi (${endpoint}): ${error.message}`, {
+            code: timedOut ? 'whapi_timeout' : 'whapi_unreachable'
+        });
+    }
+
+    const upstreamMessage = response.data?.error?.message || response.data?.message || error.message;
+    if (response.status === 429) {
+        const retryAfterMs = parseRetryAfter(response.headers?.['retry-after']);
+        return new WhapiError(`Whapi rate limit reached: ${upstreamMessage}`, {
+            status: 429,
+            code: 'whapi_rate_limited',
+            upstreamStatus: 429,
+            retryAfter: retryAfterMs === null ? null : Math.max(1, Math.ceil(retryAfterMs / 1000)),
+            response
+        });
+    }
+    return new WhapiError(upstreamMessage, {
+        code: response.status >= 500 ? 'whapi_unavailable' : 'whapi_rejected',
+        upstreamStatus: response.status,
+        response
+    });
+};
+
+// Make one logical Whapi call through a channel (env credentials when none is given) and
+// return the axios response. Only idempotent methods are retried after a failure; any
+// method is retried after a 429, since Whapi did not act on the request.
+const callWhapi = async (endpoint, {
+    method = 'get',
+    data = null,
+    channel = null,
+    responseType,
+    idempotent,
+    timeout = WHAPI_TIMEOUT_MS,
+    maxRetries = WHAPI_MAX_RETRIES
+} = {}) => {
+    const circuit = getWhapiCircuit(channel);
+    const retryable = idempotent ?? WHAPI_IDEMPOTENT_METHODS.includes(method);
+
+    for (let attempt = 0; ; attempt++) {
+        const throttleMs = circuit.throttledUntil - Date.now();
+        if (throttleMs > 0) {
+            if (throttleMs > WHAPI_MAX_THROTTLE_WAIT_MS) {
+                throw new WhapiError(`Whapi rate limit reached for ${circuit.label}`, {
+                    status: 429,
+                    code: 'whapi_rate_limited',
+                    retryAfter: Math.ceil(throttleMs / 1000)
+                });
+            }
+            await sleep(throttleMs);
+        }
+
+        acquireCircuit(circuit);
+
+        let error;
+        try {
+            const config = {
+                method,
+                url: `${channel?.baseUrl || WHAPI_BASE_URL}${endpoint}`,
+                headers: {
+                    'Authorization': `Bearer ${channel?.token || WHAPI_TOKEN}`,
+                    'Content-Type': 'application/json'
+                },
+                timeout
+            };
+            if (responseType) config.responseType = responseType;
+            if (data && ['post', 'put', 'patch', 'delete'].includes(method)) {
+                config.data = data;
+            }
+
+            whapiRequestsTotal.inc({ channel: circuit.label, method });
+            const response = await axios(config);
+            recordCircuitResult(circuit, true);
+            return response;
+        } catch (axiosError) {
+            error = toWhapiError(axiosError, endpoint);
+            whapiErrorsTotal.inc({ channel: circuit.label, code: error.code });
+        }
+
+        // Whapi answering with a 4xx (including 429) means it is up
+        const upstreamDown = !error.upstreamStatus || error.upstreamStatus >= 500;
+        recordCircuitResult(circuit, !upstreamDown);
+
+        if (error.upstreamStatus === 429) {
+            const waitMs = error.retryAfter ? error.retryAfter * 1000 : whapiRetryDelay(attempt + 1);
+            circuit.throttledUntil = Date.now() + waitMs;
+            if (waitMs > WHAPI_MAX_THROTTLE_WAIT_MS) throw error;
+        } else if (!upstreamDown || !retryable) {
+            throw error;
+        }
+
+        if (attempt >= maxRetries || circuit.state === 'open') throw error;
+        if (error.upstreamStatus !== 429) await sleep(whapiRetryDelay(attempt));
+    }
+};
+
+// Whapi call returning the response body
+const whapiRequest = async (endpoint, method = 'get', data = null, channel = null) => {
+    try {
+        const response = await callWhapi(endpoint, { method, data, channel });
+        return response.data;
+    } catch (error) {
+        console.error(`Whapi API Error (${channel ? `${channel.label} ` : ''}${endpoint}):`, error.response?.data || error.message);
+        throw error;
+    }
+};
+
+// Answer a request that failed because of Whapi, passing Retry-After through
+const respondWithWhapiError = (res, error, message, extra = {}) => {
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status || 502).json({ message, error: error.message, code: error.code, ...extra });
+};
+
+// ----------------Channels----------------------------------------------------
+// A channel is one WhatsApp number connected through Whapi. The WHAPI_TOKEN/WHAPI_BASE_URL
+// pair from the environment is registered as the default channel on startup.
+const DEFAULT_WHAPI_BASE_URL = 'https://gate.whapi.cloud';
+
+const noChannelError = () => {
+    const error = new Error('No WhatsApp channel is configured');
+    error.status = 503;
+    return error;
+};
+
+const ensureDefaultChannel = async () => {
+    if (!WHAPI_TOKEN) return;
+    try {
+        const existing = await Channel.findOne({ token: WHAPI_TOKEN });
+        if (!existing) {
+            const hasDefault = await Channel.exists({ isDefault: true });
+            await Channel.create({
+                label: 'Default',
+                token: WHAPI_TOKEN,
+                baseUrl: WHAPI_BASE_URL || DEFAULT_WHAPI_BASE_URL,
+                isDefault: !hasDefault
+            });
+        } else if (WHAPI_BASE_URL && existing.baseUrl !== WHAPI_BASE_URL) {
+            existing.baseUrl = WHAPI_BASE_URL;
+            await existing.save();
+        }
+    } catch (error) {
+        console.error('Error registering default channel:', error.message);
+    }
+};
+
+const getDefaultChannel = async () => {
+    return (await Channel.findOne({ isDefault: true, active: true }))
+        || Channel.findOne({ active: true }).sort({ createdAt: 1 });
+};
+
+// Non-administrators may only pick channels owned by their organizations (or by the one
+// organization given)
+const checkChannelOwnership = (channel, user, organization = null) => {
+    if (user.isAdmin) return channel;
+    const allowed = organization ? [organization] : getAccessibleOrganizationIds(user);
+    if (!channel.organization || !allowed.some(id => channel.organization.equals(id))) {
+        const error = new Error('The channel does not belong to your organization');
+        error.status = 403;
+        throw error;
+    }
+    return channel;
+};
+
+// Channel by ID, or the default channel when no ID is given. An ID chosen by a user
+// (pass user) must be one of their organizations' channels.
+const getChannel = async (channelId = null, user = null) => {
+    if (!channelId) {
+        const channel = await getDefaultChannel();
+        if (!channel) throw noChannelError();
+        return channel;
+    }
+
+    const channel = mongoose.isValidObjectId(channelId) ? await Channel.findOne({ _id: channelId, active: true }) : null;
+    if (!channel) {
+        const error = new Error(`Unknown or inactive channel: ${channelId}`);
+        error.status = 400;
+        throw error;
+    }
+    return user ? checkChannelOwnership(channel, user) : channel;
+};
+
+// Channel to talk to a chat through: an explicit choice, the channel the chat was last seen on,
+// a channel owned by the chat's organization, then the default channel
+const getChannelForChat = async (chatId, channelId = null, user = null) => {
+    if (channelId) return getChannel(channelId, user);
+
+    const chat = await Chat.findOne({ chatId }).select('channel');
+    if (chat?.channel) {
+        const channel = await Channel.findOne({ _id: chat.channel, active: true });
+        if (channel) return channel;
+    }
+
+    const organization = await Organization.findOne({ chatIds: chatId }).select('_id');
+    if (organization) {
+        const channel = await Channel.findOne({ organization: organization._id, active: true }).sort({ createdAt: 1 });
+        if (channel) return channel;
+    }
+
+    return getChannel();
+};
+
+// Channel a webhook delivery belongs to: /api/webhooks/whapi/:channelId, else the
+// channel_id Whapi puts in the payload, else the default channel
+const getWebhookChannel = async (req) => {
+    if (req.params.channelId) {
+        return mongoose.isValidObjectId(req.params.channelId) ? Channel.findById(req.params.channelId) : null;
+    }
+    if (req.body?.channel_id) {
+        const channel = await Channel.findOne({ whapiChannelId: req.body.channel_id });
+        if (channel) return channel;
+    }
+    return getDefaultChannel();
+};
+
+// Active when every channel answered, Degraded when only some did
+const summarizeChannelStatus = (channelInfo) => {
+    if (channelInfo.length === 0) return 'Not Configured';
+    const active = channelInfo.filter(info => info.status === 'Active').length;
+    if (active === channelInfo.length) return 'Active';
+    return active > 0 ? 'Degraded' : 'Unreachable';
+};
+
+// Rebuild the SystemInfo record from every active channel
+const refreshSystemInfo = async () => {
+    const channels = await Channel.find({ active: true }).sort({ isDefault: -1, createdAt: 1 });
+
+    const channelInfo = await Promise.all(channels.map(async (channel) => {
+        try {
+            // Get profile information
+            const profileInfo = await whapiRequest('/users/profile', 'get', null, channel);
+
+            // Count individual chats
+            const whapiChats = await whapiRequest('/chats', 'get', null, channel);
+            const individualChats = (whapiChats.chats || []).filter(chat => chat.type === 'contact');
+
+            // Count groups
+            const whapiGroups = await whapiRequest('/groups', 'get', null, channel);
+            const groups = whapiGroups.groups || [];
+
+            return {
+                channel: channel._id,
+                label: channel.label,
+                whatsappAccount: profileInfo.name || 'Unknown',
+                profileIcon: profileInfo.icon || null,
+                status: 'Active',
+                chats: individualChats.length,
+                groups: groups.length
+            };
+        } catch (error) {
+            // Whapi answering with an error (bad token, rate limit) is not an outage
+            const status = getWhapiCircuit(channel).state === 'open' || !error.upstreamStatus ? 'Unreachable' : 'Error';
+            return { channel: channel._id, label: channel.label, status, error: error.message, chats: 0, groups: 0 };
+        }
+    }));
+
+    // Count documents
+    const documentCount = await Document.countDocuments();
+
+    const primary = channelInfo.find(info => info.status === 'Active') || channelInfo[0];
+    const systemInfoData = {
+        whatsappAccount: primary?.whatsappAccount || 'Unknown',
+        profileIcon: primary?.profileIcon || null,
+        whapiStatus: summarizeChannelStatus(channelInfo),
+        documentAIStatus: (await checkDocumentAI()).status,
+        lastSync: new Date(),
+        stats: {
+            chats: channelInfo.reduce((sum, info) => sum + info.chats, 0),
+            groups: channelInfo.reduce((sum, info) => sum + info.groups, 0),
+            documents: documentCount
+        },
+        channels: channelInfo,
+        lastUpdated: new Date()
+    };
+
+    let systemInfo = await SystemInfo.findOne();
+
+    if (systemInfo) {
+        // Update existing record
+        Object.assign(systemInfo, systemInfoData);
+        await systemInfo.save();
+    } else {
+        // Create new record
+        systemInfo = await SystemInfo.create(systemInfoData);
+    }
+
+    return systemInfo;
+};
+
+// ----------------Extraction providers----------------------------------------
+// Every provider takes (fileBuffer, fileName, mimeType) and returns
+// { parsedData, entities, rawText, confidence, processorVersion } where entities use
+// Document AI's shape: { type, mentionText, normalizedValue, confidence, boundingBox, properties }.
+
+// Google Document AI configuration, read once at startup
+const documentAIConfig = {
+    projectId: process.env.DOCUMENT_AI_PROJECT_ID,
+    location: process.env.DOCUMENT_AI_LOCATION,
+    processorId: process.env.DOCUMENT_AI_PROCESSOR_ID,
+    processorVersion: process.env.DOCUMENT_AI_PROCESSOR_VERSION
+};
+let documentAIClient = null;
+
+const getDocumentAIClient = () => {
+    if (!documentAIClient) {
+        documentAIClient = new DocumentProcessorServiceClient();
+    }
+    return documentAIClient;
+};
+
+// Not Configured without a processor, Unavailable when Google credentials cannot be loaded
+const checkDocumentAI = async () => {
+    if (!extractionProviders['google-documentai'].isConfigured()) {
+        return { status: 'Not Configured' };
+    }
+    try {
+        await getDocumentAIClient().auth.getCredentials();
+        return { status: 'Active' };
+    } catch (error) {
+        return { status: 'Unavailable', error: error.message };
+    }
+};
+
+// Get file MIME type based on extension
+const getFileMimeType = (filename) => {
+    const extension = path.extname(filename).toLowerCase();
+    switch (extension) {
+        case '.pdf': return 'application/pdf';
+        case '.jpg':
+        case '.jpeg': return 'image/jpeg';
+        case '.png': return 'image/png';
+        case '.tiff': return 'image/tiff';
+        case '.gif': return 'image/gif';
+        case '.bmp': return 'image/bmp';
+        case '.txt': return 'text/plain';
+        case '.csv': return 'text/csv';
+        default: return 'application/octet-stream';
+    }
+};
+
+// Google Document AI processing utility
+const processDocumentWithAI = async (fileBuffer, fileName, mimeType) => {
+    try {
+        const { projectId, location, processorId, processorVersion } = documentAIConfig;
+
+        const client = getDocumentAIClient();
+        let name = `projects/${projectId}/locations/${location}/processors/${processorId}`;
+        if (processorVersion) {
+            name += `/processorVersions/${processorVersion}`;
+        }
+
+        // Process the document
+        const [result] = await client.processDocument({
+            name,
+            rawDocument: {
+                content: fileBuffer,
+                mimeType: mimeType && mimeType !== 'application/octet-stream' ? mimeType : getFileMimeType(fileName),
+            }
+        });
+
+        const document = result.document;
+        
+        // Create a structured object from the parsed entities
+        const parsedData = {};
+        
+        if (document.entities && document.entities.length > 0) {
+            document.entities.forEach(entity => {
+                if (entity.type && entity.mentionText) {
+                    parsedData[entity.type] = entity.mentionText;
+                }
+            });
+        }
+        
+        // Include raw text from the document in case it's needed
+        const rawText = document.text;
+
+        // Keep the full entity list (repeated entities, normalized values, positions) for typed extraction
+        const simplifyEntity = (entity) => {
+            const pageRef = entity.pageAnchor?.pageRefs?.[0];
+            const vertices = pageRef?.boundingPoly?.normalizedVertices;
+            return {
+                type: entity.type,
+                mentionText: entity.mentionText,
+                normalizedValue: entity.normalizedValue || null,
+                confidence: entity.confidence ?? null,
+                boundingBox: vertices?.length
+                    ? { page: Number(pageRef.page || 0), vertices: vertices.map(v => ({ x: v.x || 0, y: v.y || 0 })) }
+                    : null,
+                properties: (entity.properties || []).map(simplifyEntity)
+            };
+        };
+        const entities = (document.entities || []).map(simplifyEntity);
+        
+        return {
+            parsedData,
+            entities,
+            rawText,
+            confidence: document.textStyles?.length 
+                ? document.textStyles.reduce((sum, style) => sum + style.confidence, 0) / document.textStyles.length 
+                : null,
+            processorVersion: `${processorId}@${processorVersion || 'default'}`
+        };
+    } catch (error) {
+        console.error('Document AI processing error:', error);
+        throw error;
+    }
+};
+
+// Local provider: a fixture file named after the SHA-256 of the input wins; otherwise text is
+// pulled from plain-text files and uncompressed/Flate PDF text operators and entities are found
+// with simple patterns. No OCR, so scanned images come back empty. Deterministic by design.
+const LOCAL_PROVIDER_VERSION = 'local-1.0.0';
+const EXTRACTION_FIXTURES_DIR = process.env.EXTRACTION_FIXTURES_DIR;
+
+const unescapePdfString = (value) => value.replace(/\\([nrtbf()\\]|[0-7]{1,3})/g, (match, code) => {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+    return escapes[code] ?? String.fromCharCode(parseInt(code, 8));
+});
+
+// Caps on inflated stream data, so a small compressed stream cannot expand without bound
+const PDF_STREAM_MAX_BYTES = 8 * 1024 * 1024;
+const PDF_TOTAL_MAX_BYTES = 32 * 1024 * 1024;
+
+const extractPdfText = (fileBuffer) => {
+    const content = fileBuffer.toString('latin1');
+    const lines = [];
+    let inflatedBytes = 0;
+    const streamPattern = /<<((?:(?!>>)[\s\S])*)>>\s*stream\r?\n([\s\S]*?)\r?\n?endstream/g;
+    let streamMatch;
+
+    while ((streamMatch = streamPattern.exec(content))) {
+        const [, dictionary, rawData] = streamMatch;
+        let data = Buffer.from(rawData, 'latin1');
+
+        if (/\/FlateDecode/.test(dictionary)) {
+            if (inflatedBytes >= PDF_TOTAL_MAX_BYTES) break;
+            try {
+                data = zlib.inflateSync(data, { maxOutputLength: Math.min(PDF_STREAM_MAX_BYTES, PDF_TOTAL_MAX_BYTES - inflatedBytes) });
+            } catch (error) {
+                continue;
+            }
+            inflatedBytes += data.length;
+        } else if (/\/Filter/.test(dictionary)) {
+            continue;
+        }
+
+        const operators = /\[((?:[^\]\\]|\\.)*)\]\s*TJ|\(((?:[^)\\]|\\.)*)\)\s*(?:Tj|'|")|\b(T\*|Td|TD|ET)\b/g;
+        let line = '';
+        let operator;
+        while ((operator = operators.exec(data.toString('latin1')))) {
+            if (operator[1] !== undefined) {
+                const parts = operator[1].match(/\((?:[^)\\]|\\.)*\)/g) || [];
+                line += parts.map(part => unescapePdfString(part.slice(1, -1))).join('');
+            } else if (operator[2] !== undefined) {
+                line += unescapePdfString(operator[2]);
+            } else if (line.trim()) {
+                lines.push(line.trim());
+                line = '';
+            }
+        }
+        if (line.trim()) lines.push(line.trim());
+    }
+
+    return lines.join('\n');
+};
+
+const AMOUNT_PATTERN = '([A-Z]{3}\\s*)?([$€£₹]?\\s*-?\\d[\\d.,]*)';
+const DATE_PATTERN = '(\\d{1,4}[./-]\\d{1,2}[./-]\\d{1,4})';
+
+// Entity type -> pattern; the last capture group(s) form the mention text
+const LOCAL_ENTITY_PATTERNS = {
+    invoice_id: /invoice\s*(?:no\.?|number|#|id)\s*[:#]?\s*([A-Z0-9][A-Z0-9\-/]{2,})/i,
+    invoice_date: new RegExp(`(?:invoice\\s*)?(?<!due\\s*)date\\s*:?\\s*${DATE_PATTERN}`, 'i'),
+    due_date: new RegExp(`due\\s*(?:date)?\\s*:?\\s*${DATE_PATTERN}`, 'i'),
+    purchase_order: /(?:p\.?o\.?|purchase\s*order)\s*(?:no\.?|number|#)\s*[:#]?\s*([A-Z0-9][A-Z0-9\-/]{2,})/i,
+    supplier_tax_id: /(?:vat|gst|tax)\s*(?:id|no\.?|number|reg(?:istration)?(?:\s*no\.?)?)\s*[:#]?\s*([A-Z]{0,2}[0-9][A-Z0-9 \-]{4,18}[A-Z0-9])/i,
+    net_amount: new RegExp(`sub\\s*-?\\s*total\\s*:?\\s*${AMOUNT_PATTERN}`, 'i'),
+    total_tax_amount: new RegExp(`(?:tax|vat|gst)(?:\\s*amount)?\\s*(?:\\([^)]*\\))?\\s*:?\\s*${AMOUNT_PATTERN}`, 'i'),
+    total_amount: new RegExp(`(?<!sub\\s*-?\\s*)(?:grand\\s*)?total(?:\\s*amount)?(?:\\s*due)?\\s*:?\\s*${AMOUNT_PATTERN}`, 'i')
+};
+
+const LOCAL_ENTITY_CONFIDENCE = 0.5;
+
+const findLocalEntities = (text) => {
+    const entities = [];
+    const lines = text.split(/\r?\n/);
+
+    Object.entries(LOCAL_ENTITY_PATTERNS).forEach(([type, pattern]) => {
+        // Totals usually come last, so prefer the last matching line
+        const ordered = type === 'total_amount' ? [...lines].reverse() : lines;
+        for (const line of ordered) {
+            const match = pattern.exec(line);
+            if (match) {
+                const mentionText = match.slice(1).filter(Boolean).join('').trim();
+                entities.push({ type, mentionText, normalizedValue: null, confidence: LOCAL_ENTITY_CONFIDENCE, boundingBox: null, properties: [] });
+                break;
+            }
+        }
+    });
+
+    return entities;
+};
+
+const processDocumentLocally = async (fileBuffer, fileName, mimeType) => {
+    const resolvedMimeType = mimeType && mimeType !== 'application/octet-stream' ? mimeType : getFileMimeType(fileName);
+
+    if (EXTRACTION_FIXTURES_DIR) {
+        const hash = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+        const fixturePath = path.join(EXTRACTION_FIXTURES_DIR, `${hash}.json`);
+        if (fs.existsSync(fixturePath)) {
+            const fixture = JSON.parse(await fs.promises.readFile(fixturePath, 'utf8'));
+            const entities = (fixture.entities || []).map(entity => ({
+                normalizedValue: null,
+                confidence: null,
+                boundingBox: null,
+                properties: [],
+                ...entity
+            }));
+            const parsedData = {};
+            entities.forEach(entity => {
+                if (entity.type && entity.mentionText) parsedData[entity.type] = entity.mentionText;
+            });
+            return {
+                parsedData,
+                entities,
+                rawText: fixture.text || '',
+                confidence: fixture.confidence ?? 1,
+                processorVersion: `${LOCAL_PROVIDER_VERSION}+fixture:${hash.slice(0, 12)}`
+            };
+        }
+    }
+
+    let rawText = '';
+    if (resolvedMimeType.startsWith('text/') || resolvedMimeType === 'application/json') {
+        rawText = fileBuffer.toString('utf8');
+    } else if (resolvedMimeType === 'application/pdf') {
+        rawText = extractPdfText(fileBuffer);
+    }
+
+    const entities = findLocalEntities(rawText);
+    const parsedData = {};
+    entities.forEach(entity => {
+        parsedData[entity.type] = entity.mentionText;
+    });
+
+    return {
+        parsedData,
+        entities,
+        rawText,
+        confidence: rawText ? LOCAL_ENTITY_CONFIDENCE : 0,
+        processorVersion: LOCAL_PROVIDER_VERSION
+    };
+};
+
+const extractionProviders = {
+    'google-documentai': {
+        label: 'Google Document AI',
+        isConfigured: () => !!(documentAIConfig.projectId && documentAIConfig.location && documentAIConfig.processorId),
+        process: processDocumentWithAI
+    },
+    local: {
+        label: 'Local text extraction',
+        isConfigured: () => true,
+        process: processDocumentLocally
+    }
+};
+
+// Default provider per document type, e.g. EXTRACTION_PROVIDER_BY_TYPE='{"id":"local"}'
+const parseProviderByType = () => {
+    try {
+        return JSON.parse(process.env.EXTRACTION_PROVIDER_BY_TYPE || '{}');
+    } catch (error) {
+        console.error('Invalid EXTRACTION_PROVIDER_BY_TYPE, ignoring:', error.message);
+        return {};
+    }
+};
+const EXTRACTION_PROVIDER_BY_TYPE = parseProviderByType();
+
+const defaultExtractionProvider = () => {
+    if (process.env.EXTRACTION_PROVIDER) return process.env.EXTRACTION_PROVIDER;
+    return extractionProviders['google-documentai'].isConfigured() ? 'google-documentai' : 'local';
+};
+
+// Pick the provider for a document: explicit choice, then the chat's organization, then the
+// document type, then the deployment default
+const resolveExtractionProvider = async ({ provider, chatId, documentType } = {}) => {
+    let name = provider;
+
+    if (!name && chatId) {
+        const organization = await Organization.findOne({ chatIds: chatId, extractionProvider: { $nin: [null, ''] } });
+        name = organization?.extractionProvider;
+    }
+    if (!name && documentType) {
+        name = EXTRACTION_PROVIDER_BY_TYPE[documentType];
+    }
+    name = name || defaultExtractionProvider();
+
+    if (!extractionProviders[name]) {
+        const error = new Error(`Unknown extraction provider: ${name}`);
+        error.status = 400;
+        throw error;
+    }
+    return { name, ...extractionProviders[name] };
+};
+
+// Map Whapi message types onto our Message.mediaType enum
+const WHAPI_MEDIA_TYPES = {
+    image: 'image',
+    sticker: 'image',
+    video: 'video',
+    gif: 'video',
+    short: 'video',
+    audio: 'audio',
+    voice: 'audio',
+    document: 'document'
+};
+
+// Status progression, used so a late 'delivered' never overwrites 'read'
+const MESSAGE_STATUS_RANK = {
+    failed: 0,
+    pending: 1,
+    sent: 2,
+    delivered: 3,
+    read: 4,
+    played: 5
+};
+
+// Convert a Whapi message payload into Message fields
+const normalizeWhapiMessage = (whapiMessage) => {
+    const mediaType = WHAPI_MEDIA_TYPES[whapiMessage.type] || 'none';
+    const body = whapiMessage[whapiMessage.type] || {};
+    const media = mediaType !== 'none' ? body : null;
+
+    return {
+        messageId: whapiMessage.id,
+        chatId: whapiMessage.chat_id,
+        sender: whapiMessage.from,
+        senderName: whapiMessage.from_name,
+        fromMe: !!whapiMessage.from_me,
+        content: whapiMessage.text?.body || body.caption || body.body || '',
+        mediaType,
+        mediaId: media?.id,
+        mediaUrl: media?.id ? `/api/media/${media.id}` : media?.link,
+        mimeType: media?.mime_type,
+        fileName: media?.file_name,
+        fileSize: media?.file_size,
+        quotedMessageId: whapiMessage.context?.quoted_id,
+        status: whapiMessage.from_me ? (whapiMessage.status || 'sent') : 'delivered',
+        timestamp: whapiMessage.timestamp ? new Date(whapiMessage.timestamp * 1000) : new Date()
+    };
+};
+
+// Upsert a chat record from a Whapi chat/group payload or a bare chat ID
+const upsertChatFromWhapi = async (chatId, whapiChat = {}, lastMessageAt = null, channelId = null) => {
+    const isGroup = chatId.includes('@g.us');
+    const update = {
+        $setOnInsert: {
+            chatId,
+            isGroup,
+            name: isGroup ? `Group ${chatId.split('@')[0]}` : `Chat with ${chatId}`
+        },
+        $set: {}
+    };
+
+    const name = whapiChat.name || whapiChat.subject;
+    if (name) {
+        update.$set.name = name;
+        delete update.$setOnInsert.name;
+    }
+    if (Array.isArray(whapiChat.participants)) {
+        update.$set.participants = whapiChat.participants.map(p => typeof p === 'string' ? p : p.id);
+    }
+    if (whapiChat.profilePictureUrl || whapiChat.icon) {
+        update.$set.profilePicture = whapiChat.profilePictureUrl || whapiChat.icon;
+    }
+    if (lastMessageAt) {
+        update.$max = { lastMessageAt };
+    }
+    if (channelId) {
+        update.$set.channel = channelId;
+    }
+    // Activity on a chat the sync had marked as removed brings it back
+    update.$set.removedAt = null;
+
+    const result = await Chat.findOneAndUpdate({ chatId }, update, { upsert: true, new: true, includeResultMetadata: true });
+    const chat = result.value;
+    if (!result.lastErrorObject?.updatedExisting && (await autoAssignChats([chat])).length > 0) {
+        return Chat.findById(chat._id);
+    }
+    return chat;
+};
+
+// Persist an incoming Whapi message, idempotent on messageId
+const saveWhapiMessage = async (whapiMessage, socketServer, channelId = null) => {
+    const fields = normalizeWhapiMessage(whapiMessage);
+    if (!fields.messageId || !fields.chatId) {
+        return null;
+    }
+    if (channelId) {
+        fields.channel = channelId;
+    }
+
+    // Replayed or echoed webhooks must not move an existing message's status backwards
+    const { status, ...rest } = fields;
+    const result = await Message.findOneAndUpdate(
+        { messageId: fields.messageId },
+        { $set: rest, $setOnInsert: { status } },
+        { upsert: true, new: true, includeResultMetadata: true }
+    );
+    let message = result.value;
+    const isNew = !result.lastErrorObject?.updatedExisting;
+    if (!isNew && MESSAGE_STATUS_RANK[status] > (MESSAGE_STATUS_RANK[message.status] ?? -1)) {
+        const behind = Object.keys(MESSAGE_STATUS_RANK).filter(key => MESSAGE_STATUS_RANK[key] < MESSAGE_STATUS_RANK[status]);
+        message = await Message.findOneAndUpdate(
+            { _id: message._id, status: { $in: behind } },
+            { $set: { status } },
+            { new: true }
+        ) || message;
+    }
+
+    const chat = await upsertChatFromWhapi(fields.chatId, {}, fields.timestamp, channelId);
+
+    socketServer.to(fields.chatId).emit(isNew ? 'new_message' : 'message_updated', message);
+    broadcastForChat(chat.chatId, 'chat_updated', chat);
+
+    if (isNew && !fields.fromMe && fields.sender) {
+        recordContacts([{ id: fields.sender, pushName: fields.senderName, seenAt: fields.timestamp }]).catch(error => {
+            console.error(`Error recording contact ${fields.sender}:`, error.message);
+        });
+    }
+
+    // Rules decide whether our own messages count (includeOwnMessages)
+    if (isNew) {
+        applyIngestionRules(message).catch(error => {
+            console.error(`Error applying ingestion rules to message ${message.messageId}:`, error.message);
+        });
+    }
+    if (isNew && !fields.fromMe) {
+        emitWebhookEvent('message.received', { organization: chat.organization, chatId: chat.chatId }, webhookMessage(message));
+    }
+
+    return message;
+};
+
+// Apply a Whapi delivery status update to a stored message
+const applyWhapiStatus = async (whapiStatus, socketServer) => {
+    const message = await Message.findOne({ messageId: whapiStatus.id });
+    if (!message) {
+        return null;
+    }
+
+    const nextRank = MESSAGE_STATUS_RANK[whapiStatus.status];
+    if (nextRank === undefined || nextRank <= (MESSAGE_STATUS_RANK[message.status] ?? -1)) {
+        return message;
+    }
+
+    message.status = whapiStatus.status;
+    await message.save();
+
+    socketServer.to(message.chatId).emit('message_status', {
+        messageId: message.messageId,
+        chatId: message.chatId,
+        status: message.status
+    });
+
+    return message;
+};
+
+// Apply an emoji reaction to a stored message (an empty emoji removes the sender's reaction)
+const applyReaction = async (targetMessageId, reaction, socketServer) => {
+    const message = await Message.findOne({ messageId: targetMessageId });
+    if (!message) {
+        return null;
+    }
+
+    // We have one reaction per message; ours is matched on fromMe alone, since reactions sent
+    // from the app have no sender while their webhook echo carries our number
+    message.reactions = (message.reactions || []).filter(r => (reaction.fromMe
+        ? !r.fromMe
+        : r.fromMe || r.sender !== reaction.sender));
+    if (reaction.emoji) {
+        message.reactions.push({ ...reaction, timestamp: reaction.timestamp || new Date() });
+    }
+    await message.save();
+
+    socketServer.to(message.chatId).emit('message_updated', message);
+    return message;
+};
+
+// Media type for an uploaded file, based on its MIME type
+const mediaTypeFromMime = (mimeType = '') => {
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType.startsWith('video/')) return 'video';
+    if (mimeType.startsWith('audio/')) return 'audio';
+    return 'document';
+};
+
+// Store an outgoing message as pending, send it through Whapi and record the outcome
+// With deferIfThrottled (bulk senders that retry later), a send Whapi is throttling or
+// unavailable for leaves no failed message behind: it is either not created or removed again.
+// user, when given, is the sender whose explicit channelId is checked.
+const sendOutgoingMessage = async (endpoint, payload, fields, socketServer, channelId = null, { deferIfThrottled = false, user = null } = {}) => {
+    const channel = await getChannelForChat(fields.chatId, channelId, user);
+    if (deferIfThrottled) {
+        const backoffError = whapiBackoffError(channel);
+        if (backoffError) return { message: null, error: backoffError };
+    }
+    const clientMessageId = `pending-${crypto.randomUUID()}`;
+    let message = await Message.create({
+        ...fields,
+        channel: channel._id,
+        messageId: clientMessageId,
+        fromMe: true,
+        status: 'pending',
+        timestamp: new Date()
+    });
+    socketServer.to(message.chatId).emit('new_message', message);
+
+    try {
+        const response = await whapiRequest(endpoint, 'post', payload, channel);
+        const sentMessage = response.message || {};
+        const messageId = sentMessage.id || response.id;
+
+        const sentFields = { status: 'sent' };
+        if (sentMessage.id) {
+            const normalized = normalizeWhapiMessage({ ...sentMessage, from_me: true, chat_id: sentMessage.chat_id || message.chatId });
+            ['mediaId', 'mediaUrl', 'mimeType', 'fileName'].forEach(key => {
+                if (normalized[key]) sentFields[key] = normalized[key];
+            });
+            if (sentMessage.timestamp) sentFields.timestamp = normalized.timestamp;
+        }
+
+        // The webhook echo of our own message may already have created the real record
+        const existing = messageId ? await Message.findOne({ messageId }) : null;
+        if (existing) {
+            await Message.deleteOne({ _id: message._id });
+            Object.assign(existing, { ...fields, ...sentFields, status: existing.status !== 'pending' ? existing.status : 'sent' });
+            message = await existing.save();
+        } else {
+            Object.assign(message, sentFields);
+            if (messageId) message.messageId = messageId;
+            message = await message.save();
+            // The webhook echo will find the record already there, so rules run here
+            applyIngestionRules(message).catch(error => {
+                console.error(`Error applying ingestion rules to message ${message.messageId}:`, error.message);
+            });
+        }
+
+        socketServer.to(message.chatId).emit('message_updated', { ...message.toObject(), clientMessageId });
+        await upsertChatFromWhapi(message.chatId, {}, message.timestamp, channel._id);
+
+        return { message, clientMessageId };
+    } catch (error) {
+        if (deferIfThrottled && isWhapiBackoff(error)) {
+            await Message.deleteOne({ _id: message._id });
+            socketServer.to(message.chatId).emit('message_removed', { chatId: message.chatId, messageId: message.messageId, clientMessageId });
+            return { message: null, error };
+        }
+
+        message.status = 'failed';
+        message.error = error.response?.data?.error?.message || error.message;
+        await message.save();
+
+        socketServer.to(message.chatId).emit('message_updated', { ...message.toObject(), clientMessageId });
+
+        return { message, clientMessageId, error };
+    }
+};
+
+// Chats with a history backfill currently running
+const activeBackfills = new Map();
+
+// Page through Whapi's message history for a chat and store every message locally
+const backfillChatHistory = (chatId, socketServer, { maxMessages = HISTORY_BACKFILL_LIMIT } = {}) => {
+    if (activeBackfills.has(chatId)) {
+        return activeBackfills.get(chatId);
+    }
+
+    const run = (async () => {
+        const channel = await getChannelForChat(chatId);
+        const pageSize = 100;
+        let offset = 0;
+        let stored = 0;
+
+        while (offset < maxMessages) {
+            const page = await whapiRequest(`/messages/list/${chatId}?count=${pageSize}&offset=${offset}`, 'get', null, channel);
+            const whapiMessages = (page.messages || []).filter(m => m.id && m.type !== 'action');
+
+            if (whapiMessages.length > 0) {
+                // Never downgrade delivery status or overwrite locally tracked state on re-runs
+                await Message.bulkWrite(whapiMessages.map(whapiMessage => {
+                    const { status, ...fields } = normalizeWhapiMessage({ ...whapiMessage, chat_id: whapiMessage.chat_id || chatId });
+                    fields.channel = channel._id;
+                    return {
+                        updateOne: {
+                            filter: { messageId: fields.messageId },
+                            update: { $set: fields, $setOnInsert: { status } },
+                            upsert: true
+                        }
+                    };
+                }), { ordered: false });
+                stored += whapiMessages.length;
+            }
+
+            offset += pageSize;
+            if ((page.messages || []).length < pageSize || (page.total !== undefined && offset >= page.total)) {
+                break;
+            }
+        }
+
+        const newest = await Message.findOne({ chatId }).sort({ timestamp: -1 });
+        await upsertChatFromWhapi(chatId, {}, newest?.timestamp, channel._id);
+        await Chat.updateOne({ chatId }, { $set: { historySyncedAt: new Date() } });
+
+        socketServer.to(chatId).emit('history_backfilled', { chatId, stored });
+        return { chatId, stored };
+    })().finally(() => activeBackfills.delete(chatId));
+
+    activeBackfills.set(chatId, run);
+    return run;
+};
+
+// Message history cursors are "<timestamp ms>:<_id>" so messages sharing a timestamp page correctly;
+// plain dates are accepted too
+const parseMessageCursor = (value) => {
+    if (!value) return null;
+
+    const match = /^(\d+):([a-f0-9]{24})$/.exec(value);
+    if (match) {
+        return { timestamp: new Date(parseInt(match[1])), id: new mongoose.Types.ObjectId(match[2]) };
+    }
+
+    const timestamp = /^\d+$/.test(value) ? new Date(parseInt(value)) : new Date(value);
+    return isNaN(timestamp.getTime()) ? undefined : { timestamp };
+};
+
+const messageCursor = (message) => `${message.timestamp.getTime()}:${message._id}`;
+
+// ----------------Document types----------------------------------------------
+// Each document type maps Document AI entity types onto typed fields. A field lists the
+// entity types it may come from (first match wins); lineItems maps the properties of
+// repeated line_item entities. Field types: string, number, money, date, taxId.
+const LINE_ITEM_FIELDS = {
+    description: { entities: ['line_item/description'], type: 'string' },
+    productCode: { entities: ['line_item/product_code'], type: 'string' },
+    quantity: { entities: ['line_item/quantity'], type: 'number' },
+    unitPrice: { entities: ['line_item/unit_price'], type: 'money' },
+    amount: { entities: ['line_item/amount'], type: 'money' }
+};
+
+const DOCUMENT_TYPES = {
+    invoice: {
+        label: 'Invoice',
+        fields: {
+            invoiceId: { entities: ['invoice_id'], type: 'string', required: true },
+            invoiceDate: { entities: ['invoice_date'], type: 'date' },
+            dueDate: { entities: ['due_date'], type: 'date' },
+            purchaseOrder: { entities: ['purchase_order'], type: 'string' },
+            supplierName: { entities: ['supplier_name'], type: 'string' },
+            supplierTaxId: { entities: ['supplier_tax_id'], type: 'taxId' },
+            supplierAddress: { entities: ['supplier_address'], type: 'string' },
+            receiverName: { entities: ['receiver_name'], type: 'string' },
+            receiverTaxId: { entities: ['receiver_tax_id'], type: 'taxId' },
+            currency: { entities: ['currency'], type: 'string' },
+            netAmount: { entities: ['net_amount'], type: 'money' },
+            taxAmount: { entities: ['total_tax_amount', 'vat/tax_amount'], type: 'money' },
+            totalAmount: { entities: ['total_amount'], type: 'money', required: true }
+        },
+        lineItems: LINE_ITEM_FIELDS
+    },
+    receipt: {
+        label: 'Receipt',
+        fields: {
+            supplierName: { entities: ['supplier_name'], type: 'string' },
+            supplierTaxId: { entities: ['supplier_tax_id'], type: 'taxId' },
+            receiptDate: { entities: ['receipt_date', 'invoice_date'], type: 'date' },
+            currency: { entities: ['currency'], type: 'string' },
+            netAmount: { entities: ['net_amount'], type: 'money' },
+            taxAmount: { entities: ['total_tax_amount'], type: 'money' },
+            totalAmount: { entities: ['total_amount'], type: 'money', required: true },
+            paymentType: { entities: ['payment_type'], type: 'string' }
+        },
+        lineItems: LINE_ITEM_FIELDS
+    },
+    purchase_order: {
+        label: 'Purchase order',
+        fields: {
+            purchaseOrderId: { entities: ['purchase_order_id', 'purchase_order'], type: 'string', required: true },
+            purchaseOrderDate: { entities: ['purchase_order_date'], type: 'date' },
+            deliveryDate: { entities: ['delivery_date'], type: 'date' },
+            supplierName: { entities: ['supplier_name'], type: 'string' },
+            supplierTaxId: { entities: ['supplier_tax_id'], type: 'taxId' },
+            receiverName: { entities: ['receiver_name', 'ship_to_name'], type: 'string' },
+            currency: { entities: ['currency'], type: 'string' },
+            totalAmount: { entities: ['total_amount'], type: 'money' }
+        },
+        lineItems: LINE_ITEM_FIELDS
+    },
+    id: {
+        label: 'Identity document',
+        fields: {
+            documentId: { entities: ['document_id'], type: 'string', required: true },
+            givenNames: { entities: ['given_names'], type: 'string' },
+            familyName: { entities: ['family_name'], type: 'string', required: true },
+            dateOfBirth: { entities: ['date_of_birth'], type: 'date' },
+            issueDate: { entities: ['issue_date'], type: 'date' },
+            expirationDate: { entities: ['expiration_date'], type: 'date' },
+            address: { entities: ['address'], type: 'string' }
+        }
+    }
+};
+
+// Day-first or month-first for ambiguous dates such as 03/04/2025
+const DOCUMENT_DATE_ORDER = process.env.DOCUMENT_DATE_ORDER === 'MDY' ? 'MDY' : 'DMY';
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || null;
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR', '¥': 'JPY', 'R$': 'BRL' };
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// True when year-month-day is a real calendar date (no 31 February)
+const isCalendarDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Dates that do not exist (31/02/2024) come back null, so the field is flagged for review
+const formatDateParts = (year, month, day) => (
+    isCalendarDate(year, month, day) ? `${year}-${pad2(month)}-${pad2(day)}` : null
+);
+
+const normalizeDate = (entity) => {
+    const dateValue = entity.normalizedValue?.dateValue;
+    if (dateValue?.year && dateValue?.month && dateValue?.day) {
+        return `${dateValue.year}-${pad2(dateValue.month)}-${pad2(dateValue.day)}`;
+    }
+
+    const text = (entity.mentionText || '').trim();
+    const numeric = /^(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})$/.exec(text);
+    if (numeric) {
+        let [, a, b, c] = numeric.map(Number);
+        let year, month, day;
+        if (String(numeric[1]).length === 4) {
+            [year, month, day] = [a, b, c];
+        } else {
+            [day, month] = DOCUMENT_DATE_ORDER === 'DMY' ? [a, b] : [b, a];
+            year = c < 100 ? 2000 + c : c;
+        }
+        return formatDateParts(year, month, day);
+    }
+
+    // "5 March 2024", "5-Mar-24", "March 5, 2024"
+    const named = /^(?:(\d{1,2})(?:st|nd|rd|th)?[\s./-]+([a-z]{3,})\.?|([a-z]{3,})\.?[\s./-]+(\d{1,2})(?:st|nd|rd|th)?,?)[\s./-]+(\d{2}|\d{4})$/i.exec(text);
+    if (named) {
+        const month = MONTH_NAMES.indexOf((named[2] || named[3]).slice(0, 3).toLowerCase()) + 1;
+        const year = Number(named[5]) < 100 ? 2000 + Number(named[5]) : Number(named[5]);
+        return month ? formatDateParts(year, month, Number(named[1] || named[4])) : null;
+    }
+
+    // Anything else is parsed in local time, so read it back with local getters
+    const parsed = new Date(text);
+    if (isNaN(parsed.getTime())) return null;
+    return formatDateParts(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+};
+
+// Parse "1.234,56", "1,234.56" and "1234.56" alike: the last separator followed by
+// one or two digits is the decimal point
+const parseAmount = (text = '') => {
+    const cleaned = text.replace(/[^\d.,-]/g, '');
+    const match = /^(-?[\d.,]*?)(?:[.,](\d{1,2}))?$/.exec(cleaned);
+    if (!match || !match[1].replace(/[.,-]/g, '') && !match[2]) return null;
+    const value = parseFloat(`${match[1].replace(/[.,]/g, '') || '0'}.${match[2] || '0'}`);
+    return isNaN(value) ? null : value;
+};
+
+const normalizeMoney = (entity) => {
+    const moneyValue = entity.normalizedValue?.moneyValue;
+    if (moneyValue && (moneyValue.units !== undefined || moneyValue.nanos !== undefined)) {
+        return {
+            amount: Math.round((Number(moneyValue.units || 0) + (moneyValue.nanos || 0) / 1e9) * 100) / 100,
+            currency: moneyValue.currencyCode || DEFAULT_CURRENCY
+        };
+    }
+
+    const text = entity.mentionText || '';
+    const amount = parseAmount(text);
+    if (amount === null) return null;
+
+    const code = /\b([A-Z]{3})\b/.exec(text)?.[1];
+    const symbol = Object.keys(CURRENCY_SYMBOLS).sort((a, b) => b.length - a.length).find(s => text.includes(s));
+    return { amount, currency: code || CURRENCY_SYMBOLS[symbol] || DEFAULT_CURRENCY };
+};
+
+const normalizeFieldValue = (type, entity) => {
+    switch (type) {
+        case 'date': return normalizeDate(entity);
+        case 'money': return normalizeMoney(entity);
+        case 'number': {
+            const value = entity.normalizedValue?.floatValue ?? parseAmount(entity.mentionText);
+            return value === null || value === undefined ? null : Number(value);
+        }
+        case 'taxId': return (entity.mentionText || '').replace(/[\s.\-/]/g, '').toUpperCase() || null;
+        default: return (entity.normalizedValue?.text || entity.mentionText || '').trim() || null;
+    }
+};
+
+const toTypedField = (definition, entity) => ({
+    value: normalizeFieldValue(definition.type, entity),
+    text: entity.mentionText,
+    confidence: entity.confidence ?? null,
+    boundingBox: entity.boundingBox || null
+});
+
+const mapEntityFields = (definitions, entities) => {
+    const fields = {};
+    Object.entries(definitions).forEach(([name, definition]) => {
+        const entity = definition.entities
+            .map(type => entities.find(e => e.type === type))
+            .find(Boolean);
+        if (entity) {
+            fields[name] = toTypedField(definition, entity);
+        }
+    });
+    return fields;
+};
+
+// Pick the document type whose entity types overlap most with what the processor found
+const detectDocumentType = (entities) => {
+    const found = new Set(entities.map(e => e.type));
+    let best = null;
+    let bestScore = 0;
+    Object.entries(DOCUMENT_TYPES).forEach(([type, definition]) => {
+        const score = Object.values(definition.fields).filter(f => f.entities.some(e => found.has(e))).length;
+        if (score > bestScore) {
+            best = type;
+            bestScore = score;
+        }
+    });
+    return best;
+};
+
+const moneyAmount = (field) => field?.value?.amount;
+const amountsDiffer = (a, b) => Math.abs(a - b) > Math.max(0.01, Math.abs(b) * 0.005);
+
+// Cross-field checks; each error is { field, code, message }
+const validateTypedDocument = (documentType, fields, lineItems) => {
+    const definition = DOCUMENT_TYPES[documentType];
+    const errors = [];
+
+    Object.entries(definition.fields).forEach(([name, field]) => {
+        if (field.required && (fields[name]?.value === null || fields[name]?.value === undefined)) {
+            errors.push({ field: name, code: 'required', message: `${name} is missing` });
+        }
+        if (fields[name] && fields[name].value === null) {
+            errors.push({ field: name, code: 'unparseable', message: `Could not read ${field.type} from "${fields[name].text}"` });
+        }
+    });
+
+    const total = moneyAmount(fields.totalAmount);
+    const net = moneyAmount(fields.netAmount);
+    const tax = moneyAmount(fields.taxAmount);
+
+    if (net !== undefined && tax !== undefined && total !== undefined && amountsDiffer(net + tax, total)) {
+        errors.push({ field: 'totalAmount', code: 'total_mismatch', message: `Net ${net} + tax ${tax} does not equal total ${total}` });
+    }
+
+    const itemAmounts = (lineItems || []).map(item => moneyAmount(item.amount)).filter(amount => amount !== undefined);
+    if (itemAmounts.length > 0) {
+        const itemsSum = Math.round(itemAmounts.reduce((sum, amount) => sum + amount, 0) * 100) / 100;
+        const expected = net !== undefined ? net : total;
+        if (expected !== undefined && amountsDiffer(itemsSum, expected) && (total === undefined || amountsDiffer(itemsSum, total))) {
+            errors.push({
+                field: 'lineItems',
+                code: 'line_items_mismatch',
+                message: `Line items sum to ${itemsSum} but ${net !== undefined ? 'net amount' : 'total'} is ${expected}`
+            });
+        }
+    }
+
+    (lineItems || []).forEach((item, index) => {
+        const quantity = item.quantity?.value;
+        const unitPrice = moneyAmount(item.unitPrice);
+        const amount = moneyAmount(item.amount);
+        if (quantity !== undefined && quantity !== null && unitPrice !== undefined && amount !== undefined
+            && amountsDiffer(quantity * unitPrice, amount)) {
+            errors.push({
+                field: `lineItems.${index}`,
+                code: 'line_item_mismatch',
+                message: `Quantity ${quantity} x unit price ${unitPrice} does not equal amount ${amount}`
+            });
+        }
+    });
+
+    const dateChecks = [['invoiceDate', 'dueDate'], ['issueDate', 'expirationDate'], ['purchaseOrderDate', 'deliveryDate']];
+    dateChecks.forEach(([start, end]) => {
+        if (fields[start]?.value && fields[end]?.value && fields[end].value < fields[start].value) {
+            errors.push({ field: end, code: 'date_order', message: `${end} is before ${start}` });
+        }
+    });
+
+    return errors;
+};
+
+// Map processor entities into the typed schema for a document type (detected when not given)
+const extractTypedDocument = (entities, documentType = null) => {
+    const type = DOCUMENT_TYPES[documentType] ? documentType : detectDocumentType(entities);
+    if (!type) {
+        return { documentType: null, fields: {}, lineItems: [], validationErrors: [] };
+    }
+
+    const definition = DOCUMENT_TYPES[type];
+    const fields = mapEntityFields(definition.fields, entities);
+    const lineItems = definition.lineItems
+        ? entities
+            .filter(entity => entity.type === 'line_item')
+            .map(entity => mapEntityFields(definition.lineItems, entity.properties || []))
+            .filter(item => Object.keys(item).length > 0)
+        : [];
+
+    return {
+        documentType: type,
+        fields,
+        lineItems,
+        validationErrors: validateTypedDocument(type, fields, lineItems)
+    };
+};
+
+// ----------------Document review---------------------------------------------
+const REVIEW_CONFIDENCE_THRESHOLD = parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD) || 0.8;
+
+// Allowed review status changes
+const REVIEW_TRANSITIONS = {
+    draft: ['reviewed', 'rejected', 'needs_review'],
+    needs_review: ['reviewed', 'rejected'],
+    reviewed: ['approved', 'rejected', 'needs_review'],
+    approved: ['reviewed'],
+    rejected: ['reviewed']
+};
+
+// Who is making a change
+const getActor = (req) => req.user?.email || 'unknown';
+
+// Reasons a freshly analyzed document needs a human to look at it
+const getReviewReasons = (document) => {
+    const reasons = [];
+    if (!document.documentType) {
+        reasons.push('Document type could not be determined');
+    }
+    if (document.validationErrors?.length) {
+        reasons.push(`${document.validationErrors.length} validation error(s)`);
+    }
+    if (typeof document.confidence === 'number' && document.confidence < REVIEW_CONFIDENCE_THRESHOLD) {
+        reasons.push(`Overall confidence ${document.confidence.toFixed(2)} below ${REVIEW_CONFIDENCE_THRESHOLD}`);
+    }
+    const lowConfidence = Object.entries(document.fields || {})
+        .filter(([, field]) => typeof field?.confidence === 'number' && field.confidence < REVIEW_CONFIDENCE_THRESHOLD)
+        .map(([name]) => name);
+    if (lowConfidence.length > 0) {
+        reasons.push(`Low confidence fields: ${lowConfidence.join(', ')}`);
+    }
+    return reasons;
+};
+
+// Normalize a reviewer-supplied value to the field's type; throws on bad input
+const normalizeCorrectedValue = (definition, value, previous) => {
+    if (value === null || value === '') return null;
+
+    switch (definition?.type) {
+        case 'date': {
+            const parts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+            if (!parts || !isCalendarDate(Number(parts[1]), Number(parts[2]), Number(parts[3]))) {
+                throw new Error(`Expected a YYYY-MM-DD date, got "${value}"`);
+            }
+            return value;
+        }
+        case 'money': {
+            const amount = typeof value === 'object' ? Number(value.amount) : Number(value);
+            if (isNaN(amount)) throw new Error(`Expected an amount, got "${JSON.stringify(value)}"`);
+            return { amount, currency: (typeof value === 'object' && value.currency) || previous?.value?.currency || DEFAULT_CURRENCY };
+        }
+        case 'number': {
+            const number = Number(value);
+            if (isNaN(number)) throw new Error(`Expected a number, got "${value}"`);
+            return number;
+        }
+        case 'taxId': return String(value).replace(/[\s.\-/]/g, '').toUpperCase();
+        default: return String(value).trim();
+    }
+};
+
+// Apply reviewer edits to typed fields and line items, recording each change.
+// fieldEdits: { name: value }, lineItemEdits: [{ index, field, value }] or [{ index, remove: true }].
+// Indexes refer to the line items as they were before the request.
+const applyDocumentCorrections = (document, { fieldEdits = {}, lineItemEdits = [] }, actor) => {
+    const definition = DOCUMENT_TYPES[document.documentType];
+    if (!definition) {
+        throw new Error('Set a documentType before correcting fields');
+    }
+
+    const fields = { ...(document.fields || {}) };
+    const lineItems = [...(document.lineItems || [])];
+    const corrections = [];
+    const removed = new Set();
+
+    Object.entries(fieldEdits).forEach(([name, value]) => {
+        if (!definition.fields[name]) {
+            throw new Error(`Unknown field for ${document.documentType}: ${name}`);
+        }
+        const previous = fields[name];
+        const newValue = normalizeCorrectedValue(definition.fields[name], value, previous);
+        fields[name] = { ...(previous || { text: null, confidence: null, boundingBox: null }), value: newValue, corrected: true };
+        corrections.push({ field: `fields.${name}`, oldValue: previous?.value ?? null, newValue });
+    });
+
+    lineItemEdits.forEach(({ index, field, value, remove }) => {
+        if (!definition.lineItems) {
+            throw new Error(`${document.documentType} documents have no line items`);
+        }
+        if (!Number.isInteger(index) || index < 0 || index >= lineItems.length) {
+            throw new Error(`Invalid line item index: ${index}`);
+        }
+        if (remove) {
+            corrections.push({ field: `lineItems.${index}`, oldValue: lineItems[index] ?? null, newValue: null });
+            removed.add(index);
+            return;
+        }
+        if (!definition.lineItems[field]) {
+            throw new Error(`Unknown line item field: ${field}`);
+        }
+        const item = { ...(lineItems[index] || {}) };
+        const previous = item[field];
+        const newValue = normalizeCorrectedValue(definition.lineItems[field], value, previous);
+        item[field] = { ...(previous || { text: null, confidence: null, boundingBox: null }), value: newValue, corrected: true };
+        lineItems[index] = item;
+        corrections.push({ field: `lineItems.${index}.${field}`, oldValue: previous?.value ?? null, newValue });
+    });
+    // Last first, so earlier indexes stay put
+    [...removed].sort((a, b) => b - a).forEach(index => lineItems.splice(index, 1));
+
+    const at = new Date();
+    document.fields = fields;
+    document.lineItems = lineItems;
+    document.validationErrors = validateTypedDocument(document.documentType, fields, lineItems);
+    corrections.forEach(correction => document.corrections.push({ ...correction, by: actor, at }));
+    document.markModified('fields');
+    document.markModified('lineItems');
+
+    return corrections;
+};
+
+// ----------------Document export---------------------------------------------
+// Documents are exported one row per document or one row per line item. A column reads its
+// value from a source:
+//   id, chatId, chatName, fileName, fileType, documentType, status, confidence, provider,
+//   processedAt, reviewedBy, reviewedAt, validationErrors
+//   fields.<name>[.text|.confidence|.currency]     typed field value (money gives the amount)
+//   lineItem.<name>[.text|.confidence|.currency]   line item value (line item rows only)
+//   lineItem.index                                 position of the line item, from 1
+//   parsed.<entity type>                           raw extracted text, e.g. parsed.total_amount
+// Organizations can save column layouts as exportMappings.
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+const EXPORT_ROWS = ['document', 'lineItem'];
+const EXPORT_DOCUMENT_SOURCES = [
+    'id', 'chatId', 'chatName', 'fileName', 'fileType', 'documentType', 'status', 'confidence',
+    'provider', 'processedAt', 'reviewedBy', 'reviewedAt', 'validationErrors'
+];
+const EXPORT_SOURCE_PATTERN = /^(fields|lineItem)\.[\w-]+(\.(text|confidence|currency))?$|^lineItem\.index$|^parsed\..+$/;
+
+const isExportSource = (source, rows = 'lineItem') =>
+    typeof source === 'string'
+    && (EXPORT_DOCUMENT_SOURCES.includes(source) || EXPORT_SOURCE_PATTERN.test(source))
+    && !(rows === 'document' && source.startsWith('lineItem.'));
+
+// Check a mapping from the API, returning an error message or null
+const validateExportMapping = (mapping) => {
+    if (!mapping.name || typeof mapping.name !== 'string') {
+        return 'name is required';
+    }
+    if (mapping.rows !== undefined && !EXPORT_ROWS.includes(mapping.rows)) {
+        return `rows must be one of: ${EXPORT_ROWS.join(', ')}`;
+    }
+    if (mapping.documentType && !DOCUMENT_TYPES[mapping.documentType]) {
+        return `Unknown documentType: ${mapping.documentType}`;
+    }
+    if (!Array.isArray(mapping.columns) || mapping.columns.length === 0) {
+        return 'columns must be a non-empty list of { header, source }';
+    }
+    const invalid = mapping.columns.find(column => !column || !isExportSource(column.source, mapping.rows || 'document'));
+    if (invalid) {
+        return `Invalid column source: ${invalid?.source}`;
+    }
+    return null;
+};
+
+// Columns used when no mapping is given: document details plus the typed fields of the
+// exported document types (all types when not filtered)
+const defaultExportColumns = (rows, documentTypes) => {
+    const definitions = (documentTypes.length > 0 ? documentTypes : Object.keys(DOCUMENT_TYPES))
+        .map(type => DOCUMENT_TYPES[type])
+        .filter(Boolean);
+    const fieldNames = [...new Set(definitions.flatMap(definition => Object.keys(definition.fields)))];
+    const lineItemNames = [...new Set(definitions.flatMap(definition => Object.keys(definition.lineItems || {})))];
+
+    return [
+        ...['id', 'chatId', 'chatName', 'fileName', 'documentType', 'status', 'confidence', 'processedAt', 'reviewedBy'],
+        ...fieldNames.map(name => `fields.${name}`),
+        ...(rows === 'lineItem' ? ['lineItem.index', ...lineItemNames.map(name => `lineItem.${name}`)] : [])
+    ].map(source => ({ header: source, source }));
+};
+
+const typedFieldExportValue = (field, part) => {
+    if (!field) return null;
+    if (part === 'text') return field.text ?? null;
+    if (part === 'confidence') return field.confidence ?? null;
+    if (part === 'currency') return field.value?.currency ?? null;
+    if (field.value && typeof field.value === 'object' && 'amount' in field.value) return field.value.amount;
+    return field.value ?? null;
+};
+
+// Value of one column for a row ({ document, chatName, item, index })
+const exportValue = (row, source) => {
+    const { document } = row;
+    const [scope, name, part] = source.split('.');
+    switch (scope) {
+        case 'id': return String(document._id);
+        case 'chatName': return row.chatName ?? null;
+        case 'validationErrors': return (document.validationErrors || []).map(error => error.message).join('; ') || null;
+        case 'fields': return typedFieldExportValue(document.fields?.[name], part);
+        case 'lineItem':
+            if (name === 'index') return row.index === undefined ? null : row.index + 1;
+            return typedFieldExportValue(row.item?.[name], part);
+        case 'parsed': return document.parsedData?.[source.slice('parsed.'.length)] ?? null;
+        default: return document[source] ?? null;
+    }
+};
+
+// Rows for a document; a document without line items still gets one row
+const exportRows = (document, chatName, rows) => {
+    if (rows !== 'lineItem' || !(document.lineItems || []).length) {
+        return [{ document, chatName }];
+    }
+    return document.lineItems.map((item, index) => ({ document, chatName, item, index }));
+};
+
+// Spreadsheet cells: YYYY-MM-DD strings (how typed dates are stored) become real dates
+const xlsxCellValue = (value) => {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(`${value}T00:00:00Z`);
+    if (value !== null && typeof value === 'object' && !(value instanceof Date)) return neutralizeFormula(JSON.stringify(value));
+    return typeof value === 'string' ? neutralizeFormula(value) : value;
+};
+
+// Stream documents matching query to res in the given format
+const streamDocumentExport = async (res, { query, columns, rows, format }) => {
+    const chatNames = new Map();
+    const chatName = async (chatId) => {
+        if (!chatNames.has(chatId)) {
+            chatNames.set(chatId, (await Chat.findOne({ chatId }).select('name'))?.name ?? null);
+        }
+        return chatNames.get(chatId);
+    };
+
+    let workbook = null;
+    let sheet = null;
+    if (format === 'xlsx') {
+        workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+        sheet = workbook.addWorksheet('Documents');
+        sheet.columns = columns.map(column => ({ header: column.header, key: column.source, width: 20 }));
+    } else if (format === 'csv') {
+        res.write(`${columns.map(column => csvValue(column.header)).join(',')}\n`);
+    }
+
+    const cursor = Document.find(query).select('-history -corrections -rawText -searchText').sort({ processedAt: 1 }).lean().cursor();
+    for await (const document of cursor) {
+        for (const row of exportRows(document, await chatName(document.chatId), rows)) {
+            const values = columns.map(column => exportValue(row, column.source));
+            if (format === 'xlsx') {
+                sheet.addRow(values.map(xlsxCellValue)).commit();
+            } else if (format === 'csv') {
+                res.write(`${values.map(csvValue).join(',')}\n`);
+            } else {
+                res.write(`${JSON.stringify(Object.fromEntries(columns.map((column, i) => [column.header, values[i]])))}\n`);
+            }
+        }
+    }
+
+    if (workbook) {
+        sheet.commit();
+        await workbook.commit();
+    } else {
+        res.end();
+    }
+};
+
+// ----------------Object storage----------------------------------------------
+// Originals (media files, documents) are kept in object storage; the media store above is
+// only a size-capped cache in front of it. The backends (local, gcs, s3) and their
+// STORAGE_* settings are described in storage.js.
+
+// HMAC for links the app serves itself without a bearer token (see /api/downloads)
+const downloadSignature = (resource, expires) =>
+    crypto.createHmac('sha256', AUTH_TOKEN_SECRET).update(`${resource}:${expires}`).digest('base64url');
+
+const verifyDownloadSignature = (resource, expires, signature) => {
+    const expected = Buffer.from(downloadSignature(resource, expires));
+    const actual = Buffer.from(String(signature || ''));
+    return expires * 1000 > Date.now() && expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const appStorageUrl = (key, expiresIn, disposition = 'inline') => {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const download = disposition === 'attachment' ? '&disposition=attachment' : '';
+    return {
+        url: `/api/downloads/storage?key=${encodeURIComponent(key)}&expires=${expires}&signature=${downloadSignature(`storage:${key}`, expires)}${download}`,
+        expiresAt: new Date(expires * 1000)
+    };
+};
+
+const storage = createStorage(process.env, { appUrl: appStorageUrl });
+
+// Where a media file's original is kept
+const mediaStorageKey = (mediaId) => `media/${mediaId}`;
+
+// ----------------Media store-------------------------------------------------
+// Media is cached in mediaDir as <mediaId> with a <mediaId>.json metadata sidecar.
+// The cache is capped at MEDIA_CACHE_MAX_BYTES; least recently served files (by atime) go first.
+// Cache misses are filled from object storage, else from Whapi, whose downloads are then copied
+// to storage so the original outlives Whapi's media retention.
+const MEDIA_CACHE_MAX_BYTES = parseInt(process.env.MEDIA_CACHE_MAX_BYTES) || 2 * 1024 * 1024 * 1024;
+const MEDIA_CACHE_MAX_AGE = parseInt(process.env.MEDIA_CACHE_MAX_AGE) || 7 * 24 * 60 * 60;
+const MEDIA_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,199}$/;
+
+const mediaStore = {
+    entries: new Map(),
+    totalBytes: 0,
+    downloads: new Map(),
+    uploads: new Map(),
+    ready: null
+};
+
+const isValidMediaId = (mediaId) => typeof mediaId === 'string'
+    && MEDIA_ID_PATTERN.test(mediaId)
+    && !mediaId.includes('..')
+    && !/\.(json|part)$/.test(mediaId);
+
+const mediaDataPath = (mediaId) => path.join(mediaDir, mediaId);
+const mediaMetaPath = (mediaId) => path.join(mediaDir, `${mediaId}.json`);
+
+// Best-effort content type for files cached before sidecars existed
+const sniffMimeType = (header) => {
+    if (header.subarray(0, 4).toString('latin1') === '%PDF') return 'application/pdf';
+    if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return 'image/jpeg';
+    if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+    if (header.subarray(0, 4).toString('latin1') === 'GIF8') return 'image/gif';
+    if (header.subarray(0, 4).toString('latin1') === 'RIFF' && header.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+    if (header.subarray(4, 8).toString('latin1') === 'ftyp') return 'video/mp4';
+    if (header.subarray(0, 4).toString('latin1') === 'OggS') return 'audio/ogg';
+    return 'application/octet-stream';
+};
+
+const EXTENSIONS_BY_MIME = {
+    'application/pdf': '.pdf',
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'video/mp4': '.mp4',
+    'audio/ogg': '.ogg',
+    'audio/mpeg': '.mp3'
+};
+
+// Get file name from a Content-Disposition header, adding an extension from the content type
+const fileNameFromHeaders = (headers, fallback = 'document') => {
+    let fileName = fallback;
+    const contentDisposition = headers['content-disposition'];
+    if (contentDisposition) {
+        const fileNameMatch = contentDisposition.match(/filename\*=UTF-8''([^;]+)/i) || contentDisposition.match(/filename="?([^";]+)"?/i);
+        if (fileNameMatch) {
+            try {
+                fileName = decodeURIComponent(fileNameMatch[1]);
+            } catch (error) {
+                // Malformed percent-encoding from upstream; keep the name as sent
+                fileName = fileNameMatch[1];
+            }
+        }
+    }
+
+    const contentType = (headers['content-type'] || '').split(';')[0].trim();
+    if (!path.extname(fileName) && EXTENSIONS_BY_MIME[contentType]) {
+        fileName += EXTENSIONS_BY_MIME[contentType];
+    }
+    return path.basename(fileName);
+};
+
+const loadMediaIndex = async () => {
+    const names = await fs.promises.readdir(mediaDir);
+
+    for (const name of names) {
+        const filePath = path.join(mediaDir, name);
+        if (name.endsWith('.part')) {
+            await fs.promises.unlink(filePath).catch(() => {});
+            continue;
+        }
+        if (name.endsWith('.json') || !isValidMediaId(name)) continue;
+
+        try {
+            const stat = await fs.promises.stat(filePath);
+            if (!stat.isFile()) continue;
+
+            let meta = null;
+            try {
+                meta = JSON.parse(await fs.promises.readFile(mediaMetaPath(name), 'utf8'));
+            } catch (error) {
+                meta = null;
+            }
+
+            mediaStore.entries.set(name, {
+                ...(meta || {}),
+                mediaId: name,
+                size: stat.size,
+                etag: meta?.etag || `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`,
+                lastAccessedAt: stat.atimeMs,
+                hasSidecar: !!meta
+            });
+            mediaStore.totalBytes += stat.size;
+        } catch (error) {
+            console.error(`Error indexing cached media ${name}:`, error.message);
+        }
+    }
+};
+
+const removeCachedMedia = async (mediaId) => {
+    const entry = mediaStore.entries.get(mediaId);
+    if (!entry) return;
+
+    mediaStore.entries.delete(mediaId);
+    mediaStore.totalBytes -= entry.size;
+    await fs.promises.unlink(mediaDataPath(mediaId)).catch(() => {});
+    await fs.promises.unlink(mediaMetaPath(mediaId)).catch(() => {});
+};
+
+// Drop least recently used files until the cache fits its cap
+const evictMedia = async (keepMediaId = null) => {
+    if (mediaStore.totalBytes <= MEDIA_CACHE_MAX_BYTES) return;
+
+    const candidates = [...mediaStore.entries.values()]
+        .filter(entry => entry.mediaId !== keepMediaId)
+        .sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+
+    for (const entry of candidates) {
+        if (mediaStore.totalBytes <= MEDIA_CACHE_MAX_BYTES) break;
+        await removeCachedMedia(entry.mediaId);
+    }
+};
+
+const touchMedia = (entry) => {
+    const now = new Date();
+    entry.lastAccessedAt = now.getTime();
+    fs.promises.utimes(mediaDataPath(entry.mediaId), now, new Date(entry.createdAt || now)).catch(() => {});
+};
+
+const writeMediaSidecar = async (entry) => {
+    const { hasSidecar, lastAccessedAt, ...meta } = entry;
+    await fs.promises.writeFile(mediaMetaPath(entry.mediaId), JSON.stringify(meta, null, 2));
+    entry.hasSidecar = true;
+};
+
+// Open a media file from storage if it was kept there, else from Whapi
+const openMediaSource = async (mediaId, message) => {
+    const stored = await storage.head(mediaStorageKey(mediaId)).catch(error => {
+        console.error(`Error checking storage for media ${mediaId}:`, error.message);
+        return null;
+    });
+    if (stored) {
+        return {
+            stream: storage.createReadStream(mediaStorageKey(mediaId)),
+            headers: {
+                'content-type': stored.contentType,
+                ...(stored.fileName ? { 'content-disposition': contentDisposition(stored.fileName) } : {})
+            },
+            stored: true
+        };
+    }
+
+    // Media is only downloadable through the channel that received it
+    let channel = message?.channel ? await Channel.findOne({ _id: message.channel, active: true }) : null;
+    if (!channel) {
+        channel = message?.chatId ? await getChannelForChat(message.chatId) : await getChannel();
+    }
+
+    const response = await callWhapi(`/media/${mediaId}`, { channel, responseType: 'stream' });
+    return { stream: response.data, headers: response.headers, stored: false };
+};
+
+const downloadMediaToStore = async (mediaId) => {
+    const message = await Message.findOne({ mediaId }).select('chatId messageId fileName mimeType channel').catch(() => null);
+    const response = await openMediaSource(mediaId, message);
+
+    const tempPath = `${mediaDataPath(mediaId)}.${crypto.randomUUID()}.part`;
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    const hashing = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            size += chunk.length;
+            callback(null, chunk);
+        }
+    });
+
+    try {
+        await pipeline(response.stream, hashing, fs.createWriteStream(tempPath));
+    } catch (error) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+
+    const headerType = (response.headers['content-type'] || '').split(';')[0].trim();
+
+    const entry = {
+        mediaId,
+        mimeType: headerType && headerType !== 'application/octet-stream' ? headerType : (message?.mimeType || headerType || 'application/octet-stream'),
+        size,
+        etag: `"${hash.digest('hex').slice(0, 32)}"`,
+        originalFileName: message?.fileName || fileNameFromHeaders(response.headers),
+        chatId: message?.chatId || null,
+        messageId: message?.messageId || null,
+        storageKey: response.stored ? mediaStorageKey(mediaId) : null,
+        createdAt: new Date().toISOString(),
+        lastAccessedAt: Date.now()
+    };
+
+    await writeMediaSidecar(entry);
+    await fs.promises.rename(tempPath, mediaDataPath(mediaId));
+
+    const previous = mediaStore.entries.get(mediaId);
+    if (previous) mediaStore.totalBytes -= previous.size;
+    mediaStore.entries.set(mediaId, entry);
+    mediaStore.totalBytes += size;
+
+    if (!entry.storageKey) {
+        retainMedia(entry).catch(error => console.error(`Error storing media ${mediaId}:`, error.message));
+    }
+
+    await evictMedia(mediaId);
+    return entry;
+};
+
+// Copy a cached media file to object storage (once); returns its storage key
+const retainMedia = async (entry) => {
+    if (entry.storageKey) return entry.storageKey;
+
+    const { mediaId } = entry;
+    if (!mediaStore.uploads.has(mediaId)) {
+        mediaStore.uploads.set(mediaId, (async () => {
+            const key = mediaStorageKey(mediaId);
+            if (!(await storage.head(key))) {
+                await storage.put(key, fs.createReadStream(mediaDataPath(mediaId)), {
+                    contentType: entry.mimeType,
+                    fileName: entry.originalFileName
+                });
+            }
+            entry.storageKey = key;
+            if (mediaStore.entries.get(mediaId) === entry) {
+                await writeMediaSidecar(entry);
+            }
+            return key;
+        })().finally(() => mediaStore.uploads.delete(mediaId)));
+    }
+    return mediaStore.uploads.get(mediaId);
+};
+
+// Time-limited link to the stored original of a media file
+const mediaDownloadUrl = async (mediaId, options = {}) => {
+    const entry = await getMedia(mediaId);
+    const key = await retainMedia(entry);
+    return storage.signedUrl(key, { fileName: entry.originalFileName, ...options });
+};
+
+// Cached media entry for an ID, downloading it from Whapi on a miss
+const getMedia = async (mediaId) => {
+    if (!isValidMediaId(mediaId)) {
+        const error = new Error(`Invalid media ID: ${mediaId}`);
+        error.status = 400;
+        throw error;
+    }
+
+    await mediaStore.ready;
+
+    const cached = mediaStore.entries.get(mediaId);
+    if (cached && fs.existsSync(mediaDataPath(mediaId))) {
+        if (!cached.hasSidecar) {
+            // Older cache files have no metadata; fill it in once
+            const handle = await fs.promises.open(mediaDataPath(mediaId), 'r');
+            const header = Buffer.alloc(16);
+            await handle.read(header, 0, 16, 0);
+            await handle.close();
+            const message = await Message.findOne({ mediaId }).select('chatId messageId fileName mimeType').catch(() => null);
+            Object.assign(cached, {
+                mimeType: message?.mimeType || sniffMimeType(header),
+                originalFileName: message?.fileName || null,
+                chatId: message?.chatId || null,
+                messageId: message?.messageId || null,
+                createdAt: new Date().toISOString()
+            });
+            await writeMediaSidecar(cached);
+        }
+        touchMedia(cached);
+        return cached;
+    }
+    if (cached) {
+        await removeCachedMedia(mediaId);
+    }
+
+    if (!mediaStore.downloads.has(mediaId)) {
+        mediaStore.downloads.set(mediaId, downloadMediaToStore(mediaId).finally(() => mediaStore.downloads.delete(mediaId)));
+    }
+    return mediaStore.downloads.get(mediaId);
+};
+
+// Read a media file fully into memory (for document processing)
+const readMediaFile = async (mediaId) => {
+    const entry = await getMedia(mediaId);
+    const buffer = await fs.promises.readFile(mediaDataPath(mediaId));
+    return { buffer, contentType: entry.mimeType, fileName: entry.originalFileName || `${mediaId}${EXTENSIONS_BY_MIME[entry.mimeType] || ''}` };
+};
+
+// Stream a cached file with conditional GET and single-range support
+const sendMediaFile = (req, res, entry) => {
+    res.setHeader('Content-Type', entry.mimeType || 'application/octet-stream');
+    res.setHeader('ETag', entry.etag);
+    res.setHeader('Cache-Control', `private, max-age=${MEDIA_CACHE_MAX_AGE}`);
+    res.setHeader('Accept-Ranges', 'bytes');
+    if (entry.originalFileName) {
+        res.setHeader('Content-Disposition', contentDisposition(entry.originalFileName, 'inline'));
+    }
+
+    const ifNoneMatch = req.get('if-none-match');
+    if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).some(tag => tag === entry.etag || tag === '*')) {
+        return res.status(304).end();
+    }
+
+    const range = req.get('range');
+    const ifRange = req.get('if-range');
+    if (range && (!ifRange || ifRange === entry.etag)) {
+        const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+        let start;
+        let end;
+        if (match && (match[1] || match[2])) {
+            if (match[1]) {
+                start = parseInt(match[1]);
+                end = match[2] ? Math.min(parseInt(match[2]), entry.size - 1) : entry.size - 1;
+            } else {
+                start = Math.max(entry.size - parseInt(match[2]), 0);
+                end = entry.size - 1;
+            }
+        }
+
+        if (start === undefined || start > end || start >= entry.size) {
+            res.setHeader('Content-Range', `bytes */${entry.size}`);
+            return res.status(416).end();
+        }
+
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${entry.size}`);
+        res.setHeader('Content-Length', end - start + 1);
+        return pipeline(fs.createReadStream(mediaDataPath(entry.mediaId), { start, end }), res).catch(() => {});
+    }
+
+    res.status(200);
+    res.setHeader('Content-Length', entry.size);
+    return pipeline(fs.createReadStream(mediaDataPath(entry.mediaId)), res).catch(() => {});
+};
+
+mediaStore.ready = loadMediaIndex()
+    .then(() => evictMedia())
+    .catch(error => console.error('Error loading media cache index:', error));
+
+// Run Document AI on a media file and store the result as a Document linked to its message.
+// Media that was already analyzed returns the existing Document unless reanalyze is set,
+// in which case the previous result is moved into the document's history.
+// The reviewable part of a document, as compared in audit entries
+const documentReviewSnapshot = (document) => ({
+    status: document.status,
+    documentType: document.documentType,
+    fields: document.fields,
+    lineItems: document.lineItems
+});
+
+const analyzeMediaDocument = async (mediaId, { chatId, messageId, documentType, provider, reanalyze = false, onProgress = async () => {} } = {}) => {
+    let document = await Document.findOne({ mediaId });
+    if (document && !reanalyze) {
+        return { document, created: false };
+    }
+
+    // The message carrying the media decides the chat; messageId only helps when none is stored
+    const message = await Message.findOne({ mediaId }) || (messageId ? await Message.findOne({ messageId }) : null);
+    const originalMessageId = document?.originalMessageId || message?.messageId || messageId;
+    const documentChatId = document?.chatId || message?.chatId || chatId;
+
+    if (!originalMessageId || !documentChatId) {
+        const error = new Error(`Media ${mediaId} is not linked to a known message; chatId and messageId are required`);
+        error.status = 400;
+        throw error;
+    }
+
+    const targetType = documentType || document?.documentType;
+    const extractionProvider = await resolveExtractionProvider({ provider, chatId: documentChatId, documentType: targetType });
+
+    await onProgress('downloading');
+    const file = await readMediaFile(mediaId);
+    const fileName = message?.fileName || file.fileName;
+    const storageKey = await retainMedia(await getMedia(mediaId));
+
+    await onProgress('processing');
+    const result = await extractionProvider.process(file.buffer, fileName, file.contentType);
+
+    await onProgress('saving');
+    const typed = extractTypedDocument(result.entities, targetType);
+
+    const created = !document;
+    const previous = document ? documentReviewSnapshot(document.toObject()) : null;
+    if (document) {
+        document.history.push({
+            parsedData: document.parsedData,
+            documentType: document.documentType,
+            fields: document.fields,
+            lineItems: document.lineItems,
+            rawText: document.rawText,
+            confidence: document.confidence,
+            provider: document.provider,
+            processorVersion: document.processorVersion,
+            processedAt: document.processedAt
+        });
+    } else {
+        document = new Document({ mediaId, originalMessageId, chatId: documentChatId, channel: message?.channel });
+    }
+
+    Object.assign(document, {
+        fileName,
+        fileType: file.contentType,
+        storageKey,
+        fileUrl: storage.uri(storageKey),
+        parsedData: result.parsedData,
+        rawText: result.rawText,
+        confidence: result.confidence,
+        provider: extractionProvider.name,
+        processorVersion: result.processorVersion,
+        documentType: typed.documentType,
+        fields: typed.fields,
+        lineItems: typed.lineItems,
+        validationErrors: typed.validationErrors,
+        processedAt: new Date()
+    });
+
+    // A new extraction starts a fresh review; earlier corrections stay on record
+    const reviewReasons = getReviewReasons(document);
+    const status = reviewReasons.length > 0 ? 'needs_review' : 'draft';
+    if (!created && document.status !== status) {
+        document.statusHistory.push({ from: document.status, to: status, by: 'system', comment: 'Re-analyzed', at: new Date() });
+    }
+    document.status = status;
+    document.reviewReasons = reviewReasons;
+
+    document.markModified('parsedData');
+    document.markModified('fields');
+    await document.save();
+
+    return { document, created, previous };
+};
+
+// Check the shared secret configured on the Whapi webhook (X-Webhook-Secret or bearer header).
+// Not in the query string, which ends up in proxy and access logs.
+if (!WHAPI_WEBHOOK_SECRET) {
+    console.warn('WHAPI_WEBHOOK_SECRET is not set; Whapi webhooks are refused for channels without their own secret');
+}
+
+const verifyWhapiWebhook = (req, secret) => {
+    const authHeader = req.get('authorization') || '';
+    const provided = req.get('x-webhook-secret')
+        || (authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null);
+
+    if (typeof provided !== 'string') {
+        return false;
+    }
+
+    const expected = Buffer.from(secret);
+    const actual = Buffer.from(provided);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// ----------------Document processing queue-----------------------------------
+// Jobs live in MongoDB so they survive restarts; this process claims and runs them
+const documentWorker = {
+    running: 0,
+    timer: null
+};
+
+const jobSummary = (job) => ({
+    _id: job._id,
+    mediaId: job.mediaId,
+    chatId: job.chatId,
+    status: job.status,
+    stage: job.stage,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    error: job.error,
+    document: job.document,
+    runAt: job.runAt,
+    updatedAt: job.updatedAt
+});
+
+const emitDocumentJob = (job) => {
+    broadcastForChat(job.chatId, 'document_job_updated', jobSummary(job));
+};
+
+// Queue a media file for analysis; an unfinished job for the same media is reused
+const enqueueDocumentJob = async ({ mediaId, chatId, messageId, documentType, provider, reanalyze = false, source = 'manual', organization, ingestionRule, requestedBy }) => {
+    const pending = await DocumentJob.findOne({ mediaId, status: { $in: ['queued', 'running'] } });
+    if (pending) {
+        return pending;
+    }
+
+    const job = await DocumentJob.create({
+        mediaId,
+        chatId,
+        messageId,
+        documentType,
+        provider,
+        reanalyze,
+        source,
+        organization,
+        ingestionRule,
+        requestedBy,
+        maxAttempts: DOCUMENT_JOB_MAX_ATTEMPTS
+    });
+    emitDocumentJob(job);
+    setImmediate(pollDocumentJobs);
+
+    return job;
+};
+
+// Bad input and 4xx responses (other than rate limiting) will not succeed on retry
+const isRetryableJobError = (error) => {
+    if (error.status && error.status < 500 && error.status !== 429) return false;
+    const httpStatus = error.response?.status;
+    if (httpStatus && httpStatus < 500 && httpStatus !== 429) return false;
+    // Google API errors carry gRPC codes: 3 INVALID_ARGUMENT, 5 NOT_FOUND, 7 PERMISSION_DENIED
+    if ([3, 5, 7].includes(error.code)) return false;
+    return true;
+};
+
+const runDocumentJob = async (job) => {
+    try {
+        const { document, created, previous } = await analyzeMediaDocument(job.mediaId, {
+            chatId: job.chatId,
+            messageId: job.messageId,
+            documentType: job.documentType,
+            provider: job.provider,
+            reanalyze: job.reanalyze,
+            onProgress: async (stage) => {
+                job.stage = stage;
+                await job.save();
+                emitDocumentJob(job);
+            }
+        });
+
+        job.status = 'succeeded';
+        job.stage = 'done';
+        job.document = document._id;
+        job.chatId = document.chatId;
+        job.error = null;
+        job.finishedAt = new Date();
+        await job.save();
+        documentJobsTotal.inc({ outcome: 'succeeded' });
+
+        // A re-analysis replaces fields and restarts review, whatever state the document was in
+        if (previous) {
+            recordAuditEvent({
+                actor: job.requestedBy,
+                action: 'document.reanalyzed',
+                target: { type: 'document', id: String(document._id) },
+                chatId: document.chatId,
+                before: previous,
+                after: documentReviewSnapshot(document.toObject()),
+                meta: { job: job._id, provider: document.provider }
+            }).catch(error => console.error(`Error auditing re-analysis of document ${document._id}:`, error.message));
+        }
+
+        if (created || job.reanalyze) {
+            io.to(document.chatId).emit('document_processed', document);
+            emitWebhookEvent('document.processed', { chatId: document.chatId }, webhookDocument(document));
+        }
+    } catch (error) {
+        console.error(`Document job ${job._id} failed (attempt ${job.attempts}):`, error.message);
+
+        job.error = error.message;
+        if (job.attempts < job.maxAttempts && isRetryableJobError(error)) {
+            // Exponential backoff with jitter: ~5s, 10s, 20s, ...
+            const delay = DOCUMENT_JOB_RETRY_BASE_MS * 2 ** (job.attempts - 1);
+            job.status = 'queued';
+            job.runAt = new Date(Date.now() + delay / 2 + Math.random() * delay / 2);
+        } else {
+            job.status = 'failed';
+            job.finishedAt = new Date();
+        }
+        await job.save();
+        documentJobsTotal.inc({ outcome: job.status === 'failed' ? 'failed' : 'retried' });
+    }
+
+    emitDocumentJob(job);
+};
+
+// Claim due jobs up to the concurrency limit
+const pollDocumentJobs = async () => {
+    if (mongoose.connection.readyState !== 1) {
+        return;
+    }
+
+    try {
+        while (documentWorker.running < DOCUMENT_JOB_CONCURRENCY) {
+            const job = await DocumentJob.findOneAndUpdate(
+                { status: 'queued', runAt: { $lte: new Date() } },
+                { $set: { status: 'running', stage: 'starting', startedAt: new Date(), heartbeatAt: new Date() }, $inc: { attempts: 1 } },
+                { sort: { runAt: 1 }, new: true }
+            );
+            if (!job) break;
+
+            documentWorker.running++;
+            emitDocumentJob(job);
+            const heartbeat = setInterval(() => {
+                DocumentJob.updateOne({ _id: job._id, status: 'running' }, { $set: { heartbeatAt: new Date() } })
+                    .catch(error => console.error(`Error updating heartbeat of document job ${job._id}:`, error.message));
+            }, DOCUMENT_JOB_STALE_MS / 5);
+            runDocumentJob(job)
+                .catch(error => console.error(`Error running document job ${job._id}:`, error.message))
+                .finally(() => {
+                    clearInterval(heartbeat);
+                    documentWorker.running--;
+                    setImmediate(pollDocumentJobs);
+                });
+        }
+    } catch (error) {
+        console.error('Error polling document jobs:', error.message);
+    }
+};
+
+// Jobs left running by a crashed or restarted process (no heartbeat for a while) are put
+// back in the queue, or failed once they have used up their attempts
+const requeueStaleDocumentJobs = async () => {
+    try {
+        const cutoff = new Date(Date.now() - DOCUMENT_JOB_STALE_MS);
+        const stale = {
+            status: 'running',
+            $or: [{ heartbeatAt: { $lt: cutoff } }, { heartbeatAt: null, startedAt: { $lt: cutoff } }]
+        };
+        await DocumentJob.updateMany(
+            { ...stale, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+            { $set: { status: 'failed', error: 'The worker stopped responding', finishedAt: new Date() } }
+        );
+        await DocumentJob.updateMany(stale, { $set: { status: 'queued', runAt: new Date() } });
+    } catch (error) {
+        console.error('Error requeueing stale document jobs:', error.message);
+    }
+};
+
+const startDocumentWorker = () => {
+    documentWorker.timer = setInterval(pollDocumentJobs, 2000);
+    setInterval(requeueStaleDocumentJobs, 60 * 1000);
+    requeueStaleDocumentJobs().then(pollDocumentJobs);
+};
+
+// ----------------Document ingestion rules------------------------------------
+const INGESTION_MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+const GLOB_PATTERN_MAX_LENGTH = 200;
+
+// Case-insensitive glob over the whole text: * matches any run of characters, ? exactly one.
+// Rule patterns are matched against names chosen by outside senders, so this is a linear
+// scan that backtracks only to the last *, never a regular expression.
+const globMatches = (pattern, text = '') => {
+    const p = [...pattern.toLowerCase()];
+    const t = [...text.toLowerCase()];
+    let i = 0;
+    let j = 0;
+    let star = -1;
+    let resume = 0;
+    while (j < t.length) {
+        if (i < p.length && (p[i] === '?' || p[i] === t[j])) {
+            i++;
+            j++;
+        } else if (i < p.length && p[i] === '*') {
+            star = i++;
+            resume = j;
+        } else if (star !== -1) {
+            i = star + 1;
+            j = ++resume;
+        } else {
+            return false;
+        }
+    }
+    while (p[i] === '*') i++;
+    return i === p.length;
+};
+
+const globPatternError = (field, pattern) => (
+    typeof pattern !== 'string' || pattern.length > GLOB_PATTERN_MAX_LENGTH
+        ? `${field} must be a glob pattern (* and ?) of at most ${GLOB_PATTERN_MAX_LENGTH} characters`
+        : null
+);
+
+// Check rule input from the API, returning an error message or null
+const validateIngestionRule = (rule) => {
+    if (rule.mediaTypes && (!Array.isArray(rule.mediaTypes) || rule.mediaTypes.some(type => !INGESTION_MEDIA_TYPES.includes(type)))) {
+        return `mediaTypes must be a list of: ${INGESTION_MEDIA_TYPES.join(', ')}`;
+    }
+    if (rule.mimeTypes && !Array.isArray(rule.mimeTypes)) {
+        return 'mimeTypes must be a list';
+    }
+    if (rule.senders && !Array.isArray(rule.senders)) {
+        return 'senders must be a list';
+    }
+    const patternError = rule.fileNamePattern && globPatternError('fileNamePattern', rule.fileNamePattern);
+    if (patternError) {
+        return patternError;
+    }
+    if (rule.maxSize !== undefined && rule.maxSize !== null && !(Number(rule.maxSize) > 0)) {
+        return 'maxSize must be a positive number of bytes';
+    }
+    if (rule.documentType && !DOCUMENT_TYPES[rule.documentType]) {
+        return `Unknown documentType: ${rule.documentType}`;
+    }
+    return null;
+};
+
+// Senders may be configured as bare phone numbers or full WhatsApp IDs
+const senderMatches = (senders, sender = '') => {
+    const phone = sender.split('@')[0];
+    return senders.some(s => s === sender || s.split('@')[0] === phone);
+};
+
+const mimeTypeMatches = (mimeTypes, mimeType = '') => mimeTypes.some(pattern => (
+    pattern.endsWith('/*') ? mimeType.startsWith(pattern.slice(0, -1)) : pattern === mimeType
+));
+
+const ingestionRuleMatches = (rule, message) => {
+    if (!rule.enabled) return false;
+    if (message.fromMe && !rule.includeOwnMessages) return false;
+    if (!(rule.mediaTypes?.length ? rule.mediaTypes : ['document', 'image']).includes(message.mediaType)) return false;
+    if (rule.mimeTypes?.length && !mimeTypeMatches(rule.mimeTypes, message.mimeType)) return false;
+    if (rule.senders?.length && !senderMatches(rule.senders, message.sender)) return false;
+    if (rule.fileNamePattern && !globMatches(rule.fileNamePattern, message.fileName || '')) return false;
+    if (rule.maxSize && message.fileSize && message.fileSize > rule.maxSize) return false;
+    return true;
+};
+
+// Queue analysis for a newly received media message when an organization rule matches it
+const applyIngestionRules = async (message) => {
+    if (!message.mediaId || message.mediaType === 'none') {
+        return null;
+    }
+
+    const organizations = await Organization.find({ chatIds: message.chatId, 'ingestionRules.enabled': true });
+    for (const organization of organizations) {
+        const rule = organization.ingestionRules.find(r => ingestionRuleMatches(r, message));
+        if (rule) {
+            return enqueueDocumentJob({
+                mediaId: message.mediaId,
+                chatId: message.chatId,
+                messageId: message.messageId,
+                documentType: rule.documentType,
+                source: 'ingestion-rule',
+                organization: organization._id,
+                ingestionRule: rule._id
+            });
+        }
+    }
+
+    return null;
+};
+
+// ----------------Chat sync---------------------------------------------------
+// Periodically pages through Whapi /chats and /groups on every active channel and mirrors
+// them into the Chat collection, which the listing endpoints serve from.
+const CHAT_SYNC_INTERVAL_MS = parseInt(process.env.CHAT_SYNC_INTERVAL_MS) || 10 * 60 * 1000;
+const CHAT_SYNC_PAGE_SIZE = 100;
+
+const chatSync = {
+    running: null,
+    lastRun: null
+};
+
+// Page through a Whapi listing (/chats or /groups) until a short page or the reported total
+const fetchAllWhapiPages = async (endpoint, key, channel) => {
+    const items = [];
+    for (let offset = 0; ; offset += CHAT_SYNC_PAGE_SIZE) {
+        const page = await whapiRequest(`${endpoint}?count=${CHAT_SYNC_PAGE_SIZE}&offset=${offset}`, 'get', null, channel);
+        const batch = page[key] || [];
+        items.push(...batch);
+        if (batch.length < CHAT_SYNC_PAGE_SIZE || (page.total && items.length >= page.total)) {
+            return items;
+        }
+    }
+};
+
+// Chat fields as we store them, from a Whapi chat or group object
+const chatFieldsFromWhapi = (whapiChat, channelId) => {
+    const isGroup = whapiChat.type === 'group' || whapiChat.id.includes('@g.us');
+    const fields = {
+        name: whapiChat.name || whapiChat.subject || (isGroup ? `Group ${whapiChat.id.split('@')[0]}` : `Chat with ${whapiChat.id}`),
+        isGroup,
+        channel: channelId
+    };
+    if (Array.isArray(whapiChat.participants)) {
+        fields.participants = whapiChat.participants.map(p => typeof p === 'string' ? p : p.id);
+        fields.groupAdmins = whapiChat.participants
+            .filter(p => typeof p === 'object' && ['admin', 'creator'].includes(p.rank))
+            .map(p => p.id);
+    }
+    if (typeof whapiChat.description === 'string') fields.description = whapiChat.description;
+    const picture = whapiChat.chat_pic || whapiChat.profilePictureUrl || whapiChat.icon;
+    if (picture) fields.profilePicture = picture;
+    if (typeof whapiChat.unread === 'number') fields.unreadCount = whapiChat.unread;
+
+    const lastTimestamp = whapiChat.last_message?.timestamp || whapiChat.timestamp;
+    if (lastTimestamp) fields.lastMessageAt = new Date(lastTimestamp * 1000);
+    return fields;
+};
+
+const chatChanged = (existing, fields) => {
+    if (!existing || existing.removedAt) return true;
+    return Object.entries(fields).some(([key, value]) => {
+        if (key === 'lastMessageAt') return !existing.lastMessageAt || value > existing.lastMessageAt;
+        if (key === 'participants') return (existing.participants || []).join(',') !== value.join(',');
+        return String(existing[key] ?? '') !== String(value ?? '');
+    });
+};
+
+const syncChannelChats = async (channel, startedAt) => {
+    const chats = await fetchAllWhapiPages('/chats', 'chats', channel);
+    const groups = await fetchAllWhapiPages('/groups', 'groups', channel);
+
+    // /groups carries participants that /chats leaves out
+    const byId = new Map();
+    [...chats, ...groups].forEach(whapiChat => {
+        if (!whapiChat?.id) return;
+        byId.set(whapiChat.id, { ...byId.get(whapiChat.id), ...whapiChat });
+    });
+
+    const existing = await Chat.find({ chatId: { $in: [...byId.keys()] } }).lean();
+    const existingById = new Map(existing.map(chat => [chat.chatId, chat]));
+
+    const changed = [];
+    const operations = [...byId.values()].map(whapiChat => {
+        const { lastMessageAt, ...fields } = chatFieldsFromWhapi(whapiChat, channel._id);
+        if (chatChanged(existingById.get(whapiChat.id), { ...fields, ...(lastMessageAt ? { lastMessageAt } : {}) })) {
+            changed.push(whapiChat.id);
+        }
+        return {
+            updateOne: {
+                filter: { chatId: whapiChat.id },
+                update: {
+                    $set: { ...fields, syncedAt: startedAt, removedAt: null },
+                    $setOnInsert: { chatId: whapiChat.id, createdAt: startedAt },
+                    ...(lastMessageAt ? { $max: { lastMessageAt } } : {})
+                },
+                upsert: true
+            }
+        };
+    });
+    if (operations.length > 0) {
+        await Chat.bulkWrite(operations, { ordered: false });
+    }
+
+    const assigned = await autoAssignChats([...byId.values()].map(whapiChat => ({
+        participants: existingById.get(whapiChat.id)?.participants,
+        ...chatFieldsFromWhapi(whapiChat, channel._id),
+        chatId: whapiChat.id,
+        organization: existingById.get(whapiChat.id)?.organization
+    })));
+    changed.push(...assigned.filter(chatId => !changed.includes(chatId)));
+
+    await recordContacts(contactSightingsFromChats([...byId.values()].map(whapiChat => ({
+        chatId: whapiChat.id,
+        ...chatFieldsFromWhapi(whapiChat, channel._id)
+    }))));
+
+    // Chats an earlier sync saw on this channel that Whapi no longer lists. Chats never synced
+    // (created by a webhook or a send, possibly while this sync ran) are left alone.
+    const removed = await Chat.find({
+        channel: channel._id,
+        removedAt: null,
+        syncedAt: { $lt: startedAt }
+    }).select('chatId');
+    if (removed.length > 0) {
+        await Chat.updateMany({ _id: { $in: removed.map(chat => chat._id) } }, { $set: { removedAt: new Date() } });
+    }
+
+    const updatedChats = await Chat.find({ chatId: { $in: changed } }).populate('organization');
+    await Promise.all([
+        ...updatedChats.map(chat => broadcastForChat(chat.chatId, 'chat_updated', chat)),
+        ...removed.map(chat => broadcastForChat(chat.chatId, 'chat_removed', { chatId: chat.chatId, channel: channel._id }))
+    ]);
+
+    return { channel: channel._id, label: channel.label, chats: byId.size, changed: changed.length, removed: removed.length };
+};
+
+// Sync every active channel; a channel that fails is reported and left untouched
+const syncChats = async (socketServer = io) => {
+    if (chatSync.running) return chatSync.running;
+
+    chatSync.running = (async () => {
+        const startedAt = new Date();
+        const channels = await Channel.find({ active: true });
+        const results = [];
+
+        for (const channel of channels) {
+            try {
+                results.push(await syncChannelChats(channel, startedAt));
+            } catch (error) {
+                console.error(`Error syncing chats for channel ${channel.label}:`, error.message);
+                results.push({ channel: channel._id, label: channel.label, error: error.message });
+            }
+        }
+
+        const finishedAt = new Date();
+        if (results.some(result => !result.error)) {
+            const [chats, groups] = await Promise.all([
+                Chat.countDocuments({ isGroup: false, removedAt: null }),
+                Chat.countDocuments({ isGroup: true, removedAt: null })
+            ]);
+            await SystemInfo.updateOne({}, { $set: { lastSync: finishedAt, 'stats.chats': chats, 'stats.groups': groups } }, { upsert: true });
+        }
+
+        chatSync.lastRun = { startedAt, finishedAt, channels: results };
+        socketServer.to('admins').emit('chats_synced', chatSync.lastRun);
+        return chatSync.lastRun;
+    })();
+
+    try {
+        return await chatSync.running;
+    } finally {
+        chatSync.running = null;
+    }
+};
+
+const startChatSync = () => {
+    const run = () => {
+        if (mongoose.connection.readyState !== 1) return;
+        syncChats().catch(error => console.error('Error syncing chats:', error.message));
+    };
+    setInterval(run, CHAT_SYNC_INTERVAL_MS).unref();
+    setTimeout(run, 5000).unref();
+};
+
+// ----------------Chat assignment---------------------------------------------
+// Organization.chatIds is the source of truth for which organization a chat belongs to
+// (access control reads it). Chat.organization mirrors it for listings and is only written
+// here; repairChatAssignments rebuilds it. A chat belongs to at most one organization.
+const ASSIGNMENT_CHAT_TYPES = ['any', 'individual', 'group'];
+
+const notifyAssignment = (organizationIds, payload) => {
+    let target = io.to('admins');
+    organizationIds.forEach(organizationId => {
+        target = target.to(`org:${organizationId}`);
+    });
+    target.emit('chats_assigned', payload);
+};
+
+// Move chats into an organization, taking them out of any other organization
+const assignChats = async (chatIds, organizationId, source = 'manual') => {
+    const previous = await Organization.find({ _id: { $ne: organizationId }, chatIds: { $in: chatIds } }).select('_id');
+    if (previous.length > 0) {
+        await Organization.updateMany({ _id: { $in: previous.map(organization => organization._id) } }, { $pull: { chatIds: { $in: chatIds } } });
+    }
+    await Organization.updateOne({ _id: organizationId }, { $addToSet: { chatIds: { $each: chatIds } } });
+    await Chat.updateMany({ chatId: { $in: chatIds } }, { $set: { organization: organizationId, assignmentSource: source } });
+
+    notifyAssignment([organizationId, ...previous.map(organization => organization._id)], { organization: organizationId, chatIds, source });
+    emitWebhookEvent('chat.assigned', { organization: organizationId }, { chatIds, source });
+    previous.forEach(organization => {
+        emitWebhookEvent('chat.unassigned', { organization: organization._id }, { chatIds, movedTo: organizationId });
+    });
+    return previous.map(organization => organization._id);
+};
+
+const unassignChats = async (chatIds, organizationId) => {
+    await Organization.updateOne({ _id: organizationId }, { $pull: { chatIds: { $in: chatIds } } });
+    await Chat.updateMany(
+        { chatId: { $in: chatIds }, organization: organizationId },
+        { $unset: { organization: 1, assignmentSource: 1 } }
+    );
+
+    notifyAssignment([organizationId], { organization: null, previousOrganization: organizationId, chatIds });
+    emitWebhookEvent('chat.unassigned', { organization: organizationId }, { chatIds, movedTo: null });
+};
+
+// Check rule input from the API, returning an error message or null
+const validateAssignmentRule = (rule) => {
+    if (rule.chatType && !ASSIGNMENT_CHAT_TYPES.includes(rule.chatType)) {
+        return `chatType must be one of: ${ASSIGNMENT_CHAT_TYPES.join(', ')}`;
+    }
+    for (const field of ['participantPrefixes', 'participantDomains', 'contacts']) {
+        if (rule[field] && (!Array.isArray(rule[field]) || rule[field].some(value => typeof value !== 'string'))) {
+            return `${field} must be a list of strings`;
+        }
+    }
+    const patternError = rule.groupSubjectPattern && globPatternError('groupSubjectPattern', rule.groupSubjectPattern);
+    if (patternError) {
+        return patternError;
+    }
+    return null;
+};
+
+const phoneDigits = (id = '') => id.split('@')[0].replace(/\D/g, '');
+
+// Every condition a rule sets must hold; within a list any entry may match. The members of
+// a chat are its participants for groups and the contact itself otherwise.
+const assignmentRuleMatches = (rule, chat) => {
+    if (!rule.enabled) return false;
+    if (!(rule.groupSubjectPattern || rule.participantPrefixes?.length || rule.participantDomains?.length || rule.contacts?.length)) {
+        return false;
+    }
+    if (rule.chatType === 'group' && !chat.isGroup) return false;
+    if (rule.chatType === 'individual' && chat.isGroup) return false;
+
+    const members = chat.isGroup ? (chat.participants || []) : [chat.chatId];
+    if (rule.groupSubjectPattern && !(chat.isGroup && globMatches(rule.groupSubjectPattern, chat.name || ''))) {
+        return false;
+    }
+    if (rule.participantPrefixes?.length) {
+        const prefixes = rule.participantPrefixes.map(prefix => prefix.replace(/\D/g, '')).filter(Boolean);
+        if (!members.some(member => prefixes.some(prefix => phoneDigits(member).startsWith(prefix)))) return false;
+    }
+    if (rule.participantDomains?.length && !members.some(member => rule.participantDomains.includes(member.split('@')[1]))) {
+        return false;
+    }
+    if (rule.contacts?.length && !members.some(member => senderMatches(rule.contacts, member))) {
+        return false;
+    }
+    return true;
+};
+
+// Called for chats the sync has seen and chats seen for the first time. Chats an organization
+// already lists only get Chat.organization brought in line; the rest go to the oldest
+// organization with a matching rule. Returns the IDs of chats whose organization changed.
+const autoAssignChats = async (chats) => {
+    if (chats.length === 0) return [];
+
+    const chatIds = new Set(chats.map(chat => chat.chatId));
+    const owners = await Organization.find({ chatIds: { $in: [...chatIds] } }).select('chatIds');
+    const ownerByChat = new Map();
+    owners.forEach(organization => organization.chatIds.forEach(chatId => {
+        if (chatIds.has(chatId)) ownerByChat.set(chatId, organization._id);
+    }));
+
+    const changed = [];
+    const mirrored = chats.filter(chat => ownerByChat.has(chat.chatId) && String(chat.organization) !== String(ownerByChat.get(chat.chatId)));
+    if (mirrored.length > 0) {
+        await Chat.bulkWrite(mirrored.map(chat => ({
+            updateOne: { filter: { chatId: chat.chatId }, update: { $set: { organization: ownerByChat.get(chat.chatId) } } }
+        })));
+        changed.push(...mirrored.map(chat => chat.chatId));
+    }
+
+    const unassigned = chats.filter(chat => !ownerByChat.has(chat.chatId));
+    if (unassigned.length === 0) return changed;
+
+    const organizations = await Organization.find({ 'assignmentRules.enabled': true }).sort({ createdAt: 1 }).select('assignmentRules');
+    const matched = new Map();
+    unassigned.forEach(chat => {
+        const organization = organizations.find(candidate => candidate.assignmentRules.some(rule => assignmentRuleMatches(rule, chat)));
+        if (!organization) return;
+        const key = String(organization._id);
+        if (!matched.has(key)) matched.set(key, []);
+        matched.get(key).push(chat.chatId);
+    });
+
+    for (const [organizationId, matchedChatIds] of matched) {
+        await assignChats(matchedChatIds, organizationId, 'rule');
+        changed.push(...matchedChatIds);
+    }
+    return changed;
+};
+
+// Bring Organization.chatIds and Chat.organization back in line. A chat listed by several
+// organizations stays with the one its Chat record names (else the oldest organization).
+const repairChatAssignments = async () => {
+    const organizations = await Organization.find({}).sort({ createdAt: 1 }).select('chatIds');
+    const listedBy = new Map();
+    organizations.forEach(organization => (organization.chatIds || []).forEach(chatId => {
+        if (!listedBy.has(chatId)) listedBy.set(chatId, []);
+        listedBy.get(chatId).push(organization._id);
+    }));
+
+    const chats = await Chat.find({
+        $or: [{ chatId: { $in: [...listedBy.keys()] } }, { organization: { $ne: null } }]
+    }).select('chatId organization');
+    const chatById = new Map(chats.map(chat => [chat.chatId, chat]));
+
+    const owner = new Map();
+    let duplicatesResolved = 0;
+    for (const [chatId, organizationIds] of listedBy) {
+        let keep = organizationIds[0];
+        if (organizationIds.length > 1) {
+            const named = chatById.get(chatId)?.organization;
+            keep = organizationIds.find(id => named && id.equals(named)) || keep;
+            await Organization.updateMany(
+                { _id: { $in: organizationIds.filter(id => !id.equals(keep)) } },
+                { $pull: { chatIds: chatId } }
+            );
+            duplicatesResolved += 1;
+        }
+        owner.set(chatId, keep);
+    }
+
+    const operations = [];
+    chats.forEach(chat => {
+        const expected = owner.get(chat.chatId);
+        if (expected && !(chat.organization && chat.organization.equals(expected))) {
+            operations.push({ updateOne: { filter: { _id: chat._id }, update: { $set: { organization: expected } } } });
+        } else if (!expected && chat.organization) {
+            operations.push({ updateOne: { filter: { _id: chat._id }, update: { $unset: { organization: 1, assignmentSource: 1 } } } });
+        }
+    });
+    if (operations.length > 0) {
+        await Chat.bulkWrite(operations, { ordered: false });
+    }
+
+    return { checkedChats: chats.length, duplicatesResolved, chatsUpdated: operations.length };
+};
+
+// ----------------Contacts----------------------------------------------------
+// Whapi gives bare phone numbers in some places (message senders, group participants) and
+// full WhatsApp IDs in others; both map to the same contact.
+const contactIdFor = (id = '') => {
+    const [user, domain] = String(id).split('@');
+    if (!domain || domain === 'c.us') return `${user.replace(/\D/g, '')}@s.whatsapp.net`;
+    return `${user}@${domain}`;
+};
+
+const phoneForContactId = (contactId) => (contactId.endsWith('@s.whatsapp.net') ? contactId.split('@')[0] : undefined);
+
+// Every form a contact's ID may be stored in on chats and messages
+const contactIdentifiers = (contact) => {
+    const ids = [contact.contactId, ...(contact.aliases || [])];
+    return [...new Set(ids.flatMap(id => [id, id.split('@')[0]]))];
+};
+
+// Upsert contacts from sightings ({ id, pushName, profilePicture, seenAt }), only filling in
+// what each sighting tells us. Merged contacts are found through their aliases.
+const recordContacts = async (sightings) => {
+    const operations = sightings
+        .filter(sighting => sighting.id && !String(sighting.id).endsWith('@g.us'))
+        .map(({ id, pushName, profilePicture, seenAt }) => {
+            const contactId = contactIdFor(id);
+            const update = { $setOnInsert: { contactId, createdAt: new Date() } };
+            if (phoneForContactId(contactId)) update.$setOnInsert.phone = phoneForContactId(contactId);
+            const fields = {};
+            if (pushName) fields.pushName = pushName;
+            if (profilePicture) fields.profilePicture = profilePicture;
+            if (Object.keys(fields).length > 0) update.$set = fields;
+            if (seenAt) update.$max = { lastSeenAt: seenAt };
+            return { updateOne: { filter: { $or: [{ contactId }, { aliases: contactId }] }, update, upsert: true } };
+        });
+    if (operations.length === 0) return;
+
+    try {
+        await Contact.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+        // Concurrent upserts of a new contact collide on the unique index; one of them wins
+        if (error.code !== 11000 && !error.writeErrors?.every(writeError => writeError.code === 11000)) {
+            throw error;
+        }
+    }
+};
+
+// Contacts from chats and groups as the sync (or a rebuild) sees them
+const contactSightingsFromChats = (chats) => chats.flatMap(chat => (chat.isGroup
+    ? (chat.participants || []).map(id => ({ id }))
+    : [{
+        id: chat.chatId,
+        pushName: chat.name && chat.name !== `Chat with ${chat.chatId}` ? chat.name : undefined,
+        profilePicture: chat.profilePicture,
+        seenAt: chat.lastMessageAt
+    }]));
+
+// Non-administrators see contacts linked to their organizations and people in their chats
+const contactScopeFilter = async (user) => {
+    const organizationIds = getAccessibleOrganizationIds(user);
+    if (organizationIds === null) return {};
+
+    const chats = await Chat.find({ chatId: { $in: await getAccessibleChatIds(user) } }).select('chatId isGroup participants');
+    const ids = [...new Set(chats.flatMap(chat => (chat.isGroup ? chat.participants : [chat.chatId]).map(contactIdFor)))];
+    return { $or: [{ organization: { $in: organizationIds } }, { contactId: { $in: ids } }, { aliases: { $in: ids } }] };
+};
+
+// Fold sources into target: their IDs become aliases, and fields the target lacks are copied
+const mergeContacts = async (target, sources) => {
+    const aliases = new Set(target.aliases);
+    sources.forEach(source => {
+        aliases.add(source.contactId);
+        (source.aliases || []).forEach(alias => aliases.add(alias));
+    });
+    aliases.delete(target.contactId);
+    target.aliases = [...aliases];
+
+    ['phone', 'pushName', 'profilePicture', 'label', 'organization'].forEach(field => {
+        if (!target[field]) {
+            target[field] = sources.find(source => source[field])?.[field];
+        }
+    });
+    const lastSeen = [target, ...sources].map(contact => contact.lastSeenAt).filter(Boolean).sort((a, b) => b - a)[0];
+    if (lastSeen) target.lastSeenAt = lastSeen;
+
+    // Target first: if saving fails the sources survive, and sightings arriving in between
+    // match the target's new aliases instead of re-creating a deleted source
+    const saved = await target.save();
+    await Contact.deleteMany({ _id: { $in: sources.map(source => source._id) } });
+    return saved;
+};
+
+// ----------------Group administration----------------------------------------
+// Participants as Whapi expects them: phone numbers for regular accounts, full IDs otherwise
+const whapiParticipantId = (id) => {
+    const contactId = contactIdFor(id.trim());
+    return phoneForContactId(contactId) || contactId;
+};
+
+const parseParticipantList = (participants) => {
+    if (!Array.isArray(participants) || participants.length === 0
+        || participants.some(participant => typeof participant !== 'string' || !participant.trim())) {
+        return null;
+    }
+    return [...new Set(participants.map(whapiParticipantId))];
+};
+
+// Apply a group change to the local Chat record and announce it
+const applyGroupChange = async (chatId, action, update, details = {}) => {
+    const chat = await Chat.findOneAndUpdate({ chatId }, update, { new: true }).populate('organization');
+    if (chat) {
+        broadcastForChat(chatId, 'chat_updated', chat);
+    }
+    broadcastForChat(chatId, 'group_updated', { chatId, action, ...details });
+    return chat;
+};
+
+// Group fields recorded in the audit log
+const groupAuditSnapshot = (chat) => (chat ? {
+    name: chat.name,
+    description: chat.description,
+    participants: chat.participants,
+    groupAdmins: chat.groupAdmins,
+    profilePicture: chat.profilePicture
+} : null);
+
+const findGroupForAudit = async (chatId) => groupAuditSnapshot(await Chat.findOne({ chatId }));
+
+const requireGroupChat = (req, res, next) => {
+    if (!req.params.chatId.endsWith('@g.us')) {
+        return res.status(400).json({ message: 'Not a group chat' });
+    }
+    next();
+};
+
+// ----------------Campaigns---------------------------------------------------
+// Campaigns are sent one recipient at a time by whichever process holds the campaign's lease.
+// Sends are spaced per channel so concurrent campaigns share the channel's rate.
+const CAMPAIGN_RATE_PER_MINUTE = parseInt(process.env.CAMPAIGN_RATE_PER_MINUTE) || 20;
+const CAMPAIGN_LEASE_MS = 2 * 60 * 1000;
+const CAMPAIGN_VARIABLES = ['name', 'chatName', 'label', 'phone', 'organization'];
+
+const campaignRunners = new Set();
+const campaignChannelSlots = new Map();
+
+const renderCampaignTemplate = (template, variables = {}) => (
+    template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => variables[key] ?? '')
+);
+
+// Chat IDs for a campaign target, with the variables each message is rendered with.
+// Contact targets only match contacts the user can see.
+const resolveCampaignRecipients = async (target, user) => {
+    let chatIds = [];
+    if (target.organization) {
+        const organization = await Organization.findById(target.organization).select('chatIds');
+        chatIds = organization?.chatIds || [];
+    } else if (target.chatIds?.length) {
+        chatIds = target.chatIds;
+    } else if (target.contacts) {
+        const { organization, contactIds, q } = target.contacts;
+        const query = { $and: [await contactScopeFilter(user)] };
+        if (organization) query.organization = organization;
+        if (contactIds?.length) query._id = { $in: contactIds };
+        if (q) {
+            const pattern = new RegExp(escapeRegExp(q), 'i');
+            query.$or = [{ label: pattern }, { pushName: pattern }, { phone: pattern }];
+        }
+        chatIds = (await Contact.find(query).select('contactId')).map(contact => contact.contactId);
+    }
+    chatIds = [...new Set(chatIds)];
+
+    const [chats, contacts] = await Promise.all([
+        Chat.find({ chatId: { $in: chatIds } }).populate('organization', 'name'),
+        Contact.find({ $or: [{ contactId: { $in: chatIds } }, { aliases: { $in: chatIds } }] })
+    ]);
+    const chatById = new Map(chats.map(chat => [chat.chatId, chat]));
+    const contactById = new Map();
+    contacts.forEach(contact => [contact.contactId, ...contact.aliases].forEach(id => contactById.set(id, contact)));
+
+    return chatIds.map(chatId => {
+        const chat = chatById.get(chatId);
+        const contact = contactById.get(chatId);
+        const phone = chatId.endsWith('@g.us') ? '' : chatId.split('@')[0];
+        const variables = {
+            name: contact?.label || contact?.pushName || chat?.name || phone,
+            chatName: chat?.name || '',
+            label: contact?.label || '',
+            phone,
+            organization: chat?.organization?.name || ''
+        };
+        return { chatId, name: variables.name, variables };
+    });
+};
+
+const campaignSummary = (campaign) => {
+    const counts = { pending: 0, sent: 0, failed: 0, skipped: 0 };
+    campaign.recipients.forEach(recipient => {
+        counts[recipient.status] += 1;
+    });
+    return {
+        _id: campaign._id,
+        name: campaign.name,
+        status: campaign.status,
+        organization: campaign.organization,
+        scheduledAt: campaign.scheduledAt,
+        startedAt: campaign.startedAt,
+        finishedAt: campaign.finishedAt,
+        total: campaign.recipients.length,
+        counts
+    };
+};
+
+const emitCampaign = (campaign) => {
+    let target = io.to('admins');
+    if (campaign.organization) target = target.to(`org:${campaign.organization}`);
+    target.emit('campaign_updated', campaignSummary(campaign));
+};
+
+// Wait for the channel's next send slot and reserve the one after it
+const waitForCampaignSlot = async (channelKey, intervalMs) => {
+    const now = Date.now();
+    const slot = Math.max(now, campaignChannelSlots.get(channelKey) || 0);
+    campaignChannelSlots.set(channelKey, slot + intervalMs);
+    if (slot > now) await sleep(slot - now);
+};
+
+const claimCampaign = (campaignId) => {
+    const now = new Date();
+    return Campaign.findOneAndUpdate(
+        {
+            _id: campaignId,
+            status: { $in: ['scheduled', 'running'] },
+            scheduledAt: { $lte: now },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+        },
+        { $set: { status: 'running', lockedUntil: new Date(now.getTime() + CAMPAIGN_LEASE_MS) } },
+        { new: true }
+    );
+};
+
+const runCampaign = async (campaignId) => {
+    const key = String(campaignId);
+    if (campaignRunners.has(key)) return;
+    campaignRunners.add(key);
+
+    try {
+        let campaign = await claimCampaign(campaignId);
+        if (!campaign) return;
+        if (!campaign.startedAt) {
+            campaign.startedAt = new Date();
+            await Campaign.updateOne({ _id: campaign._id, startedAt: null }, { $set: { startedAt: campaign.startedAt } });
+        }
+        emitCampaign(campaign);
+
+        const intervalMs = 60 * 1000 / (campaign.ratePerMinute || CAMPAIGN_RATE_PER_MINUTE);
+        const channelKey = campaign.channel ? String(campaign.channel) : 'default';
+
+        for (;;) {
+            // Pause and cancel take effect between messages; each pass renews the lease
+            campaign = await Campaign.findOneAndUpdate(
+                { _id: campaignId, status: 'running' },
+                { $set: { lockedUntil: new Date(Date.now() + intervalMs + CAMPAIGN_LEASE_MS) } },
+                { new: true }
+            );
+            if (!campaign) break;
+
+            // Status changes are conditional updates so a concurrent pause or cancel is never overwritten
+            const recipient = campaign.recipients.find(r => r.status === 'pending');
+            if (!recipient) {
+                const completed = await Campaign.findOneAndUpdate(
+                    { _id: campaignId, status: 'running' },
+                    { $set: { status: 'completed', finishedAt: new Date() } },
+                    { new: true }
+                );
+                if (completed) emitCampaign(completed);
+                break;
+            }
+
+            await waitForCampaignSlot(channelKey, intervalMs);
+
+            const body = renderCampaignTemplate(campaign.template, recipient.variables);
+            let result;
+            try {
+                result = await sendOutgoingMessage('/messages/text', { to: recipient.chatId, body }, {
+                    chatId: recipient.chatId,
+                    content: body,
+                    campaign: campaign._id
+                }, io, campaign.channel, { deferIfThrottled: true });
+            } catch (error) {
+                result = { error };
+            }
+
+            // Whapi is throttling us or unavailable: keep the recipient pending and back off
+            const { error } = result;
+            if (isWhapiBackoff(error)) {
+                await sleep(Math.max((error.retryAfter || 0) * 1000, intervalMs));
+                continue;
+            }
+
+            await Campaign.updateOne(
+                { _id: campaign._id, 'recipients.chatId': recipient.chatId },
+                {
+                    $set: {
+                        'recipients.$.status': error ? 'failed' : 'sent',
+                        'recipients.$.messageId': result.message?.messageId,
+                        'recipients.$.error': error ? (result.message?.error || error.message) : null,
+                        'recipients.$.sentAt': new Date()
+                    }
+                }
+            );
+            recipient.status = error ? 'failed' : 'sent';
+            emitCampaign(campaign);
+        }
+    } catch (error) {
+        console.error(`Error running campaign ${key}:`, error.message);
+    } finally {
+        await Campaign.updateOne({ _id: campaignId }, { $set: { lockedUntil: null } }).catch(() => {});
+        campaignRunners.delete(key);
+    }
+};
+
+// Start due campaigns, and pick up running ones whose process went away
+const pollCampaigns = async () => {
+    if (mongoose.connection.readyState !== 1) return;
+
+    try {
+        const now = new Date();
+        const due = await Campaign.find({
+            status: { $in: ['scheduled', 'running'] },
+            scheduledAt: { $lte: now },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+        }).select('_id');
+        due.forEach(({ _id }) => {
+            runCampaign(_id).catch(error => console.error(`Error running campaign ${_id}:`, error.message));
+        });
+    } catch (error) {
+        console.error('Error polling campaigns:', error.message);
+    }
+};
+
+const startCampaignWorker = () => {
+    setInterval(pollCampaigns, 15 * 1000).unref();
+};
+
+// ----------------Audit log---------------------------------------------------
+// Every POST/PUT/PATCH/DELETE under /api (except Whapi webhooks) is logged when the response
+// finishes. Routes describe what changed with auditChange; other requests are logged with
+// the route and target taken from the URL. Request bodies are never stored.
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const AUDIT_REDACTED_FIELDS = ['password', 'passwordHash', 'token', 'webhookSecret', 'secret', 'apiKeys', 'hash'];
+const AUDIT_TARGET_TYPES = {
+    auth: 'user',
+    users: 'user',
+    organizations: 'organization',
+    channels: 'channel',
+    chats: 'chat',
+    messages: 'chat',
+    groups: 'chat',
+    contacts: 'contact',
+    campaigns: 'campaign',
+    transcripts: 'transcript',
+    documents: 'document',
+    media: 'media',
+    system: 'system'
+};
+
+// Plain JSON copy of a document or object (ObjectIds and dates become strings)
+const auditSnapshot = (value) => (value ? JSON.parse(JSON.stringify(value)) : null);
+
+const flattenForAudit = (value, prefix = '', out = {}, depth = 0) => {
+    Object.entries(value || {}).forEach(([key, item]) => {
+        if (AUDIT_REDACTED_FIELDS.includes(key) || key === '__v' || key === 'updatedAt') return;
+        const field = prefix ? `${prefix}.${key}` : key;
+        if (item && typeof item === 'object' && !Array.isArray(item) && depth < 2) {
+            flattenForAudit(item, field, out, depth + 1);
+        } else {
+            out[field] = item;
+        }
+    });
+    return out;
+};
+
+// Field-level differences between two snapshots; nested objects are compared two levels deep
+const auditDiff = (before, after) => {
+    const previous = flattenForAudit(auditSnapshot(before));
+    const next = flattenForAudit(auditSnapshot(after));
+    return [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+        .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(next[field]))
+        .map(field => ({ field, before: previous[field] ?? null, after: next[field] ?? null }));
+};
+
+// Describe the change a route made; before should be captured before modifying anything
+const auditChange = (res, action, { before = null, after = null, target, organization, meta } = {}) => {
+    res.locals.audit = { action, changes: auditDiff(before, after), target, organization, meta };
+};
+
+const auditTargetFromRequest = (req) => {
+    const section = req.originalUrl.split('?')[0].split('/')[2];
+    return {
+        type: AUDIT_TARGET_TYPES[section] || section || null,
+        id: req.params?.id || req.params?.chatId || req.params?.fileId || req.params?.mediaId || null
+    };
+};
+
+const writeAuditLog = async (req, res) => {
+    const details = res.locals.audit || {};
+    const target = details.target || auditTargetFromRequest(req);
+
+    let organization = details.organization || (target.type === 'organization' ? target.id : null);
+    if (!organization && target.type === 'chat' && target.id) {
+        organization = (await Organization.findOne({ chatIds: target.id }).select('_id'))?._id;
+    }
+
+    const route = req.route ? req.route.path : null;
+    await AuditLog.create({
+        actor: {
+            user: req.user?._id,
+            // Login and setup attempts have no user yet
+            email: req.user?.email || (req.originalUrl.startsWith('/api/auth/') ? req.body?.email : undefined)
+        },
+        action: details.action || `${req.method} ${route || req.originalUrl.split('?')[0]}`,
+        method: req.method,
+        route,
+        path: req.originalUrl.split('?')[0],
+        target,
+        organization: organization && mongoose.isValidObjectId(organization) ? organization : null,
+        changes: details.changes || [],
+        statusCode: res.statusCode,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        meta: details.meta
+    });
+};
+
+// Audit entry for a change made outside a request (background jobs); actor is who asked for it
+const recordAuditEvent = async ({ actor, action, target, chatId, before = null, after = null, meta }) => {
+    const organization = chatId ? (await Organization.findOne({ chatIds: chatId }).select('_id'))?._id : null;
+    await AuditLog.create({
+        actor: { user: actor?.user, email: actor?.email || 'system' },
+        action,
+        target,
+        organization,
+        changes: auditDiff(before, after),
+        meta
+    });
+};
+
+const auditRequests = (req, res, next) => {
+    if (!AUDITED_METHODS.includes(req.method) || req.path.startsWith('/webhooks/')) {
+        return next();
+    }
+    res.on('finish', () => {
+        writeAuditLog(req, res).catch(error => console.error('Error writing audit log:', error.message));
+    });
+    next();
+};
+
+// Text that a spreadsheet would run as a formula gets a leading apostrophe (values in
+// exports come from untrusted documents and messages)
+const neutralizeFormula = (text) => (/^[=+\-@\t\r]/.test(text) ? `'${text}` : text);
+
+// Quote a value for CSV output
+const csvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString()
+        : typeof value === 'number' ? String(value)
+            : neutralizeFormula(typeof value === 'object' ? JSON.stringify(value) : String(value));
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// ----------------Search------------------------------------------------------
+// Ranked search over messages, documents, chats and contacts, backed by the *_search text
+// indexes. A query is words, "exact phrases" and -excluded words, mixed with filters:
+//   in:<chat ID>  from:<phone, WhatsApp ID or "me">  type:<text|image|video|audio|document>
+//   org:<organization ID>  after:<date>  before:<date>  is:<message|document|chat|contact>
+const SEARCH_TYPES = ['message', 'document', 'chat', 'contact'];
+const SEARCH_FILTERS = ['in', 'from', 'type', 'org', 'after', 'before', 'is'];
+const SEARCH_MEDIA_TYPES = { text: 'none', none: 'none', image: 'image', video: 'video', audio: 'audio', document: 'document' };
+const SEARCH_SNIPPET_LENGTH = 160;
+const SEARCH_MAX_RESULTS = 500;
+
+const searchError = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Text of a typed field or line item value: what was read from the document, else the value
+const typedValueText = (field) => {
+    if (field === null || field === undefined) return [];
+    if (typeof field !== 'object') return [String(field)];
+    if (field.text) return [String(field.text)];
+    if (field.value !== undefined && field.value !== null && typeof field.value !== 'object') return [String(field.value)];
+    return [];
+};
+
+const documentSearchText = (document) => [
+    ...Object.values(document.fields || {}).flatMap(typedValueText),
+    ...(document.lineItems || []).flatMap(item => Object.values(item || {}).flatMap(typedValueText))
+].join('\n');
+
+// Documents saved before search existed have no searchText yet
+const backfillDocumentSearchText = async () => {
+    let updated = 0;
+    const cursor = Document.find({ searchText: { $exists: false } }).select('fields lineItems').lean().cursor();
+    for await (const document of cursor) {
+        await Document.updateOne({ _id: document._id }, { $set: { searchText: documentSearchText(document) } });
+        updated++;
+    }
+    return updated;
+};
+
+// Split a query into the text for $text and its filters ({ key: [values] })
+const parseSearchQuery = (input) => {
+    const filters = {};
+    const terms = [];
+    (String(input || '').match(/\w+:"[^"]*"|-?"[^"]*"|\S+/g) || []).forEach(token => {
+        const match = token.match(/^(\w+):(.+)$/);
+        const key = match?.[1].toLowerCase();
+        if (key && SEARCH_FILTERS.includes(key)) {
+            (filters[key] = filters[key] || []).push(match[2].replace(/^"|"$/g, ''));
+        } else {
+            terms.push(token);
+        }
+    });
+    return { text: terms.join(' ').trim(), filters };
+};
+
+// Matches the searched words (and their inflections, roughly) and phrases, for highlighting
+const searchHighlightPattern = (text) => {
+    const phrases = [...text.matchAll(/(?:^|\s)"([^"]+)"/g)]
+        .map(match => match[1].trim().split(/\s+/).map(escapeRegExp).join('\\s+'))
+        .filter(Boolean);
+    const words = text.replace(/-?"[^"]*"/g, ' ').split(/\s+/)
+        .filter(word => word && !word.startsWith('-'))
+        .map(word => word.replace(/[^\p{L}\p{N}]/gu, ''))
+        .filter(Boolean)
+        .map(word => `${escapeRegExp(word.length > 4 ? word.replace(/(es|s|ing|ed)$/i, '') : word)}[\\p{L}\\p{N}]*`);
+    const parts = [...phrases, ...words];
+    return parts.length > 0 ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${parts.join('|')})`, 'giu') : null;
+};
+
+// A window of text around the first match; highlights are [start, end) offsets into it
+const searchSnippet = (value, pattern) => {
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    pattern.lastIndex = 0;
+    const first = pattern.exec(text);
+    if (!first) return null;
+
+    let start = Math.max(0, first.index - Math.floor(SEARCH_SNIPPET_LENGTH / 4));
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    const end = Math.min(text.length, start + SEARCH_SNIPPET_LENGTH);
+    const prefix = start > 0 ? '…' : '';
+    const excerpt = text.slice(start, end);
+    pattern.lastIndex = 0;
+
+    return {
+        text: `${prefix}${excerpt}${end < text.length ? '…' : ''}`,
+        highlights: [...excerpt.matchAll(pattern)].map(match => [prefix.length + match.index, prefix.length + match.index + match[0].length])
+    };
+};
+
+// Snippet from the first listed field that contains a match, else the start of the first non-empty one
+const bestSnippet = (item, fields, pattern) => {
+    const values = fields.map(field => [field, item[field]]).filter(([, value]) => value);
+    if (pattern) {
+        for (const [field, value] of values) {
+            const snippet = searchSnippet(value, pattern);
+            if (snippet) return { field, ...snippet };
+        }
+    }
+    if (values.length === 0) return null;
+    const [field, value] = values[0];
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return { field, text: text.length > SEARCH_SNIPPET_LENGTH ? `${text.slice(0, SEARCH_SNIPPET_LENGTH)}…` : text, highlights: [] };
+};
+
+const parseSearchDate = (value, name) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw searchError(`Invalid ${name} date`);
+    return date;
+};
+
+// Combine the query string filters with the equivalent query parameters
+const buildSearchRequest = (query) => {
+    const { text, filters } = parseSearchQuery(query.q);
+    if (!text) throw searchError('Search text is required');
+
+    const list = (key, param) => [
+        ...(filters[key] || []),
+        ...(query[param] ? String(query[param]).split(',') : [])
+    ].map(value => value.trim()).filter(Boolean);
+
+    const types = list('is', 'types').map(type => type.toLowerCase().replace(/s$/, ''));
+    const unknownType = types.find(type => !SEARCH_TYPES.includes(type));
+    if (unknownType) throw searchError(`Unknown result type ${unknownType}; use ${SEARCH_TYPES.join(', ')}`);
+
+    const mediaTypes = list('type', 'mediaType').map(type => type.toLowerCase());
+    const unknownMediaType = mediaTypes.find(type => !SEARCH_MEDIA_TYPES[type]);
+    if (unknownMediaType) throw searchError(`Unknown media type ${unknownMediaType}; use ${Object.keys(SEARCH_MEDIA_TYPES).join(', ')}`);
+
+    const organizations = list('org', 'organization');
+    if (organizations.some(id => !mongoose.isValidObjectId(id))) throw searchError('Invalid organization');
+
+    const after = [...(filters.after || []), query.from].filter(Boolean).pop();
+    const before = [...(filters.before || []), query.to].filter(Boolean).pop();
+
+    return {
+        text,
+        types: types.length > 0 ? [...new Set(types)] : SEARCH_TYPES,
+        chatIds: list('in', 'chatId'),
+        senders: list('from', 'sender'),
+        mediaTypes: [...new Set(mediaTypes.map(type => SEARCH_MEDIA_TYPES[type]))],
+        organizations,
+        after: after ? parseSearchDate(after, 'after') : null,
+        before: before ? parseSearchDate(before, 'before') : null
+    };
+};
+
+// Chat IDs a search may look in (null means all) given the user's access and the chat/org filters
+const searchChatScope = async (user, search) => {
+    let chatIds = await getAccessibleChatIds(user);
+    const restrict = (ids) => {
+        chatIds = chatIds === null ? ids : chatIds.filter(id => ids.includes(id));
+    };
+    if (search.organizations.length > 0) {
+        const organizations = await Organization.find({ _id: { $in: search.organizations } }).select('chatIds');
+        restrict(organizations.flatMap(organization => organization.chatIds || []));
+    }
+    if (search.chatIds.length > 0) restrict(search.chatIds);
+    return chatIds;
+};
+
+// Every stored form of the given senders' IDs, following contact merges
+const searchSenderIds = async (senders) => {
+    const ids = senders.filter(sender => sender !== 'me').map(contactIdFor);
+    const contacts = await Contact.find({ $or: [{ contactId: { $in: ids } }, { aliases: { $in: ids } }] }).select('contactId aliases');
+    return [...new Set([
+        ...ids.flatMap(id => contactIdentifiers({ contactId: id })),
+        ...contacts.flatMap(contactIdentifiers)
+    ])];
+};
+
+const SEARCH_SOURCES = {
+    message: {
+        model: Message,
+        fields: ['content', 'fileName', 'senderName'],
+        result: (message) => ({
+            id: message.messageId,
+            chatId: message.chatId,
+            title: message.senderName || message.sender || (message.fromMe ? 'Me' : null),
+            timestamp: message.timestamp
+        })
+    },
+    document: {
+        model: Document,
+        fields: ['searchText', 'rawText', 'fileName', 'documentType'],
+        projection: { history: 0, corrections: 0 },
+        // Matched through the snippet; too large to return in full
+        hidden: ['rawText', 'searchText'],
+        result: (document) => ({
+            id: String(document._id),
+            chatId: document.chatId,
+            title: document.fileName || document.documentType || 'Document',
+            timestamp: document.processedAt
+        })
+    },
+    chat: {
+        model: Chat,
+        fields: ['name', 'description'],
+        result: (chat) => ({
+            id: chat.chatId,
+            chatId: chat.chatId,
+            title: chat.name,
+            timestamp: chat.lastMessageAt || null
+        })
+    },
+    contact: {
+        model: Contact,
+        fields: ['label', 'pushName', 'phone'],
+        result: (contact) => ({
+            id: String(contact._id),
+            chatId: null,
+            title: contact.label || contact.pushName || contact.phone || contact.contactId,
+            timestamp: contact.lastSeenAt || null
+        })
+    }
+};
+
+// Mongo filters per result type (without $text); types the filters rule out are left out.
+// Sender, media type and date filters only apply to messages and documents.
+const searchFilters = async (user, search) => {
+    const messageFilters = search.senders.length > 0 || search.mediaTypes.length > 0 || search.after || search.before;
+    const chatIds = await searchChatScope(user, search);
+    const inChats = (field = 'chatId') => (chatIds === null ? {} : { [field]: { $in: chatIds } });
+
+    const message = { ...inChats() };
+    if (search.senders.length > 0) {
+        const senderIds = await searchSenderIds(search.senders);
+        message.$or = [{ sender: { $in: senderIds } }, ...(search.senders.includes('me') ? [{ fromMe: true }] : [])];
+    }
+    if (search.mediaTypes.length > 0) message.mediaType = { $in: search.mediaTypes };
+    if (search.after || search.before) {
+        message.timestamp = {};
+        if (search.after) message.timestamp.$gte = search.after;
+        if (search.before) message.timestamp.$lt = search.before;
+    }
+
+    const document = { ...inChats() };
+    if (search.senders.length > 0 || search.mediaTypes.length > 0) {
+        // Documents are matched through the message that carried them
+        const carrier = { ...message, mediaId: { $ne: null } };
+        delete carrier.timestamp;
+        document.originalMessageId = { $in: await Message.distinct('messageId', carrier) };
+    }
+    if (search.after || search.before) {
+        document.processedAt = {};
+        if (search.after) document.processedAt.$gte = search.after;
+        if (search.before) document.processedAt.$lt = search.before;
+    }
+
+    const filters = { message, document };
+    if (!messageFilters) {
+        filters.chat = { ...inChats(), removedAt: null };
+        if (search.chatIds.length === 0) {
+            const contactFilters = [await contactScopeFilter(user)];
+            if (search.organizations.length > 0) contactFilters.push({ organization: { $in: search.organizations } });
+            filters.contact = { $and: contactFilters };
+        }
+    }
+    return Object.fromEntries(Object.entries(filters).filter(([type]) => search.types.includes(type)));
+};
+
+// Top results across types by text score (newest first on ties), with per-type match counts
+const runSearch = async (user, search, { limit, offset }) => {
+    const filters = await searchFilters(user, search);
+    const pattern = searchHighlightPattern(search.text);
+    const score = { $meta: 'textScore' };
+
+    const sections = await Promise.all(Object.entries(filters).map(async ([type, filter]) => {
+        const source = SEARCH_SOURCES[type];
+        const query = { $text: { $search: search.text }, ...filter };
+        const [items, count] = await Promise.all([
+            source.model.find(query)
+                .select({ ...source.projection, score })
+                .sort({ score })
+                .limit(offset + limit)
+                .lean(),
+            source.model.countDocuments(query)
+        ]);
+        return {
+            type,
+            count,
+            results: items.map(({ score: itemScore, ...item }) => {
+                const snippet = bestSnippet(item, source.fields, pattern);
+                (source.hidden || []).forEach(field => delete item[field]);
+                return { type, ...source.result(item), score: itemScore, snippet, item };
+            })
+        };
+    }));
+
+    const results = sections
+        .flatMap(section => section.results)
+        .sort((a, b) => (b.score - a.score) || (new Date(b.timestamp || 0) - new Date(a.timestamp || 0)));
+
+    return {
+        counts: Object.fromEntries(sections.map(section => [section.type, section.count])),
+        total: sections.reduce((sum, section) => sum + section.count, 0),
+        results: results.slice(offset, offset + limit)
+    };
+};
+
+// ----------------Outbound webhooks-------------------------------------------
+// Organizations subscribe URLs to events. Each event becomes one stored delivery per matching
+// webhook, retried with exponential backoff until the receiver answers 2xx or attempts run out.
+// Requests carry X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// keyed with the webhook's secret, plus X-Webhook-Id (the event ID, stable across redeliveries).
+const WEBHOOK_EVENTS = [
+    'document.processed',
+    'document.reviewed',
+    'document.approved',
+    'document.rejected',
+    'message.received',
+    'chat.assigned',
+    'chat.unassigned'
+];
+const WEBHOOK_FIELDS = ['url', 'description', 'events', 'enabled'];
+const WEBHOOK_DELIVERY_STALE_MS = 5 * 60 * 1000;
+const WEBHOOK_MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const webhookWorker = {
+    running: 0,
+    timer: null
+};
+
+// Receivers must be public: loopback, private, link-local (cloud metadata) and other reserved
+// ranges are refused on every connection, so re-pointing DNS after subscribing doesn't help
+const WEBHOOK_BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => WEBHOOK_BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([address, prefix]) => WEBHOOK_BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    return family === 0 || WEBHOOK_BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const webhookHostError = (hostname, address) =>
+    Object.assign(new Error(`${hostname} resolves to a private address (${address})`), { code: 'EPRIVATEHOST' });
+
+// dns.lookup that refuses private addresses; used by the webhook agents for every connection
+const webhookLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const blocked = (Array.isArray(address) ? address : [{ address }]).find(entry => isPrivateAddress(entry.address));
+        if (blocked && !WEBHOOK_ALLOW_PRIVATE_HOSTS) return callback(webhookHostError(hostname, blocked.address));
+        callback(null, address, family);
+    });
+};
+
+const webhookAgents = {
+    httpAgent: new http.Agent({ lookup: webhookLookup }),
+    httpsAgent: new https.Agent({ lookup: webhookLookup })
+};
+
+// IP literals never reach the lookup, so they are checked up front
+const webhookUrlError = (url) => {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (WEBHOOK_ALLOW_PRIVATE_HOSTS) return null;
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || (net.isIP(hostname) && isPrivateAddress(hostname))) {
+        return `${hostname} is a private address`;
+    }
+    return null;
+};
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signWebhookPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) =>
+    `t=${timestamp},v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Check subscription input from the API, returning an error message or null.
+// Fields left out are only an error when creating.
+const validateWebhook = (input, creating = false) => {
+    if (creating || input.url !== undefined) {
+        let url = null;
+        try {
+            url = new URL(input.url);
+        } catch (error) {
+            // reported below
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            return 'url must be an http or https URL';
+        }
+        const hostError = webhookUrlError(url);
+        if (hostError) {
+            return `url must point at a public host; ${hostError}`;
+        }
+    }
+    if (creating || input.events !== undefined) {
+        if (!Array.isArray(input.events) || input.events.length === 0
+            || input.events.some(event => event !== '*' && !WEBHOOK_EVENTS.includes(event))) {
+            return `events must be a list of: *, ${WEBHOOK_EVENTS.join(', ')}`;
+        }
+    }
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+        return 'enabled must be true or false';
+    }
+    return null;
+};
+
+const webhookDocument = (document) => ({
+    _id: document._id,
+    chatId: document.chatId,
+    mediaId: document.mediaId,
+    originalMessageId: document.originalMessageId,
+    fileName: document.fileName,
+    fileType: document.fileType,
+    documentType: document.documentType,
+    status: document.status,
+    confidence: document.confidence,
+    provider: document.provider,
+    fields: document.fields,
+    lineItems: document.lineItems,
+    validationErrors: document.validationErrors,
+    reviewReasons: document.reviewReasons,
+    reviewedBy: document.reviewedBy,
+    reviewedAt: document.reviewedAt,
+    processedAt: document.processedAt
+});
+
+const webhookMessage = (message) => ({
+    messageId: message.messageId,
+    chatId: message.chatId,
+    channel: message.channel,
+    sender: message.sender,
+    senderName: message.senderName,
+    content: message.content,
+    mediaType: message.mediaType,
+    mediaId: message.mediaId,
+    mimeType: message.mimeType,
+    fileName: message.fileName,
+    fileSize: message.fileSize,
+    quotedMessageId: message.quotedMessageId,
+    timestamp: message.timestamp
+});
+
+// Queue an event for the organization's subscribed webhooks. Events about a chat may give its
+// chatId instead of the organization. Never throws; callers fire and forget.
+const emitWebhookEvent = async (event, { organization, chatId } = {}, data = {}) => {
+    try {
+        const organizationId = organization
+            || (chatId && (await Organization.findOne({ chatIds: chatId }).select('_id'))?._id);
+        if (!organizationId) return;
+
+        const webhooks = await Webhook.find({ organization: organizationId, enabled: true, events: { $in: [event, '*'] } }).select('_id');
+        if (webhooks.length === 0) return;
+
+        const eventId = crypto.randomUUID();
+        const payload = auditSnapshot({ id: eventId, event, createdAt: new Date(), organization: organizationId, data });
+        await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+            webhook: webhook._id,
+            organization: organizationId,
+            eventId,
+            event,
+            payload,
+            maxAttempts: WEBHOOK_MAX_ATTEMPTS
+        })));
+        setImmediate(pollWebhookDeliveries);
+    } catch (error) {
+        console.error(`Error queueing webhook event ${event}:`, error.message);
+    }
+};
+
+// POST the payload once; any 2xx response counts as delivered
+const sendWebhookRequest = async (webhook, delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    const hostError = webhookUrlError(new URL(webhook.url));
+    if (hostError) {
+        return { ok: false, final: true, statusCode: null, responseBody: null, error: `Refused: ${hostError}`, durationMs: 0 };
+    }
+    try {
+        const response = await axios.post(webhook.url, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'whapi-numerize-webhooks/1.0',
+                'X-Webhook-Id': delivery.eventId,
+                'X-Webhook-Delivery': String(delivery._id),
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Signature': signWebhookPayload(webhook.secret, body)
+            },
+            timeout: WEBHOOK_TIMEOUT_MS,
+            ...webhookAgents,
+            proxy: false,
+            maxRedirects: 0,
+            maxContentLength: 1024 * 1024,
+            responseType: 'text',
+            transformResponse: [data => data],
+            validateStatus: () => true
+        });
+        const ok = response.status >= 200 && response.status < 300;
+        return {
+            ok,
+            statusCode: response.status,
+            responseBody: String(response.data ?? '').slice(0, 2000),
+            error: ok ? null : `Receiver responded with HTTP ${response.status}`,
+            durationMs: Date.now() - started
+        };
+    } catch (error) {
+        return {
+            ok: false,
+            final: error.code === 'EPRIVATEHOST',
+            statusCode: null,
+            responseBody: null,
+            error: error.code === 'ECONNABORTED' ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms` : error.message,
+            durationMs: Date.now() - started
+        };
+    }
+};
+
+// Make one attempt at a claimed delivery and schedule the next one if it failed
+const runWebhookDelivery = async (delivery) => {
+    const webhook = await Webhook.findById(delivery.webhook);
+    const result = !webhook
+        ? { ok: false, error: 'Webhook was deleted', final: true }
+        : !webhook.enabled && delivery.event !== 'ping'
+            ? { ok: false, error: 'Webhook is disabled', final: true }
+            : await sendWebhookRequest(webhook, delivery);
+
+    delivery.attemptLog.push({ at: new Date(), statusCode: result.statusCode, error: result.error, durationMs: result.durationMs });
+    delivery.responseStatus = result.statusCode;
+    delivery.responseBody = result.responseBody;
+    delivery.error = result.error;
+
+    if (result.ok) {
+        delivery.status = 'succeeded';
+        delivery.finishedAt = new Date();
+    } else if (!result.final && delivery.attempts < delivery.maxAttempts) {
+        // Exponential backoff with jitter: ~30s, 1m, 2m, ... up to 6 hours
+        const delay = Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts - 1), WEBHOOK_MAX_RETRY_DELAY_MS);
+        delivery.status = 'pending';
+        delivery.nextAttemptAt = new Date(Date.now() + delay / 2 + Math.random() * delay / 2);
+    } else {
+        delivery.status = 'failed';
+        delivery.finishedAt = new Date();
+    }
+    await delivery.save();
+    webhookDeliveriesTotal.inc({ outcome: delivery.status === 'pending' ? 'retried' : delivery.status });
+
+    if (webhook) {
+        await Webhook.updateOne({ _id: webhook._id }, { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: delivery.status } });
+    }
+    return delivery;
+};
+
+// Claim due deliveries up to the concurrency limit
+const pollWebhookDeliveries = async () => {
+    if (mongoose.connection.readyState !== 1) {
+        return;
+    }
+
+    try {
+        while (webhookWorker.running < WEBHOOK_CONCURRENCY) {
+            const delivery = await WebhookDelivery.findOneAndUpdate(
+                { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+                { $set: { status: 'sending', startedAt: new Date() }, $inc: { attempts: 1 } },
+                { sort: { nextAttemptAt: 1 }, new: true }
+            );
+            if (!delivery) break;
+
+            webhookWorker.running++;
+            runWebhookDelivery(delivery)
+                .catch(error => console.error(`Error delivering webhook ${delivery._id}:`, error.message))
+                .finally(() => {
+                    webhookWorker.running--;
+                    setImmediate(pollWebhookDeliveries);
+                });
+        }
+    } catch (error) {
+        console.error('Error polling webhook deliveries:', error.message);
+    }
+};
+
+// Deliveries left sending by a crashed or restarted process are tried again
+const requeueStaleWebhookDeliveries = async () => {
+    try {
+        await WebhookDelivery.updateMany(
+            { status: 'sending', startedAt: { $lt: new Date(Date.now() - WEBHOOK_DELIVERY_STALE_MS) } },
+            { $set: { status: 'pending', nextAttemptAt: new Date() } }
+        );
+    } catch (error) {
+        console.error('Error requeueing stale webhook deliveries:', error.message);
+    }
+};
+
+const startWebhookWorker = () => {
+    webhookWorker.timer = setInterval(pollWebhookDeliveries, 5000);
+    setInterval(requeueStaleWebhookDeliveries, 60 * 1000);
+    requeueStaleWebhookDeliveries().then(pollWebhookDeliveries);
+};
+
+// ----------------Transcript export-------------------------------------------
+// Builds a ZIP for disputes and audits, one folder per chat:
+//   index.html                      list of chats
+//   manifest.json                   what was exported, by whom, and media that could not be fetched
+//   chats/<chat>/transcript.html    readable transcript with senders, times (UTC) and quoted replies
+//   chats/<chat>/messages.json      the Message records
+//   media/<mediaId>.<ext>           referenced media, fetched through the media cache
+// Jobs run one at a time. Files are deleted TRANSCRIPT_EXPORT_TTL_HOURS after they are built.
+const TRANSCRIPT_EXPORT_STALE_MS = 30 * 60 * 1000;
+const TRANSCRIPT_EXPORT_MAX_ATTEMPTS = 3;
+const TRANSCRIPT_QUOTE_LENGTH = 200;
+const TRANSCRIPT_QUOTE_CACHE_SIZE = 5000;
+const transcriptWorker = {
+    running: false,
+    current: null,
+    timer: null
+};
+
+const transcriptExportPath = (job) => path.join(exportsDir, `${job._id}.zip`);
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const transcriptTime = (date) => (date ? `${new Date(date).toISOString().replace('T', ' ').slice(0, 19)} UTC` : '');
+
+const transcriptFolder = (chatId) => chatId.replace(/[^\w.-]/g, '_');
+
+const transcriptExportSummary = (job) => {
+    const summary = job.toObject();
+    if (job.status === 'succeeded') {
+        const expires = Math.floor(Math.min(Date.now() + TRANSCRIPT_LINK_TTL * 1000, job.expiresAt.getTime()) / 1000);
+        // Works without a bearer token, for browsers and mail
+        summary.downloadUrl = `/api/downloads/transcripts/${job._id}?expires=${expires}&signature=${downloadSignature(`transcript:${job._id}`, expires)}`;
+        summary.downloadUrlExpiresAt = new Date(expires * 1000);
+    }
+    return summary;
+};
+
+const emitTranscriptExport = (job) => {
+    if (job.requestedBy?.user) {
+        io.to(`user:${job.requestedBy.user}`).emit('transcript_export_updated', transcriptExportSummary(job));
+    }
+};
+
+const TRANSCRIPT_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; background: #efeae2; margin: 0; padding: 24px; color: #111b21; }
+header, main { max-width: 820px; margin: 0 auto; }
+header { background: #fff; border-radius: 8px; padding: 16px 20px; margin-bottom: 16px; }
+h1 { font-size: 20px; margin: 0 0 8px; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 12px; margin: 0; font-size: 13px; }
+dt { color: #667781; }
+.message { background: #fff; border-radius: 8px; padding: 8px 12px; margin: 6px 0; max-width: 75%; }
+.message.own { background: #d9fdd3; margin-left: auto; }
+.meta { font-size: 12px; color: #667781; margin-bottom: 4px; }
+.sender { font-weight: 600; color: #1f7aec; margin-right: 8px; }
+.quote { border-left: 3px solid #06cf9c; background: rgba(0, 0, 0, 0.05); padding: 4px 8px; margin-bottom: 6px; font-size: 13px; border-radius: 4px; }
+.content { white-space: pre-wrap; word-wrap: break-word; }
+.media img, .media video { max-width: 100%; border-radius: 4px; }
+.missing { color: #b3261e; font-style: italic; }
+.reactions { font-size: 12px; margin-top: 4px; }
+table { border-collapse: collapse; width: 100%; background: #fff; }
+td, th { text-align: left; padding: 6px 10px; border-bottom: 1px solid #e9edef; font-size: 14px; }
+`;
+
+const transcriptPage = (title, headerHtml, bodyHtml) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${TRANSCRIPT_STYLE}</style>
+</head>
+<body>
+<header>${headerHtml}</header>
+<main>
+${bodyHtml}`;
+
+// Resolves sender names (contact label, then WhatsApp name, then number) and our channel names
+const createSenderLabels = () => {
+    const contacts = new Map();
+    const channels = new Map();
+    return {
+        sender: async (message) => {
+            if (!message.sender) return message.senderName || 'Unknown';
+            const id = contactIdFor(message.sender);
+            if (!contacts.has(id)) {
+                contacts.set(id, await Contact.findOne({ $or: [{ contactId: id }, { aliases: id }] }).select('label pushName').lean());
+            }
+            const contact = contacts.get(id);
+            return contact?.label || message.senderName || contact?.pushName || message.sender;
+        },
+        own: async (message) => {
+            const key = String(message.channel || '');
+            if (!channels.has(key)) {
+                channels.set(key, message.channel ? (await Channel.findById(message.channel).select('label').lean())?.label : null);
+            }
+            return channels.get(key) ? `Us (${channels.get(key)})` : 'Us';
+        }
+    };
+};
+
+// Put a media file into the export, hard-linked from the cache when possible; returns its path
+// in the ZIP or null when it could not be fetched
+const addTranscriptMedia = async (job, workDir, mediaId, context) => {
+    if (context.media.has(mediaId)) return context.media.get(mediaId);
+
+    let relativePath = null;
+    try {
+        const entry = await getMedia(mediaId);
+        const extension = path.extname(entry.originalFileName || '') || EXTENSIONS_BY_MIME[entry.mimeType] || '';
+        relativePath = `media/${mediaId}${extension}`;
+        const target = path.join(workDir, relativePath);
+        await fs.promises.link(mediaDataPath(mediaId), target).catch(() => fs.promises.copyFile(mediaDataPath(mediaId), target));
+        job.progress.media++;
+    } catch (error) {
+        relativePath = null;
+        job.progress.mediaMissing++;
+        context.missingMedia.push({ mediaId, error: error.message });
+    }
+    context.media.set(mediaId, relativePath);
+    return relativePath;
+};
+
+const transcriptMediaHtml = (message, mediaPath) => {
+    if (!mediaPath) {
+        return `<div class="media missing">[${escapeHtml(message.mediaType)}${message.fileName ? `: ${escapeHtml(message.fileName)}` : ''} not available]</div>`;
+    }
+    const src = `../../${mediaPath}`;
+    if (message.mediaType === 'image') return `<div class="media"><a href="${src}"><img src="${src}" alt=""></a></div>`;
+    if (message.mediaType === 'video') return `<div class="media"><video controls src="${src}"></video></div>`;
+    if (message.mediaType === 'audio') return `<div class="media"><audio controls src="${src}"></audio></div>`;
+    return `<div class="media"><a href="${src}">${escapeHtml(message.fileName || path.basename(mediaPath))}</a></div>`;
+};
+
+// Write transcript.html and messages.json for one chat, streaming its messages oldest first
+const writeChatTranscript = async (job, chat, workDir, context) => {
+    const folder = path.join(workDir, 'chats', transcriptFolder(chat.chatId));
+    await fs.promises.mkdir(folder, { recursive: true });
+
+    const query = { chatId: chat.chatId };
+    if (job.from || job.to) {
+        query.timestamp = {};
+        if (job.from) query.timestamp.$gte = job.from;
+        if (job.to) query.timestamp.$lte = job.to;
+    }
+
+    const html = fs.createWriteStream(path.join(folder, 'transcript.html'));
+    const json = fs.createWriteStream(path.join(folder, 'messages.json'));
+    const write = (stream, text) => (stream.write(text) ? null : new Promise(resolve => stream.once('drain', resolve)));
+
+    html.write(transcriptPage(chat.name || chat.chatId, `
+<h1>${escapeHtml(chat.name || chat.chatId)}</h1>
+<dl>
+<dt>Chat ID</dt><dd>${escapeHtml(chat.chatId)}</dd>
+${chat.isGroup ? `<dt>Participants</dt><dd>${escapeHtml((chat.participants || []).join(', '))}</dd>` : ''}
+<dt>Period</dt><dd>${escapeHtml(job.from ? transcriptTime(job.from) : 'start')} to ${escapeHtml(job.to ? transcriptTime(job.to) : 'end')}</dd>
+<dt>Exported</dt><dd>${escapeHtml(transcriptTime(new Date()))} by ${escapeHtml(job.requestedBy?.email || 'unknown')}</dd>
+</dl>`, ''));
+    json.write('[\n');
+
+    // Quoted replies usually point at recent messages, so previews of the last
+    // TRANSCRIPT_QUOTE_CACHE_SIZE are kept (least recently used dropped first); older ones are looked up
+    const previews = new Map();
+    const remember = (messageId, preview) => {
+        previews.delete(messageId);
+        previews.set(messageId, preview);
+        if (previews.size > TRANSCRIPT_QUOTE_CACHE_SIZE) previews.delete(previews.keys().next().value);
+        return preview;
+    };
+    let count = 0;
+    let first = null;
+    let last = null;
+
+    for await (const message of Message.find(query).sort({ timestamp: 1, _id: 1 }).lean().cursor()) {
+        const sender = message.fromMe ? await context.labels.own(message) : await context.labels.sender(message);
+        const preview = message.content || (message.mediaType !== 'none' ? `[${message.mediaType}${message.fileName ? `: ${message.fileName}` : ''}]` : '');
+        remember(message.messageId, { sender, text: preview.slice(0, TRANSCRIPT_QUOTE_LENGTH) });
+
+        let quoteHtml = '';
+        if (message.quotedMessageId) {
+            let quoted = previews.get(message.quotedMessageId);
+            if (quoted) {
+                remember(message.quotedMessageId, quoted);
+            } else {
+                const original = await Message.findOne({ messageId: message.quotedMessageId }).lean();
+                quoted = original
+                    ? remember(message.quotedMessageId, { sender: original.fromMe ? await context.labels.own(original) : await context.labels.sender(original), text: (original.content || `[${original.mediaType}]`).slice(0, TRANSCRIPT_QUOTE_LENGTH) })
+                    : { sender: null, text: 'Original message not available' };
+            }
+            quoteHtml = `<div class="quote">${quoted.sender ? `<span class="sender">${escapeHtml(quoted.sender)}</span>` : ''}${escapeHtml(quoted.text)}</div>`;
+        }
+
+        const mediaPath = message.mediaId && job.includeMedia ? await addTranscriptMedia(job, workDir, message.mediaId, context) : null;
+        const reactions = (message.reactions || []).map(reaction => escapeHtml(reaction.emoji)).join(' ');
+
+        await write(html, `<div class="message${message.fromMe ? ' own' : ''}" id="${escapeHtml(message.messageId)}">
+<div class="meta"><span class="sender">${escapeHtml(sender)}</span>${escapeHtml(transcriptTime(message.timestamp))}${message.status === 'failed' ? ' · not delivered' : ''}</div>
+${quoteHtml}${message.mediaType !== 'none' && message.mediaId ? transcriptMediaHtml(message, mediaPath) : ''}${message.content ? `<div class="content">${escapeHtml(message.content)}</div>` : ''}${reactions ? `<div class="reactions">${reactions}</div>` : ''}
+</div>
+`);
+        await write(json, `${count > 0 ? ',\n' : ''}${JSON.stringify(message)}`);
+
+        count++;
+        first = first || message.timestamp;
+        last = message.timestamp;
+        job.progress.messages++;
+        if (job.progress.messages % 500 === 0) {
+            await job.save();
+            emitTranscriptExport(job);
+        }
+    }
+
+    html.end(count === 0 ? '<p>No messages in this period.</p>\n</main>\n</body>\n</html>\n' : '</main>\n</body>\n</html>\n');
+    json.end('\n]\n');
+    await Promise.all([html, json].map(stream => new Promise((resolve, reject) => {
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+    })));
+
+    return { chatId: chat.chatId, name: chat.name || chat.chatId, folder: `chats/${transcriptFolder(chat.chatId)}`, messages: count, firstMessageAt: first, lastMessageAt: last };
+};
+
+const zipDirectory = (sourceDir, target, rootName) => new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(target);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+    archive.pipe(output);
+    archive.directory(sourceDir, rootName);
+    archive.finalize();
+});
+
+const runTranscriptExport = async (job) => {
+    const workDir = path.join(exportsDir, `${job._id}.tmp`);
+    const zipPath = transcriptExportPath(job);
+
+    try {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+        await fs.promises.mkdir(path.join(workDir, 'media'), { recursive: true });
+
+        const organization = job.organization ? await Organization.findById(job.organization).select('name chatIds') : null;
+        const chatIds = job.chatId ? [job.chatId] : (organization?.chatIds || []);
+        const chats = await Chat.find({ chatId: { $in: chatIds } }).select('chatId name isGroup participants').lean();
+        const chatsById = new Map(chats.map(chat => [chat.chatId, chat]));
+
+        job.stage = 'transcripts';
+        job.progress = { chats: 0, totalChats: chatIds.length, messages: 0, media: 0, mediaMissing: 0 };
+        await job.save();
+        emitTranscriptExport(job);
+
+        const context = { labels: createSenderLabels(), media: new Map(), missingMedia: [] };
+        const summaries = [];
+        for (const chatId of chatIds) {
+            summaries.push(await writeChatTranscript(job, chatsById.get(chatId) || { chatId, name: chatId }, workDir, context));
+            job.progress.chats++;
+            await job.save();
+            emitTranscriptExport(job);
+        }
+
+        const title = organization ? organization.name : summaries[0]?.name || job.chatId;
+        const rows = summaries.map(summary => `<tr><td><a href="${escapeHtml(summary.folder)}/transcript.html">${escapeHtml(summary.name)}</a></td><td>${escapeHtml(summary.chatId)}</td><td>${summary.messages}</td><td>${escapeHtml(transcriptTime(summary.lastMessageAt))}</td></tr>`);
+        await fs.promises.writeFile(path.join(workDir, 'index.html'), `${transcriptPage(`Transcripts: ${title}`, `
+<h1>Transcripts: ${escapeHtml(title)}</h1>
+<dl>
+<dt>Exported</dt><dd>${escapeHtml(transcriptTime(new Date()))} by ${escapeHtml(job.requestedBy?.email || 'unknown')}</dd>
+<dt>Messages</dt><dd>${job.progress.messages}</dd>
+<dt>Media</dt><dd>${job.includeMedia ? `${job.progress.media} included, ${job.progress.mediaMissing} not available` : 'not included'}</dd>
+</dl>`, `<table>
+<tr><th>Chat</th><th>Chat ID</th><th>Messages</th><th>Last message</th></tr>
+${rows.join('\n')}
+</table>`)}
+</main>
+</body>
+</html>
+`);
+        await fs.promises.writeFile(path.join(workDir, 'manifest.json'), JSON.stringify({
+            exportId: job._id,
+            generatedAt: new Date(),
+            requestedBy: job.requestedBy?.email || null,
+            organization: organization ? { _id: organization._id, name: organization.name } : null,
+            from: job.from || null,
+            to: job.to || null,
+            includeMedia: job.includeMedia,
+            chats: summaries,
+            messages: job.progress.messages,
+            media: job.progress.media,
+            missingMedia: context.missingMedia
+        }, null, 2));
+
+        job.stage = 'compressing';
+        await job.save();
+        emitTranscriptExport(job);
+
+        const rootName = `transcripts-${transcriptFolder(String(title)).slice(0, 60)}-${new Date().toISOString().slice(0, 10)}`;
+        await zipDirectory(workDir, `${zipPath}.part`, rootName);
+        await fs.promises.rename(`${zipPath}.part`, zipPath);
+
+        job.status = 'succeeded';
+        job.stage = 'done';
+        job.fileName = `${rootName}.zip`;
+        job.size = (await fs.promises.stat(zipPath)).size;
+        job.error = null;
+        job.expiresAt = new Date(Date.now() + TRANSCRIPT_EXPORT_TTL_HOURS * 60 * 60 * 1000);
+    } catch (error) {
+        console.error(`Transcript export ${job._id} failed:`, error.message);
+        await fs.promises.unlink(`${zipPath}.part`).catch(() => {});
+        job.status = 'failed';
+        job.error = error.message;
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+
+    job.finishedAt = new Date();
+    await job.save();
+    emitTranscriptExport(job);
+};
+
+// Claim the oldest queued export if none is running
+const pollTranscriptExports = async () => {
+    if (mongoose.connection.readyState !== 1 || transcriptWorker.running) {
+        return;
+    }
+
+    transcriptWorker.running = true;
+    try {
+        const job = await TranscriptExport.findOneAndUpdate(
+            { status: 'queued' },
+            { $set: { status: 'running', stage: 'starting', startedAt: new Date() }, $inc: { attempts: 1 } },
+            { sort: { createdAt: 1 }, new: true }
+        );
+        if (job) {
+            transcriptWorker.current = job._id;
+            emitTranscriptExport(job);
+            await runTranscriptExport(job);
+            setImmediate(pollTranscriptExports);
+        }
+    } catch (error) {
+        console.error('Error running transcript exports:', error.message);
+    } finally {
+        transcriptWorker.running = false;
+        transcriptWorker.current = null;
+    }
+};
+
+// Requeue exports left running by a restart (no progress for a while), failing those that
+// have already been started TRANSCRIPT_EXPORT_MAX_ATTEMPTS times, and delete expired files
+const maintainTranscriptExports = async () => {
+    try {
+        const stale = {
+            _id: { $ne: transcriptWorker.current },
+            status: 'running',
+            updatedAt: { $lt: new Date(Date.now() - TRANSCRIPT_EXPORT_STALE_MS) }
+        };
+        await TranscriptExport.updateMany(
+            { ...stale, attempts: { $gte: TRANSCRIPT_EXPORT_MAX_ATTEMPTS } },
+            { $set: { status: 'failed', error: 'The export stopped responding', finishedAt: new Date() } }
+        );
+        await TranscriptExport.updateMany(stale, { $set: { status: 'queued' } });
+
+        const expired = await TranscriptExport.find({ status: 'succeeded', expiresAt: { $lte: new Date() } });
+        for (const job of expired) {
+            await fs.promises.unlink(transcriptExportPath(job)).catch(() => {});
+            job.status = 'expired';
+            await job.save();
+        }
+    } catch (error) {
+        console.error('Error maintaining transcript exports:', error.message);
+    }
+};
+
+const startTranscriptWorker = () => {
+    transcriptWorker.timer = setInterval(pollTranscriptExports, 5000);
+    setInterval(maintainTranscriptExports, 10 * 60 * 1000);
+    maintainTranscriptExports().then(pollTranscriptExports);
+};
+
+// ----------------Authentication----------------------------------------------
+// Users sign in with a password to get a signed bearer token, or use an API key.
+// Access is granted per organization with a role; global admins see everything.
+const ROLE_RANK = { viewer: 1, operator: 2, admin: 3 };
+const API_KEY_PREFIX = 'wnk_';
+const AUTH_TOKEN_TTL = parseInt(process.env.AUTH_TOKEN_TTL) || 12 * 60 * 60;
+const AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_TOKEN_SECRET) {
+    console.warn('AUTH_TOKEN_SECRET is not set; issued tokens will stop working when the server restarts');
+}
+
+// API paths (relative to /api) that do their own verification or need none: exact paths,
+// and prefixes whose sub-paths are public too
+const PUBLIC_API_PATHS = ['/health', '/health/live', '/health/ready', '/auth/login', '/auth/setup'];
+const PUBLIC_API_PREFIXES = ['/webhooks/whapi', '/downloads/transcripts', '/downloads/storage'];
+
+const scryptAsync = (password, salt) => new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) => err ? reject(err) : resolve(key));
+});
+
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scryptAsync(password, salt);
+    return `${salt}:${key.toString('hex')}`;
+};
+
+// New passwords: strings of at least 8 characters (scrypt throws on anything else)
+const isAcceptablePassword = (password) => typeof password === 'string' && password.length >= 8;
+
+const verifyPassword = async (password, passwordHash) => {
+    if (!passwordHash || typeof password !== 'string') return false;
+    const [salt, hash] = passwordHash.split(':');
+    const key = await scryptAsync(password, salt);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+};
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+// HS256 JSON Web Token
+const signAuthToken = (user) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ sub: user._id.toString(), iat: now, exp: now + AUTH_TOKEN_TTL }));
+    const signature = crypto.createHmac('sha256', AUTH_TOKEN_SECRET).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+};
+
+const verifyAuthToken = (token) => {
+    const [header, payload, signature] = token.split('.');
+    if (!header || !payload || !signature) return null;
+
+    const expected = Buffer.from(crypto.createHmac('sha256', AUTH_TOKEN_SECRET).update(`${header}.${payload}`).digest('base64url'));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return claims.exp > Math.floor(Date.now() / 1000) ? claims : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Resolve a bearer token or API key to an active user
+const authenticateCredential = async (credential) => {
+    if (!credential || typeof credential !== 'string') return null;
+
+    if (credential.startsWith(API_KEY_PREFIX)) {
+        const hash = hashApiKey(credential);
+        const user = await User.findOne({ 'apiKeys.hash': hash, disabled: { $ne: true } });
+        if (user) {
+            User.updateOne({ _id: user._id, 'apiKeys.hash': hash }, { $set: { 'apiKeys.$.lastUsedAt': new Date() } }).catch(() => {});
+        }
+        return user;
+    }
+
+    const claims = verifyAuthToken(credential);
+    if (!claims) return null;
+
+    const user = await User.findById(claims.sub);
+    if (!user || user.disabled) return null;
+    // Password changes invalidate tokens issued before them
+    if (user.tokensValidAfter && claims.iat * 1000 < user.tokensValidAfter.getTime() - 1000) return null;
+    return user;
+};
+
+const credentialFromRequest = (req) => {
+    const authHeader = req.get('authorization') || '';
+    if (authHeader.startsWith('Bearer ')) return authHeader.slice(7);
+    return req.get('x-api-key') || null;
+};
+
+const authenticate = async (req, res, next) => {
+    if (PUBLIC_API_PATHS.includes(req.path)
+        || PUBLIC_API_PREFIXES.some(prefix => req.path === prefix || req.path.startsWith(`${prefix}/`))) {
+        return next();
+    }
+
+    try {
+        const user = await authenticateCredential(credentialFromRequest(req));
+        if (!user) {
+            return res.status(401).json({ message: 'Authentication required' });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('Error authenticating request:', error);
+        res.status(500).json({ message: 'Failed to authenticate' });
+    }
+};
+
+const organizationRole = (user, organizationId) => {
+    if (user.isAdmin) return 'admin';
+    return user.memberships.find(m => m.organization.toString() === String(organizationId))?.role || null;
+};
+
+const hasOrganizationRole = (user, organizationId, role) => (ROLE_RANK[organizationRole(user, organizationId)] || 0) >= ROLE_RANK[role];
+
+// Organization IDs the user holds at least the given role in; null means unrestricted
+const getAccessibleOrganizationIds = (user, role = 'viewer') => {
+    if (user.isAdmin) return null;
+    return user.memberships.filter(m => ROLE_RANK[m.role] >= ROLE_RANK[role]).map(m => m.organization);
+};
+
+// Chat IDs the user can see (or act on, for higher roles); null means unrestricted
+const getAccessibleChatIds = async (user, role = 'viewer') => {
+    const organizationIds = getAccessibleOrganizationIds(user, role);
+    if (organizationIds === null) return null;
+
+    const organizations = await Organization.find({ _id: { $in: organizationIds } }).select('chatIds');
+    return [...new Set(organizations.flatMap(organization => organization.chatIds || []))];
+};
+
+const canAccessChat = async (user, chatId, role = 'viewer') => {
+    const chatIds = await getAccessibleChatIds(user, role);
+    return chatIds === null || chatIds.includes(chatId);
+};
+
+// Mongo filter restricting a chatId field to what the user may see
+const chatScopeFilter = async (user, role = 'viewer', field = 'chatId') => {
+    const chatIds = await getAccessibleChatIds(user, role);
+    return chatIds === null ? {} : { [field]: { $in: chatIds } };
+};
+
+// Chat a media file belongs to: the message that carried it, else the caller's claim.
+// A claim that contradicts the message is rejected rather than trusted.
+const resolveMediaChatId = async (mediaId, chatId) => {
+    const message = await Message.findOne({ mediaId }).select('chatId');
+    if (!message) return chatId || null;
+    if (chatId && chatId !== message.chatId) {
+        const error = new Error(`Media ${mediaId} does not belong to chat ${chatId}`);
+        error.status = 400;
+        throw error;
+    }
+    return message.chatId;
+};
+
+const requireAdmin = (req, res, next) => {
+    if (!req.user?.isAdmin) {
+        return res.status(403).json({ message: 'Administrator access required' });
+    }
+    next();
+};
+
+// Route guard for /organizations/:id routes
+const requireOrganizationRole = (role) => (req, res, next) => {
+    if (!hasOrganizationRole(req.user, req.params.id, role)) {
+        return res.status(403).json({ message: `Requires ${role} access to this organization` });
+    }
+    next();
+};
+
+// Route guard for routes with a chat ID parameter
+const requireChatAccess = (role, param = 'chatId') => async (req, res, next) => {
+    try {
+        if (!(await canAccessChat(req.user, req.params[param], role))) {
+            return res.status(403).json({ message: 'You do not have access to this chat' });
+        }
+        next();
+    } catch (error) {
+        console.error('Error checking chat access:', error);
+        res.status(500).json({ message: 'Failed to check access' });
+    }
+};
+
+const publicUser = (user) => ({
+    _id: user._id,
+    email: user.email,
+    name: user.name,
+    isAdmin: user.isAdmin,
+    disabled: user.disabled,
+    memberships: user.memberships,
+    apiKeys: (user.apiKeys || []).map(key => ({ _id: key._id, name: key.name, prefix: key.prefix, createdAt: key.createdAt, lastUsedAt: key.lastUsedAt })),
+    createdAt: user.createdAt
+});
+
+const validateMemberships = async (memberships) => {
+    if (!Array.isArray(memberships)) return 'memberships must be a list';
+    for (const membership of memberships) {
+        if (!ROLE_RANK[membership.role]) return `Invalid role: ${membership.role}`;
+        if (!mongoose.isValidObjectId(membership.organization) || !(await Organization.exists({ _id: membership.organization }))) {
+            return `Unknown organization: ${membership.organization}`;
+        }
+    }
+    return null;
+};
+
+// Send a chat-level event to everyone allowed to see the chat (admins and the chat's organizations)
+const broadcastForChat = async (chatId, event, payload) => {
+    try {
+        const organizations = chatId ? await Organization.find({ chatIds: chatId }).select('_id') : [];
+        let target = io.to('admins');
+        organizations.forEach(organization => {
+            target = target.to(`org:${organization._id}`);
+        });
+        target.emit(event, payload);
+    } catch (error) {
+        console.error(`Error broadcasting ${event}:`, error.message);
+    }
+};
+
+// API Routes
+app.use('/api', auditRequests);
+app.use('/api', authenticate);
+
+// Auth Routes
+// Create the first administrator; only available while there are no users
+app.post('/api/auth/setup', async (req, res) => {
+    try {
+        const { email, password, name } = req.body;
+        if (await User.exists({})) {
+            return res.status(409).json({ message: 'Setup has already been completed' });
+        }
+        if (!email || !isAcceptablePassword(password)) {
+            return res.status(400).json({ message: 'Email and a password of at least 8 characters are required' });
+        }
+
+        const user = await User.create({
+            email,
+            name,
+            passwordHash: await hashPassword(password),
+            isAdmin: true
+        });
+        auditChange(res, 'auth.setup', { after: publicUser(user), target: { type: 'user', id: String(user._id) } });
+
+        res.status(201).json({ token: signAuthToken(user), expiresIn: AUTH_TOKEN_TTL, user: publicUser(user) });
+    } catch (error) {
+        console.error('Error during auth setup:', error);
+        res.status(500).json({ message: 'Failed to complete setup' });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        if (!email || typeof password !== 'string' || !password) {
+            return res.status(400).json({ message: 'Email and password are required' });
+        }
+
+        const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+        if (!user || user.disabled || !(await verifyPassword(password, user.passwordHash))) {
+            return res.status(401).json({ message: 'Invalid email or password' });
+        }
+
+        res.status(200).json({ token: signAuthToken(user), expiresIn: AUTH_TOKEN_TTL, user: publicUser(user) });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ message: 'Failed to log in' });
+    }
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.status(200).json(publicUser(req.user));
+});
+
+// Change password; tokens issued before the change stop working
+app.post('/api/auth/password', async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        if (!isAcceptablePassword(newPassword)) {
+            return res.status(400).json({ message: 'New password must be at least 8 characters' });
+        }
+        if (!(await verifyPassword(currentPassword || '', req.user.passwordHash))) {
+            return res.status(401).json({ message: 'Current password is incorrect' });
+        }
+
+        const before = { tokensValidAfter: req.user.tokensValidAfter };
+        req.user.passwordHash = await hashPassword(newPassword);
+        req.user.tokensValidAfter = new Date();
+        await req.user.save();
+        auditChange(res, 'auth.password', {
+            before,
+            after: { tokensValidAfter: req.user.tokensValidAfter },
+            target: { type: 'user', id: String(req.user._id) },
+            meta: { passwordChanged: true }
+        });
+
+        res.status(200).json({ token: signAuthToken(req.user), expiresIn: AUTH_TOKEN_TTL });
+    } catch (error) {
+        console.error('Error changing password:', error);
+        res.status(500).json({ message: 'Failed to change password' });
+    }
+});
+
+// Create an API key for the current user; the key is only returned once
+app.post('/api/auth/api-keys', async (req, res) => {
+    try {
+        const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        req.user.apiKeys.push({
+            name: req.body.name || 'API key',
+            prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+            hash: hashApiKey(key)
+        });
+        await req.user.save();
+
+        const created = req.user.apiKeys[req.user.apiKeys.length - 1];
+        auditChange(res, 'auth.api_key.create', {
+            after: { apiKey: { _id: created._id, name: created.name, prefix: created.prefix } },
+            target: { type: 'user', id: String(req.user._id) }
+        });
+        res.status(201).json({ _id: created._id, name: created.name, prefix: created.prefix, key });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({ message: 'Failed to create API key' });
+    }
+});
+
+app.delete('/api/auth/api-keys/:keyId', async (req, res) => {
+    try {
+        const apiKey = req.user.apiKeys.id(req.params.keyId);
+        if (!apiKey) {
+            return res.status(404).json({ message: 'API key not found' });
+        }
+
+        const before = { apiKey: { _id: apiKey._id, name: apiKey.name, prefix: apiKey.prefix } };
+        apiKey.deleteOne();
+        await req.user.save();
+        auditChange(res, 'auth.api_key.delete', { before, target: { type: 'user', id: String(req.user._id) } });
+
+        res.status(200).json({ message: 'API key revoked' });
+    } catch (error) {
+        console.error(`Error revoking API key ${req.params.keyId}:`, error);
+        res.status(500).json({ message: 'Failed to revoke API key' });
+    }
+});
+
+// User Routes (administrators only)
+app.get('/api/users', requireAdmin, async (req, res) => {
+    try {
+        const users = await User.find().sort({ email: 1 });
+        res.status(200).json(users.map(publicUser));
+    } catch (error) {
+        console.error('Error getting users:', error);
+        res.status(500).json({ message: 'Failed to get users' });
+    }
+});
+
+app.post('/api/users', requireAdmin, async (req, res) => {
+    try {
+        const { email, name, password, isAdmin, memberships } = req.body;
+        if (!email || !isAcceptablePassword(password)) {
+            return res.status(400).json({ message: 'Email and a password of at least 8 characters are required' });
+        }
+        if (await User.exists({ email: String(email).toLowerCase().trim() })) {
+            return res.status(409).json({ message: 'A user with this email already exists' });
+        }
+        const membershipError = await validateMemberships(memberships || []);
+        if (membershipError) {
+            return res.status(400).json({ message: membershipError });
+        }
+
+        const user = await User.create({
+            email,
+            name,
+            passwordHash: await hashPassword(password),
+            isAdmin: !!isAdmin,
+            memberships: memberships || []
+        });
+        auditChange(res, 'user.create', { after: publicUser(user), target: { type: 'user', id: String(user._id) } });
+
+        res.status(201).json(publicUser(user));
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(500).json({ message: 'Failed to create user' });
+    }
+});
+
+app.put('/api/users/:id', requireAdmin, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const before = publicUser(user);
+        const { name, password, isAdmin, disabled, memberships } = req.body;
+        if (memberships !== undefined) {
+            const membershipError = await validateMemberships(memberships);
+            if (membershipError) {
+                return res.status(400).json({ message: membershipError });
+            }
+            user.memberships = memberships;
+        }
+        if (password !== undefined) {
+            if (!isAcceptablePassword(password)) {
+                return res.status(400).json({ message: 'Password must be at least 8 characters' });
+            }
+            user.passwordHash = await hashPassword(password);
+            user.tokensValidAfter = new Date();
+        }
+        if (name !== undefined) user.name = name;
+        if (isAdmin !== undefined) user.isAdmin = !!isAdmin;
+        if (disabled !== undefined) user.disabled = !!disabled;
+
+        const updatedUser = await user.save();
+        auditChange(res, 'user.update', {
+            before,
+            after: publicUser(updatedUser),
+            meta: password !== undefined ? { passwordChanged: true } : undefined
+        });
+        res.status(200).json(publicUser(updatedUser));
+    } catch (error) {
+        console.error(`Error updating user ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to update user' });
+    }
+});
+
+app.delete('/api/users/:id', requireAdmin, async (req, res) => {
+    try {
+        if (req.user._id.toString() === req.params.id) {
+            return res.status(400).json({ message: 'You cannot delete your own account' });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        await User.deleteOne({ _id: user._id });
+        auditChange(res, 'user.delete', { before: publicUser(user) });
+
+        res.status(200).json({ message: 'User deleted successfully' });
+    } catch (error) {
+        console.error(`Error deleting user ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to delete user' });
+    }
+});
+
+
+// Organization Routes
+app.get('/api/organizations', async (req, res) => {
+    try {
+        const organizationIds = getAccessibleOrganizationIds(req.user);
+        const organizations = await Organization.find(organizationIds === null ? {} : { _id: { $in: organizationIds } });
+        res.status(200).json(organizations);
+    } catch (error) {
+        console.error('Error getting organizations:', error);
+        res.status(500).json({ message: 'Failed to get organizations' });
+    }
+});
+
+app.get('/api/organizations/:id', requireOrganizationRole('viewer'), async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id);
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+        res.status(200).json(organization);
+    } catch (error) {
+        console.error(`Error getting organization ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to get organization' });
+    }
+});
+
+app.post('/api/organizations', requireAdmin, async (req, res) => {
+    try {
+        const { name, description, extractionProvider } = req.body;
+        if (extractionProvider && !extractionProviders[extractionProvider]) {
+            return res.status(400).json({ message: `Unknown extraction provider: ${extractionProvider}` });
+        }
+
+        const organization = new Organization({
+            name,
+            description: description || '',
+            chatIds: [],
+            extractionProvider
+        });
+        const savedOrg = await organization.save();
+        auditChange(res, 'organization.create', {
+            after: savedOrg,
+            target: { type: 'organization', id: String(savedOrg._id) },
+            organization: savedOrg._id
+        });
+        res.status(201).json(savedOrg);
+    } catch (error) {
+        console.error('Error creating organization:', error);
+        res.status(500).json({ message: 'Failed to create organization' });
+    }
+});
+
+app.put('/api/organizations/:id', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const { name, description, extractionProvider } = req.body;
+        const organization = await Organization.findById(req.params.id);
+
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+        if (extractionProvider && !extractionProviders[extractionProvider]) {
+            return res.status(400).json({ message: `Unknown extraction provider: ${extractionProvider}` });
+        }
+
+        const before = organization.toObject();
+        if (name) organization.name = name;
+        if (description !== undefined) organization.description = description;
+        if (extractionProvider !== undefined) organization.extractionProvider = extractionProvider || null;
+
+        const updatedOrg = await organization.save();
+        auditChange(res, 'organization.update', { before, after: updatedOrg.toObject() });
+        res.status(200).json(updatedOrg);
+    } catch (error) {
+        console.error(`Error updating organization ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to update organization' });
+    }
+});
+
+app.delete('/api/organizations/:id', requireAdmin, async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id);
+
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        await Organization.deleteOne({ _id: organization._id });
+        auditChange(res, 'organization.delete', { before: organization.toObject() });
+
+        // Update any chats that reference this organization
+        await Chat.updateMany(
+            { organization: organization._id },
+            { $unset: { organization: 1 } }
+        );
+
+        // Remove memberships in the deleted organization
+        await User.updateMany(
+            { 'memberships.organization': organization._id },
+            { $pull: { memberships: { organization: organization._id } } }
+        );
+
+        res.status(200).json({ message: 'Organization deleted successfully' });
+    } catch (error) {
+        console.error(`Error deleting organization ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to delete organization' });
+    }
+});
+
+// Org admins may only claim chats they can already see or that came in on one of the
+// organization's own channels; anything else needs a global administrator
+const checkChatsMovable = async (req, chatIds) => {
+    if (req.user.isAdmin) return null;
+    const elsewhere = await Organization.exists({ _id: { $ne: req.params.id }, chatIds: { $in: chatIds } });
+    if (elsewhere) {
+        return 'Some chats belong to another organization; ask an administrator to move them';
+    }
+
+    const visible = new Set(await getAccessibleChatIds(req.user));
+    const pending = chatIds.filter(chatId => !visible.has(chatId));
+    if (pending.length === 0) return null;
+
+    const channelIds = await Channel.find({ organization: req.params.id }).distinct('_id');
+    const onOwnChannels = await Chat.countDocuments({ chatId: { $in: pending }, channel: { $in: channelIds } });
+    return onOwnChannels === pending.length
+        ? null
+        : 'Some chats are not on this organization\'s channels; ask an administrator to assign them';
+};
+
+const parseChatIdList = (chatIds) => {
+    if (!Array.isArray(chatIds) || chatIds.length === 0 || chatIds.some(chatId => typeof chatId !== 'string' || !chatId)) {
+        return null;
+    }
+    return [...new Set(chatIds)];
+};
+
+// Add chat to organization
+app.post('/api/organizations/:id/chats/:chatId', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const { id, chatId } = req.params;
+        const decodedChatId = decodeURIComponent(chatId);
+
+        if (!(await Organization.exists({ _id: id }))) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        const movableError = await checkChatsMovable(req, [decodedChatId]);
+        if (movableError) {
+            return res.status(403).json({ message: movableError });
+        }
+
+        const before = await Organization.findById(id).select('chatIds');
+        const previousOrganizations = await assignChats([decodedChatId], id);
+        const organization = await Organization.findById(id);
+        auditChange(res, 'chat.assign', {
+            before: { chatIds: before.chatIds },
+            after: { chatIds: organization.chatIds },
+            meta: { chatIds: [decodedChatId], previousOrganizations }
+        });
+
+        res.status(200).json(organization);
+    } catch (error) {
+        console.error('Error adding chat to organization:', error);
+        res.status(500).json({ message: 'Failed to add chat to organization' });
+    }
+});
+
+// Remove chat from organization
+app.delete('/api/organizations/:id/chats/:chatId', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const { id, chatId } = req.params;
+        const decodedChatId = decodeURIComponent(chatId);
+
+        if (!(await Organization.exists({ _id: id }))) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        const before = await Organization.findById(id).select('chatIds');
+        await unassignChats([decodedChatId], id);
+        const organization = await Organization.findById(id);
+        auditChange(res, 'chat.unassign', {
+            before: { chatIds: before.chatIds },
+            after: { chatIds: organization.chatIds },
+            meta: { chatIds: [decodedChatId] }
+        });
+
+        res.status(200).json(organization);
+    } catch (error) {
+        console.error('Error removing chat from organization:', error);
+        res.status(500).json({ message: 'Failed to remove chat from organization' });
+    }
+});
+
+// Bulk assign: { chatIds: [...] }
+app.post('/api/organizations/:id/chats', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const chatIds = parseChatIdList(req.body.chatIds);
+        if (!chatIds) {
+            return res.status(400).json({ message: 'chatIds must be a non-empty list of chat IDs' });
+        }
+        if (!(await Organization.exists({ _id: req.params.id }))) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        const movableError = await checkChatsMovable(req, chatIds);
+        if (movableError) {
+            return res.status(403).json({ message: movableError });
+        }
+
+        const before = await Organization.findById(req.params.id).select('chatIds');
+        const previousOrganizations = await assignChats(chatIds, req.params.id);
+        const organization = await Organization.findById(req.params.id);
+        auditChange(res, 'chat.assign', {
+            before: { chatIds: before.chatIds },
+            after: { chatIds: organization.chatIds },
+            meta: { chatIds, previousOrganizations }
+        });
+
+        res.status(200).json(organization);
+    } catch (error) {
+        console.error(`Error assigning chats to organization ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to assign chats' });
+    }
+});
+
+// Bulk unassign: { chatIds: [...] }
+app.delete('/api/organizations/:id/chats', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const chatIds = parseChatIdList(req.body.chatIds);
+        if (!chatIds) {
+            return res.status(400).json({ message: 'chatIds must be a non-empty list of chat IDs' });
+        }
+        if (!(await Organization.exists({ _id: req.params.id }))) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        const before = await Organization.findById(req.params.id).select('chatIds');
+        await unassignChats(chatIds, req.params.id);
+        const organization = await Organization.findById(req.params.id);
+        auditChange(res, 'chat.unassign', {
+            before: { chatIds: before.chatIds },
+            after: { chatIds: organization.chatIds },
+            meta: { chatIds }
+        });
+
+        res.status(200).json(organization);
+    } catch (error) {
+        console.error(`Error unassigning chats from organization ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to unassign chats' });
+    }
+});
+
+// Rebuild Chat.organization from Organization.chatIds and resolve chats listed twice
+app.post('/api/organizations/repair-assignments', requireAdmin, async (req, res) => {
+    try {
+        const result = await repairChatAssignments();
+        auditChange(res, 'chat.repair_assignments', { target: { type: 'chat', id: null }, meta: result });
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error repairing chat assignments:', error);
+        res.status(500).json({ message: 'Failed to repair chat assignments' });
+    }
+});
+
+// Run the assignment rules over every chat no organization lists yet
+app.post('/api/organizations/assignment-rules/apply', requireAdmin, async (req, res) => {
+    try {
+        const assignedChatIds = (await Organization.find({}).select('chatIds')).flatMap(organization => organization.chatIds || []);
+        const chats = await Chat.find({ chatId: { $nin: assignedChatIds }, removedAt: null })
+            .select('chatId name isGroup participants organization')
+            .lean();
+
+        const assigned = await autoAssignChats(chats);
+        auditChange(res, 'chat.auto_assign', { target: { type: 'chat', id: null }, meta: { chatIds: assigned } });
+        res.status(200).json({ checkedChats: chats.length, assigned: assigned.length, chatIds: assigned });
+    } catch (error) {
+        console.error('Error applying assignment rules:', error);
+        res.status(500).json({ message: 'Failed to apply assignment rules' });
+    }
+});
+
+// Assignment rules
+const ASSIGNMENT_RULE_FIELDS = ['name', 'enabled', 'chatType', 'groupSubjectPattern', 'participantPrefixes', 'participantDomains', 'contacts'];
+
+app.get('/api/organizations/:id/assignment-rules', requireOrganizationRole('viewer'), async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id);
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+        res.status(200).json(organization.assignmentRules);
+    } catch (error) {
+        console.error(`Error getting assignment rules for organization ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to get assignment rules' });
+    }
+});
+
+// Rules decide which chats an organization gets, so only administrators manage them
+app.post('/api/organizations/:id/assignment-rules', requireAdmin, async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id);
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        const validationError = validateAssignmentRule(req.body);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const rule = {};
+        ASSIGNMENT_RULE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) rule[field] = req.body[field];
+        });
+        organization.assignmentRules.push(rule);
+        await organization.save();
+
+        const created = organization.assignmentRules[organization.assignmentRules.length - 1];
+        auditChange(res, 'assignment_rule.create', { after: created, meta: { ruleId: created._id } });
+        res.status(201).json(created);
+    } catch (error) {
+        console.error(`Error creating assignment rule for organization ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to create assignment rule' });
+    }
+});
+
+app.put('/api/organizations/:id/assignment-rules/:ruleId', requireAdmin, async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id);
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        const rule = organization.assignmentRules.id(req.params.ruleId);
+        if (!rule) {
+            return res.status(404).json({ message: 'Assignment rule not found' });
+        }
+
+        const validationError = validateAssignmentRule(req.body);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const before = rule.toObject();
+        ASSIGNMENT_RULE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) rule[field] = req.body[field];
+        });
+        await organization.save();
+        auditChange(res, 'assignment_rule.update', { before, after: rule, meta: { ruleId: rule._id } });
+
+        res.status(200).json(rule);
+    } catch (error) {
+        console.error(`Error updating assignment rule ${req.params.ruleId}:`, error);
+        res.status(500).json({ message: 'Failed to update assignment rule' });
+    }
+});
+
+app.delete('/api/organizations/:id/assignment-rules/:ruleId', requireAdmin, async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id);
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        const rule = organization.assignmentRules.id(req.params.ruleId);
+        if (!rule) {
+            return res.status(404).json({ message: 'Assignment rule not found' });
+        }
+
+        rule.deleteOne();
+        await organization.save();
+        auditChange(res, 'assignment_rule.delete', { before: rule, meta: { ruleId: rule._id } });
+
+        res.status(200).json({ message: 'Assignment rule deleted successfully' });
+    } catch (error) {
+        console.error(`Error deleting assignment rule ${req.params.ruleId}:`, error);
+        res.status(500).json({ message: 'Failed to delete assignment rule' });
+    }
+});
+
+// Ingestion rules
+const INGESTION_RULE_FIELDS = ['name', 'enabled', 'mediaTypes', 'mimeTypes', 'senders', 'fileNamePattern', 'maxSize', 'documentType', 'includeOwnMessages'];
+
+app.get('/api/organizations/:id/ingestion-rules', requireOrganizationRole('viewer'), async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id);
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+        res.status(200).json(organization.ingestionRules);
+    } catch (error) {
+        console.error(`Error getting ingestion rules for organization ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to get ingestion rules' });
+    }
+});
+
+app.post('/api/organizations/:id/ingestion-rules', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id);
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        const validationError = validateIngestionRule(req.body);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const rule = {};
+        INGESTION_RULE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) rule[field] = req.body[field];
+        });
+        organization.ingestionRules.push(rule);
+        await organization.save();
+
+        const created = organization.ingestionRules[organization.ingestionRules.length - 1];
+        auditChange(res, 'ingestion_rule.create', { after: created, meta: { ruleId: created._id } });
+        res.status(201).json(created);
+    } catch (error) {
+        console.error(`Error creating ingestion rule for organization ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to create ingestion rule' });
+    }
+});
+
+app.put('/api/organizations/:id/ingestion-rules/:ruleId', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id);
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        const rule = organization.ingestionRules.id(req.params.ruleId);
+        if (!rule) {
+            return res.status(404).json({ message: 'Ingestion rule not found' });
+        }
+
+        const validationError = validateIngestionRule(req.body);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const before = rule.toObject();
+        INGESTION_RULE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) rule[field] = req.body[field];
+        });
+        await organization.save();
+        auditChange(res, 'ingestion_rule.update', { before, after: rule, meta: { ruleId: rule._id } });
+
+        res.status(200).json(rule);
+    } catch (error) {
+        console.error(`Error updating ingestion rule ${req.params.ruleId}:`, error);
+        res.status(500).json({ message: 'Failed to update ingestion rule' });
+    }
+});
+
+app.delete('/api/organizations/:id/ingestion-rules/:ruleId', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id);
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        const rule = organization.ingestionRules.id(req.params.ruleId);
+        if (!rule) {
+            return res.status(404).json({ message: 'Ingestion rule not found' });
+        }
+
+        rule.deleteOne();
+        await organization.save();
+        auditChange(res, 'ingestion_rule.delete', { before: rule, meta: { ruleId: rule._id } });
+
+        res.status(200).json({ message: 'Ingestion rule deleted successfully' });
+    } catch (error) {
+        console.error(`Error deleting ingestion rule ${req.params.ruleId}:`, error);
+        res.status(500).json({ message: 'Failed to delete ingestion rule' });
+    }
+});
+
+// Export mappings: saved column layouts for GET /api/documents/export
+const EXPORT_MAPPING_FIELDS = ['name', 'rows', 'documentType', 'columns'];
+
+app.get('/api/organizations/:id/export-mappings', requireOrganizationRole('viewer'), async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id);
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+        res.status(200).json(organization.exportMappings);
+    } catch (error) {
+        console.error(`Error getting export mappings for organization ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to get export mappings' });
+    }
+});
+
+app.post('/api/organizations/:id/export-mappings', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id);
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        const validationError = validateExportMapping(req.body);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+        if (organization.exportMappings.some(mapping => mapping.name === req.body.name)) {
+            return res.status(409).json({ message: 'An export mapping with this name already exists' });
+        }
+
+        const mapping = {};
+        EXPORT_MAPPING_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) mapping[field] = req.body[field];
+        });
+        organization.exportMappings.push(mapping);
+        await organization.save();
+
+        const created = organization.exportMappings[organization.exportMappings.length - 1];
+        auditChange(res, 'export_mapping.create', { after: created, meta: { mappingId: created._id } });
+        res.status(201).json(created);
+    } catch (error) {
+        console.error(`Error creating export mapping for organization ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to create export mapping' });
+    }
+});
+
+app.put('/api/organizations/:id/export-mappings/:mappingId', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id);
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        const mapping = organization.exportMappings.id(req.params.mappingId);
+        if (!mapping) {
+            return res.status(404).json({ message: 'Export mapping not found' });
+        }
+
+        const updated = { ...mapping.toObject(), ...req.body };
+        const validationError = validateExportMapping(updated);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+        if (organization.exportMappings.some(other => other.name === updated.name && !other._id.equals(mapping._id))) {
+            return res.status(409).json({ message: 'An export mapping with this name already exists' });
+        }
+
+        const before = mapping.toObject();
+        EXPORT_MAPPING_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) mapping[field] = req.body[field];
+        });
+        await organization.save();
+        auditChange(res, 'export_mapping.update', { before, after: mapping, meta: { mappingId: mapping._id } });
+
+        res.status(200).json(mapping);
+    } catch (error) {
+        console.error(`Error updating export mapping ${req.params.mappingId}:`, error);
+        res.status(500).json({ message: 'Failed to update export mapping' });
+    }
+});
+
+app.delete('/api/organizations/:id/export-mappings/:mappingId', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const organization = await Organization.findById(req.params.id);
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        const mapping = organization.exportMappings.id(req.params.mappingId);
+        if (!mapping) {
+            return res.status(404).json({ message: 'Export mapping not found' });
+        }
+
+        mapping.deleteOne();
+        await organization.save();
+        auditChange(res, 'export_mapping.delete', { before: mapping, meta: { mappingId: mapping._id } });
+
+        res.status(200).json({ message: 'Export mapping deleted successfully' });
+    } catch (error) {
+        console.error(`Error deleting export mapping ${req.params.mappingId}:`, error);
+        res.status(500).json({ message: 'Failed to delete export mapping' });
+    }
+});
+
+// Outbound webhooks (organization admins). The secret is only returned on create and rotate.
+// Receiver response bodies are only shown to global administrators.
+const webhookDeliveryView = (delivery, user) => {
+    const view = delivery.toJSON();
+    if (!user.isAdmin) delete view.responseBody;
+    return view;
+};
+
+const findOrganizationWebhook = async (req, res) => {
+    const webhook = mongoose.isValidObjectId(req.params.webhookId)
+        ? await Webhook.findOne({ _id: req.params.webhookId, organization: req.params.id })
+        : null;
+    if (!webhook) {
+        res.status(404).json({ message: 'Webhook not found' });
+    }
+    return webhook;
+};
+
+app.get('/api/organizations/:id/webhooks', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const webhooks = await Webhook.find({ organization: req.params.id }).sort({ createdAt: 1 });
+        res.status(200).json(webhooks);
+    } catch (error) {
+        console.error(`Error getting webhooks for organization ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to get webhooks' });
+    }
+});
+
+app.post('/api/organizations/:id/webhooks', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        if (!(await Organization.exists({ _id: req.params.id }))) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        const validationError = validateWebhook(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const webhook = new Webhook({ organization: req.params.id, secret: generateWebhookSecret(), createdBy: getActor(req) });
+        WEBHOOK_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) webhook[field] = req.body[field];
+        });
+        await webhook.save();
+        auditChange(res, 'webhook.create', { after: webhook.toJSON(), organization: req.params.id });
+
+        res.status(201).json({ ...webhook.toJSON(), secret: webhook.secret });
+    } catch (error) {
+        console.error(`Error creating webhook for organization ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to create webhook' });
+    }
+});
+
+app.put('/api/organizations/:id/webhooks/:webhookId', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const webhook = await findOrganizationWebhook(req, res);
+        if (!webhook) return;
+
+        const validationError = validateWebhook(req.body);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const before = webhook.toJSON();
+        WEBHOOK_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) webhook[field] = req.body[field];
+        });
+        await webhook.save();
+        auditChange(res, 'webhook.update', { before, after: webhook.toJSON(), organization: req.params.id });
+
+        res.status(200).json(webhook);
+    } catch (error) {
+        console.error(`Error updating webhook ${req.params.webhookId}:`, error);
+        res.status(500).json({ message: 'Failed to update webhook' });
+    }
+});
+
+app.delete('/api/organizations/:id/webhooks/:webhookId', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const webhook = await findOrganizationWebhook(req, res);
+        if (!webhook) return;
+
+        await Webhook.deleteOne({ _id: webhook._id });
+        // The delivery log is kept; deliveries still waiting are abandoned
+        await WebhookDelivery.updateMany(
+            { webhook: webhook._id, status: 'pending' },
+            { $set: { status: 'failed', error: 'Webhook was deleted', finishedAt: new Date() } }
+        );
+        auditChange(res, 'webhook.delete', { before: webhook.toJSON(), organization: req.params.id });
+
+        res.status(200).json({ message: 'Webhook deleted successfully' });
+    } catch (error) {
+        console.error(`Error deleting webhook ${req.params.webhookId}:`, error);
+        res.status(500).json({ message: 'Failed to delete webhook' });
+    }
+});
+
+app.post('/api/organizations/:id/webhooks/:webhookId/rotate-secret', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const webhook = await findOrganizationWebhook(req, res);
+        if (!webhook) return;
+
+        webhook.secret = generateWebhookSecret();
+        await webhook.save();
+        auditChange(res, 'webhook.rotate_secret', { organization: req.params.id });
+
+        res.status(200).json({ ...webhook.toJSON(), secret: webhook.secret });
+    } catch (error) {
+        console.error(`Error rotating secret for webhook ${req.params.webhookId}:`, error);
+        res.status(500).json({ message: 'Failed to rotate webhook secret' });
+    }
+});
+
+// Send a ping event now (even to a disabled webhook) and return the delivery, which is not retried
+app.post('/api/organizations/:id/webhooks/:webhookId/ping', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const webhook = await findOrganizationWebhook(req, res);
+        if (!webhook) return;
+
+        const eventId = crypto.randomUUID();
+        const delivery = await WebhookDelivery.create({
+            webhook: webhook._id,
+            organization: webhook.organization,
+            eventId,
+            event: 'ping',
+            payload: auditSnapshot({
+                id: eventId,
+                event: 'ping',
+                createdAt: new Date(),
+                organization: webhook.organization,
+                data: { webhook: webhook._id, sentBy: getActor(req) }
+            }),
+            status: 'sending',
+            attempts: 1,
+            maxAttempts: 1,
+            startedAt: new Date()
+        });
+        await runWebhookDelivery(delivery);
+        auditChange(res, 'webhook.ping', { organization: req.params.id, meta: { webhook: webhook._id, delivery: delivery._id, status: delivery.status } });
+
+        res.status(200).json(webhookDeliveryView(delivery, req.user));
+    } catch (error) {
+        console.error(`Error pinging webhook ${req.params.webhookId}:`, error);
+        res.status(500).json({ message: 'Failed to ping webhook' });
+    }
+});
+
+// Delivery log, newest first. Query: status, event, before (createdAt of the last entry), limit
+app.get('/api/organizations/:id/webhooks/:webhookId/deliveries', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const webhook = await findOrganizationWebhook(req, res);
+        if (!webhook) return;
+
+        const query = { webhook: webhook._id };
+        if (req.query.status) query.status = { $in: req.query.status.split(',') };
+        if (req.query.event) query.event = { $in: req.query.event.split(',') };
+        if (req.query.before) {
+            const before = new Date(req.query.before);
+            if (Number.isNaN(before.getTime())) {
+                return res.status(400).json({ message: 'Invalid before date' });
+            }
+            query.createdAt = { $lt: before };
+        }
+
+        const deliveries = await WebhookDelivery.find(query)
+            .select('-payload -responseBody')
+            .sort({ createdAt: -1 })
+            .limit(Math.min(parseInt(req.query.limit) || 50, 500));
+        res.status(200).json(deliveries);
+    } catch (error) {
+        console.error(`Error getting deliveries for webhook ${req.params.webhookId}:`, error);
+        res.status(500).json({ message: 'Failed to get webhook deliveries' });
+    }
+});
+
+app.get('/api/organizations/:id/webhooks/:webhookId/deliveries/:deliveryId', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const webhook = await findOrganizationWebhook(req, res);
+        if (!webhook) return;
+
+        const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+            ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+            : null;
+        if (!delivery) {
+            return res.status(404).json({ message: 'Delivery not found' });
+        }
+        res.status(200).json(webhookDeliveryView(delivery, req.user));
+    } catch (error) {
+        console.error(`Error getting webhook delivery ${req.params.deliveryId}:`, error);
+        res.status(500).json({ message: 'Failed to get webhook delivery' });
+    }
+});
+
+// Queue a fresh delivery of the same event (same X-Webhook-Id) with a full set of attempts
+app.post('/api/organizations/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const webhook = await findOrganizationWebhook(req, res);
+        if (!webhook) return;
+
+        const original = mongoose.isValidObjectId(req.params.deliveryId)
+            ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+            : null;
+        if (!original) {
+            return res.status(404).json({ message: 'Delivery not found' });
+        }
+        if (['pending', 'sending'].includes(original.status)) {
+            return res.status(409).json({ message: 'Delivery is still in progress' });
+        }
+
+        const delivery = await WebhookDelivery.create({
+            webhook: webhook._id,
+            organization: webhook.organization,
+            eventId: original.eventId,
+            event: original.event,
+            payload: original.payload,
+            maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+            redeliveryOf: original._id
+        });
+        setImmediate(pollWebhookDeliveries);
+        auditChange(res, 'webhook.redeliver', { organization: req.params.id, meta: { webhook: webhook._id, delivery: delivery._id, redeliveryOf: original._id } });
+
+        res.status(202).json(delivery);
+    } catch (error) {
+        console.error(`Error redelivering webhook delivery ${req.params.deliveryId}:`, error);
+        res.status(500).json({ message: 'Failed to redeliver webhook' });
+    }
+});
+
+// Organization members and their roles
+app.get('/api/organizations/:id/members', requireOrganizationRole('viewer'), async (req, res) => {
+    try {
+        const users = await User.find({ 'memberships.organization': req.params.id });
+        res.status(200).json(users.map(user => ({
+            _id: user._id,
+            email: user.email,
+            name: user.name,
+            role: organizationRole(user, req.params.id)
+        })));
+    } catch (error) {
+        console.error(`Error getting members of organization ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to get organization members' });
+    }
+});
+
+app.put('/api/organizations/:id/members/:userId', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const { role } = req.body;
+        if (!ROLE_RANK[role]) {
+            return res.status(400).json({ message: `Role must be one of: ${Object.keys(ROLE_RANK).join(', ')}` });
+        }
+
+        const organization = await Organization.findById(req.params.id);
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        const user = await User.findById(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const membership = user.memberships.find(m => m.organization.toString() === req.params.id);
+        const before = membership ? { user: user._id, email: user.email, role: membership.role } : null;
+        if (membership) {
+            membership.role = role;
+        } else {
+            user.memberships.push({ organization: organization._id, role });
+        }
+        await user.save();
+        auditChange(res, membership ? 'member.update' : 'member.add', {
+            before,
+            after: { user: user._id, email: user.email, role }
+        });
+
+        res.status(200).json({ _id: user._id, email: user.email, name: user.name, role });
+    } catch (error) {
+        console.error(`Error updating member ${req.params.userId}:`, error);
+        res.status(500).json({ message: 'Failed to update organization member' });
+    }
+});
+
+app.delete('/api/organizations/:id/members/:userId', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+        const user = mongoose.isValidObjectId(req.params.userId) ? await User.findById(req.params.userId) : null;
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const membership = user.memberships.find(m => m.organization.toString() === req.params.id);
+        await User.updateOne(
+            { _id: user._id },
+            { $pull: { memberships: { organization: req.params.id } } }
+        );
+        auditChange(res, 'member.remove', {
+            before: membership ? { user: user._id, email: user.email, role: membership.role } : null
+        });
+
+        res.status(200).json({ message: 'Member removed from organization' });
+    } catch (error) {
+        console.error(`Error removing member ${req.params.userId}:`, error);
+        res.status(500).json({ message: 'Failed to remove organization member' });
+    }
+});
+
+// Channel Routes
+// Channels visible to the caller: all for administrators, otherwise those owned by their organizations
+app.get('/api/channels', async (req, res) => {
+    try {
+        const organizationIds = getAccessibleOrganizationIds(req.user);
+        const channels = await Channel.find(organizationIds === null ? {} : { organization: { $in: organizationIds } })
+            .sort({ isDefault: -1, createdAt: 1 });
+        res.status(200).json(channels);
+    } catch (error) {
+        console.error('Error getting channels:', error);
+        res.status(500).json({ message: 'Failed to get channels' });
+    }
+});
+
+const CHANNEL_FIELDS = ['label', 'token', 'baseUrl', 'whapiChannelId', 'phone', 'organization', 'webhookSecret', 'active'];
+
+app.post('/api/channels', requireAdmin, async (req, res) => {
+    try {
+        const { label, token, organization, isDefault } = req.body;
+        if (!label || !token) {
+            return res.status(400).json({ message: 'Label and token are required' });
+        }
+        if (organization && !(mongoose.isValidObjectId(organization) && await Organization.exists({ _id: organization }))) {
+            return res.status(400).json({ message: 'Organization not found' });
+        }
+
+        const channel = new Channel({});
+        CHANNEL_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) channel[field] = req.body[field];
+        });
+        channel.baseUrl = (channel.baseUrl || DEFAULT_WHAPI_BASE_URL).replace(/\/+$/, '');
+
+        if (isDefault || !(await Channel.exists({ isDefault: true }))) {
+            await Channel.updateMany({}, { $set: { isDefault: false } });
+            channel.isDefault = true;
+        }
+
+        const savedChannel = await channel.save();
+        auditChange(res, 'channel.create', { after: savedChannel.toJSON(), target: { type: 'channel', id: String(savedChannel._id) } });
+        res.status(201).json(savedChannel);
+    } catch (error) {
+        console.error('Error creating channel:', error);
+        res.status(500).json({ message: 'Failed to create channel' });
+    }
+});
+
+app.put('/api/channels/:id', requireAdmin, async (req, res) => {
+    try {
+        const channel = await Channel.findById(req.params.id);
+        if (!channel) {
+            return res.status(404).json({ message: 'Channel not found' });
+        }
+
+        const { organization, isDefault } = req.body;
+        if (organization && !(mongoose.isValidObjectId(organization) && await Organization.exists({ _id: organization }))) {
+            return res.status(400).json({ message: 'Organization not found' });
+        }
+
+        const before = channel.toJSON();
+        CHANNEL_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) channel[field] = req.body[field] === '' ? null : req.body[field];
+        });
+        if (req.body.baseUrl) channel.baseUrl = req.body.baseUrl.replace(/\/+$/, '');
+
+        if (isDefault) {
+            await Channel.updateMany({ _id: { $ne: channel._id } }, { $set: { isDefault: false } });
+            channel.isDefault = true;
+        }
+
+        const updatedChannel = await channel.save();
+        auditChange(res, 'channel.update', { before, after: updatedChannel.toJSON() });
+        res.status(200).json(updatedChannel);
+    } catch (error) {
+        console.error(`Error updating channel ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to update channel' });
+    }
+});
+
+// Channels that already have chats or messages are deactivated rather than deleted
+app.delete('/api/channels/:id', requireAdmin, async (req, res) => {
+    try {
+        const channel = await Channel.findById(req.params.id);
+        if (!channel) {
+            return res.status(404).json({ message: 'Channel not found' });
+        }
+
+        const before = channel.toJSON();
+        const inUse = await Chat.exists({ channel: channel._id }) || await Message.exists({ channel: channel._id });
+        if (inUse) {
+            channel.active = false;
+            channel.isDefault = false;
+            await channel.save();
+            auditChange(res, 'channel.deactivate', { before, after: channel.toJSON() });
+            return res.status(200).json({ message: 'Channel deactivated', channel });
+        }
+
+        await Channel.deleteOne({ _id: channel._id });
+        auditChange(res, 'channel.delete', { before });
+        res.status(200).json({ message: 'Channel deleted successfully' });
+    } catch (error) {
+        console.error(`Error deleting channel ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to delete channel' });
+    }
+});
+
+// Check a channel's credentials against Whapi and return its WhatsApp profile
+app.get('/api/channels/:id/profile', requireAdmin, async (req, res) => {
+    try {
+        const channel = await Channel.findById(req.params.id);
+        if (!channel) {
+            return res.status(404).json({ message: 'Channel not found' });
+        }
+
+        const profile = await whapiRequest('/users/profile', 'get', null, channel);
+        res.status(200).json(profile);
+    } catch (error) {
+        console.error(`Error getting profile for channel ${req.params.id}:`, error.message);
+        respondWithWhapiError(res, error, 'Failed to reach Whapi with this channel');
+    }
+});
+
+// ----------------CHAT ROUTES--------------------------------------------------
+// Chat listings are served from the Chat collection kept up to date by the chat sync.
+// Query: q (name or chat ID), channel, organization, sort (name, -name, lastMessageAt,
+// -lastMessageAt, unreadCount, -unreadCount), limit, offset, includeRemoved=true.
+// The total number of matches is returned in X-Total-Count.
+const CHAT_SORTS = ['name', 'lastMessageAt', 'unreadCount'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const listChats = async (req, res, baseQuery) => {
+    const query = { ...baseQuery };
+    if (req.query.includeRemoved !== 'true') query.removedAt = null;
+    if (req.query.channel) {
+        if (!mongoose.isValidObjectId(req.query.channel)) {
+            return res.status(400).json({ message: 'Invalid channel' });
+        }
+        query.channel = req.query.channel;
+    }
+    if (req.query.organization) {
+        if (!mongoose.isValidObjectId(req.query.organization)) {
+            return res.status(400).json({ message: 'Invalid organization' });
+        }
+        query.organization = req.query.organization;
+    }
+    if (req.query.q) {
+        const pattern = new RegExp(escapeRegExp(req.query.q), 'i');
+        query.$or = [{ name: pattern }, { chatId: pattern }];
+    }
+
+    const sortParam = req.query.sort || '-lastMessageAt';
+    const sortField = sortParam.replace(/^-/, '');
+    if (!CHAT_SORTS.includes(sortField)) {
+        return res.status(400).json({ message: `sort must be one of: ${CHAT_SORTS.join(', ')} (prefix with - for descending)` });
+    }
+    const direction = sortParam.startsWith('-') ? -1 : 1;
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const filter = { $and: [query, await chatScopeFilter(req.user)] };
+    const [chats, total] = await Promise.all([
+        Chat.find(filter)
+            .sort({ [sortField]: direction, _id: direction })
+            .skip(offset)
+            .limit(limit)
+            .populate('organization')
+            .populate('channel', 'label'),
+        Chat.countDocuments(filter)
+    ]);
+
+    res.set('X-Total-Count', String(total));
+    res.status(200).json(chats.map(chat => ({
+        chatId: chat.chatId,
+        name: chat.name,
+        isGroup: chat.isGroup,
+        participants: chat.participants,
+        profilePicture: chat.profilePicture || '',
+        organization: chat.organization || null,
+        lastMessageAt: chat.lastMessageAt || null,
+        unreadCount: chat.unreadCount || 0,
+        channel: chat.channel?._id || null,
+        channelLabel: chat.channel?.label || null,
+        removedAt: chat.removedAt || null,
+        _id: chat._id
+    })));
+};
+
+// Get all Chats information (includes groups)
+app.get('/api/chats', async (req, res) => {
+    try {
+        await listChats(req, res, {});
+    } catch (error) {
+        console.error('Error getting chats:', error);
+        res.status(500).json({ message: 'Failed to get chats' });
+    }
+});
+
+app.get('/api/chats/individual', async (req, res) => {
+    try {
+        await listChats(req, res, { isGroup: false });
+    } catch (error) {
+        console.error('Error getting individual chats:', error);
+        res.status(500).json({ message: 'Failed to get individual chats' });
+    }
+});
+
+app.get('/api/chats/groups', async (req, res) => {
+    try {
+        await listChats(req, res, { isGroup: true });
+    } catch (error) {
+        console.error('Error getting groups:', error);
+        res.status(500).json({ message: 'Failed to get groups' });
+    }
+});
+
+// Last chat sync result; POST runs one now (?wait=true to wait for the result)
+app.get('/api/chats/sync', requireAdmin, (req, res) => {
+    res.status(200).json({
+        running: !!chatSync.running,
+        intervalMs: CHAT_SYNC_INTERVAL_MS,
+        lastRun: chatSync.lastRun
+    });
+});
+
+app.post('/api/chats/sync', requireAdmin, async (req, res) => {
+    try {
+        if (req.query.wait === 'true') {
+            const result = await syncChats(req.io);
+            auditChange(res, 'chat.sync', { target: { type: 'chat', id: null }, meta: result });
+            return res.status(200).json(result);
+        }
+
+        auditChange(res, 'chat.sync', { target: { type: 'chat', id: null }, meta: { background: true } });
+        syncChats(req.io).catch(error => {
+            console.error('Error syncing chats:', error.message);
+        });
+        res.status(202).json({ message: 'Chat sync started' });
+    } catch (error) {
+        console.error('Error syncing chats:', error);
+        res.status(500).json({ message: 'Failed to sync chats' });
+    }
+});
+
+app.get('/api/chats/:id', requireChatAccess('viewer', 'id'), async (req, res) => {
+    try {
+        const chatId = req.params.id;
+        const isGroup = chatId.includes('@g.us');
+
+        // First try to get from our database
+        let chat = await Chat.findOne({ chatId }).populate('organization');
+
+        // If not in database or we need fresh data, get from Whapi
+        if (!chat) {
+            const channel = await getChannelForChat(chatId, req.query.channel, req.user);
+            try {
+                // Try to get chat info from Whapi
+                let whapiChat;
+
+                if (isGroup) {
+                    const groupResponse = await whapiRequest(`/group/${chatId}`, 'get', null, channel);
+                    whapiChat = {
+                        id: groupResponse.id || chatId,
+                        name: groupResponse.subject || `Group ${chatId}`,
+                        isGroup: true,
+                        participants: groupResponse.participants || [],
+                        profilePictureUrl: groupResponse.icon || null
+                    };
+                } else {
+                    whapiChat = await whapiRequest(`/chat/${chatId}`, 'get', null, channel);
+                }
+
+                // Create new chat entry
+                chat = new Chat({
+                    chatId: chatId,
+                    name: whapiChat.name || whapiChat.subject || `Chat with ${chatId}`,
+                    isGroup: isGroup,
+                    participants: Array.isArray(whapiChat.participants)
+                        ? whapiChat.participants.map(p => typeof p === 'string' ? p : p.id)
+                        : [],
+                    profilePicture: whapiChat.profilePictureUrl || whapiChat.icon || '',
+                    channel: channel._id
+                });
+
+                await chat.save();
+                if ((await autoAssignChats([chat])).length > 0) {
+                    chat = await Chat.findById(chat._id).populate('organization');
+                }
+            } catch (whapiError) {
+                // If Whapi call fails, create basic entry
+                console.log(`Error getting chat info from Whapi for ${chatId}:`, whapiError.message);
+
+                // Return minimal info that won't break the UI
+                return res.status(200).json({
+                    chatId: chatId,
+                    name: isGroup ? `Group ${chatId.split('@')[0]}` : `Chat ${chatId}`,
+                    isGroup: isGroup,
+                    participants: [],
+                    _id: null
+                });
+            }
+        }
+
+        res.status(200).json(chat);
+    } catch (error) {
+        console.error(`Error getting chat ${req.params.id}:`, error);
+        if (error.status) {
+            return res.status(error.status).json({ message: error.message });
+        }
+
+        // Return minimal info that won't break the UI
+        const chatId = req.params.id;
+        const isGroup = chatId.includes('@g.us');
+
+        res.status(200).json({
+            chatId: chatId,
+            name: isGroup ? `Group ${chatId.split('@')[0]}` : `Chat ${chatId}`,
+            isGroup: isGroup,
+            participants: [],
+            _id: null
+        });
+    }
+});
+
+// Group Routes
+const sendGroupError = (res, error, message) => {
+    if (error instanceof WhapiError) return respondWithWhapiError(res, error, message);
+    res.status(error.status || 500).json({ message: error.status ? error.message : message });
+};
+
+// Create a group: { subject, participants, description?, organization?, channelId? }.
+// Non-administrators must create it in an organization they administer.
+app.post('/api/groups', async (req, res) => {
+    try {
+        const { subject, description, organization, channelId } = req.body;
+        if (!subject || typeof subject !== 'string') {
+            return res.status(400).json({ message: 'Group subject is required' });
+        }
+        const participants = parseParticipantList(req.body.participants);
+        if (!participants) {
+            return res.status(400).json({ message: 'participants must be a non-empty list of phone numbers or WhatsApp IDs' });
+        }
+        if (organization) {
+            if (!(mongoose.isValidObjectId(organization) && await Organization.exists({ _id: organization }))) {
+                return res.status(400).json({ message: 'Organization not found' });
+            }
+            if (!hasOrganizationRole(req.user, organization, 'admin')) {
+                return res.status(403).json({ message: 'Requires admin access to the organization' });
+            }
+        } else if (!req.user.isAdmin) {
+            return res.status(400).json({ message: 'organization is required' });
+        }
+
+        const organizationChannel = !channelId && organization
+            ? await Channel.findOne({ organization, active: true }).sort({ createdAt: 1 })
+            : null;
+        // Organization admins may only create groups on their organization's own numbers
+        const channel = checkChannelOwnership(organizationChannel || await getChannel(channelId), req.user, organization);
+
+        const result = await whapiRequest('/groups', 'post', { subject, participants }, channel);
+        const chatId = result.group_id || result.id;
+        if (!chatId) {
+            return res.status(502).json({ message: 'Whapi did not return the new group ID', result });
+        }
+
+        if (description) {
+            await whapiRequest(`/groups/${chatId}`, 'put', { subject, description }, channel).catch(error => {
+                console.error(`Error setting description for group ${chatId}:`, error.message);
+            });
+        }
+
+        await Chat.findOneAndUpdate(
+            { chatId },
+            {
+                $set: { name: subject, description: description || '', isGroup: true, participants, channel: channel._id, removedAt: null },
+                $setOnInsert: { chatId, createdAt: new Date() }
+            },
+            { upsert: true }
+        );
+        if (organization) {
+            await assignChats([chatId], organization);
+        }
+
+        const chat = await applyGroupChange(chatId, 'created', {}, { participants });
+        auditChange(res, 'group.create', {
+            after: groupAuditSnapshot(chat),
+            target: { type: 'chat', id: chatId },
+            organization,
+            meta: { channel: channel._id }
+        });
+        res.status(201).json({ chat, result });
+    } catch (error) {
+        console.error('Error creating group:', error.message);
+        sendGroupError(res, error, 'Failed to create group');
+    }
+});
+
+// Rename the group or change its description: { subject?, description? }
+app.patch('/api/groups/:chatId', requireGroupChat, requireChatAccess('admin'), async (req, res) => {
+    try {
+        const { chatId } = req.params;
+        const { subject, description } = req.body;
+        if (subject === undefined && description === undefined) {
+            return res.status(400).json({ message: 'Nothing to update' });
+        }
+        if (subject !== undefined && (typeof subject !== 'string' || !subject.trim())) {
+            return res.status(400).json({ message: 'Group subject cannot be empty' });
+        }
+
+        const update = {};
+        if (subject !== undefined) update.subject = subject;
+        if (description !== undefined) update.description = description || '';
+
+        const before = await findGroupForAudit(chatId);
+        const channel = await getChannelForChat(chatId, req.body.channelId, req.user);
+        const result = await whapiRequest(`/groups/${chatId}`, 'put', update, channel);
+
+        const fields = {};
+        if (subject !== undefined) fields.name = subject;
+        if (description !== undefined) fields.description = update.description;
+        const chat = await applyGroupChange(chatId, 'updated', { $set: fields }, fields);
+        auditChange(res, 'group.update', { before, after: groupAuditSnapshot(chat) });
+
+        res.status(200).json({ chat, result });
+    } catch (error) {
+        console.error(`Error updating group ${req.params.chatId}:`, error.message);
+        sendGroupError(res, error, 'Failed to update group');
+    }
+});
+
+// Set the group icon from an uploaded image (multipart field "file")
+app.put('/api/groups/:chatId/icon', requireGroupChat, requireChatAccess('admin'), (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({ message: err.message });
+        }
+        next(err);
+    });
+}, async (req, res) => {
+    try {
+        const { chatId } = req.params;
+        if (!req.file || !req.file.mimetype.startsWith('image/')) {
+            return res.status(400).json({ message: 'An image file is required' });
+        }
+
+        const before = await findGroupForAudit(chatId);
+        const channel = await getChannelForChat(chatId, req.body.channelId, req.user);
+        const result = await whapiRequest(`/groups/${chatId}/icon`, 'put', {
+            media: `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`
+        }, channel);
+
+        // Whapi hosts the new picture; pick up its URL if it is available yet
+        const fields = {};
+        const group = await whapiRequest(`/groups/${chatId}`, 'get', null, channel).catch(() => null);
+        if (group?.chat_pic) fields.profilePicture = group.chat_pic;
+        const chat = await applyGroupChange(chatId, 'icon_changed', { $set: fields }, fields);
+        auditChange(res, 'group.icon', { before, after: groupAuditSnapshot(chat) });
+
+        res.status(200).json({ chat, result });
+    } catch (error) {
+        console.error(`Error setting icon for group ${req.params.chatId}:`, error.message);
+        sendGroupError(res, error, 'Failed to set group icon');
+    }
+});
+
+// Add or remove participants, promote or demote admins: { participants: [...] }
+const groupParticipantRoute = ({ method, endpoint, action, update, failureMessage }) => async (req, res) => {
+    try {
+        const { chatId } = req.params;
+        const participants = parseParticipantList(req.body.participants);
+        if (!participants) {
+            return res.status(400).json({ message: 'participants must be a non-empty list of phone numbers or WhatsApp IDs' });
+        }
+
+        const before = await findGroupForAudit(chatId);
+        const channel = await getChannelForChat(chatId, req.body.channelId, req.user);
+        const result = await whapiRequest(`/groups/${chatId}/${endpoint}`, method, { participants }, channel);
+        const chat = await applyGroupChange(chatId, action, update(participants), { participants });
+        auditChange(res, `group.${action}`, { before, after: groupAuditSnapshot(chat), meta: { participants } });
+
+        res.status(200).json({ chat, result });
+    } catch (error) {
+        console.error(`Error changing participants of group ${req.params.chatId}:`, error.message);
+        sendGroupError(res, error, failureMessage);
+    }
+};
+
+app.post('/api/groups/:chatId/participants', requireGroupChat, requireChatAccess('admin'), groupParticipantRoute({
+    method: 'post',
+    endpoint: 'participants',
+    action: 'participants_added',
+    update: participants => ({ $addToSet: { participants: { $each: participants } } }),
+    failureMessage: 'Failed to add participants'
+}));
+
+app.delete('/api/groups/:chatId/participants', requireGroupChat, requireChatAccess('admin'), groupParticipantRoute({
+    method: 'delete',
+    endpoint: 'participants',
+    action: 'participants_removed',
+    update: participants => ({ $pull: { participants: { $in: participants }, groupAdmins: { $in: participants } } }),
+    failureMessage: 'Failed to remove participants'
+}));
+
+app.post('/api/groups/:chatId/admins', requireGroupChat, requireChatAccess('admin'), groupParticipantRoute({
+    method: 'patch',
+    endpoint: 'admins',
+    action: 'participants_promoted',
+    update: participants => ({ $addToSet: { groupAdmins: { $each: participants } } }),
+    failureMessage: 'Failed to promote participants'
+}));
+
+app.delete('/api/groups/:chatId/admins', requireGroupChat, requireChatAccess('admin'), groupParticipantRoute({
+    method: 'delete',
+    endpoint: 'admins',
+    action: 'participants_demoted',
+    update: participants => ({ $pull: { groupAdmins: { $in: participants } } }),
+    failureMessage: 'Failed to demote participants'
+}));
+
+const inviteLinkFor = (result) => {
+    const code = result.invite_code || result.code;
+    return { inviteCode: code || null, inviteLink: code ? `https://chat.whatsapp.com/${code}` : null };
+};
+
+app.get('/api/groups/:chatId/invite', requireGroupChat, requireChatAccess('admin'), async (req, res) => {
+    try {
+        const channel = await getChannelForChat(req.params.chatId, req.query.channel, req.user);
+        const result = await whapiRequest(`/groups/${req.params.chatId}/invite`, 'get', null, channel);
+        res.status(200).json(inviteLinkFor(result));
+    } catch (error) {
+        console.error(`Error getting invite link for group ${req.params.chatId}:`, error.message);
+        sendGroupError(res, error, 'Failed to get invite link');
+    }
+});
+
+// Revoke the current invite link and return the one that replaces it
+app.delete('/api/groups/:chatId/invite', requireGroupChat, requireChatAccess('admin'), async (req, res) => {
+    try {
+        const { chatId } = req.params;
+        const channel = await getChannelForChat(chatId, req.query.channel, req.user);
+        await whapiRequest(`/groups/${chatId}/invite`, 'delete', null, channel);
+        broadcastForChat(chatId, 'group_updated', { chatId, action: 'invite_revoked' });
+        auditChange(res, 'group.invite_revoked', {});
+
+        const result = await whapiRequest(`/groups/${chatId}/invite`, 'get', null, channel);
+        res.status(200).json(inviteLinkFor(result));
+    } catch (error) {
+        console.error(`Error revoking invite link for group ${req.params.chatId}:`, error.message);
+        sendGroupError(res, error, 'Failed to revoke invite link');
+    }
+});
+
+// Campaign Routes
+// Non-administrators see campaigns they created and campaigns of their organizations
+const campaignScopeFilter = (user) => {
+    const organizationIds = getAccessibleOrganizationIds(user);
+    return organizationIds === null ? {} : { $or: [{ organization: { $in: organizationIds } }, { createdBy: user.email }] };
+};
+
+const findVisibleCampaign = async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(404).json({ message: 'Campaign not found' });
+        return null;
+    }
+    const campaign = await Campaign.findOne({ $and: [{ _id: req.params.id }, campaignScopeFilter(req.user)] });
+    if (!campaign) {
+        res.status(404).json({ message: 'Campaign not found' });
+    }
+    return campaign;
+};
+
+// Check a campaign target from the API, returning an error message or null
+const validateCampaignTarget = (target) => {
+    if (!target || typeof target !== 'object') {
+        return 'target is required';
+    }
+    const kinds = ['organization', 'chatIds', 'contacts'].filter(kind => target[kind]);
+    if (kinds.length !== 1) {
+        return 'target must have exactly one of organization, chatIds or contacts';
+    }
+    if (target.organization && !mongoose.isValidObjectId(target.organization)) {
+        return 'Invalid target organization';
+    }
+    if (target.chatIds && (!Array.isArray(target.chatIds) || target.chatIds.length === 0 || target.chatIds.some(chatId => typeof chatId !== 'string'))) {
+        return 'target.chatIds must be a non-empty list of chat IDs';
+    }
+    if (target.contacts) {
+        const { organization, contactIds, q } = target.contacts;
+        if (organization && !mongoose.isValidObjectId(organization)) {
+            return 'Invalid target.contacts.organization';
+        }
+        if (contactIds && (!Array.isArray(contactIds) || !contactIds.every(id => mongoose.isValidObjectId(id)))) {
+            return 'target.contacts.contactIds must be a list of contact IDs';
+        }
+        if (!organization && !contactIds?.length && !q) {
+            return 'target.contacts needs an organization, contactIds or q';
+        }
+    }
+    return null;
+};
+
+app.get('/api/campaigns', async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.status) query.status = { $in: req.query.status.split(',') };
+        const campaigns = await Campaign.find({ $and: [query, campaignScopeFilter(req.user)] })
+            .sort({ createdAt: -1 })
+            .limit(Math.min(parseInt(req.query.limit) || 50, 200));
+        res.status(200).json(campaigns.map(campaignSummary));
+    } catch (error) {
+        console.error('Error getting campaigns:', error);
+        res.status(500).json({ message: 'Failed to get campaigns' });
+    }
+});
+
+// Create a campaign: { name, template, target, scheduledAt?, ratePerMinute?, channelId? }.
+// ?dryRun=true returns the recipients and rendered messages without saving anything.
+app.post('/api/campaigns', async (req, res) => {
+    try {
+        const { name, template, target, scheduledAt, ratePerMinute, channelId } = req.body;
+        if (!name || !template || typeof template !== 'string') {
+            return res.status(400).json({ message: 'Name and template are required' });
+        }
+        const targetError = validateCampaignTarget(target);
+        if (targetError) {
+            return res.status(400).json({ message: targetError });
+        }
+        if (scheduledAt && Number.isNaN(new Date(scheduledAt).getTime())) {
+            return res.status(400).json({ message: 'Invalid scheduledAt' });
+        }
+        if (ratePerMinute !== undefined && !(Number(ratePerMinute) > 0 && Number(ratePerMinute) <= CAMPAIGN_RATE_PER_MINUTE)) {
+            return res.status(400).json({ message: `ratePerMinute must be between 1 and ${CAMPAIGN_RATE_PER_MINUTE}` });
+        }
+        const unknownVariables = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+            .map(match => match[1])
+            .filter(variable => !CAMPAIGN_VARIABLES.includes(variable));
+        if (unknownVariables.length > 0) {
+            return res.status(400).json({ message: `Unknown template variables: ${[...new Set(unknownVariables)].join(', ')}` });
+        }
+        const channel = channelId ? await getChannel(channelId, req.user) : null;
+
+        const recipients = await resolveCampaignRecipients(target, req.user);
+        if (recipients.length === 0) {
+            return res.status(400).json({ message: 'The target has no recipients' });
+        }
+
+        // Senders need operator access to every recipient chat
+        const allowedChatIds = await getAccessibleChatIds(req.user, 'operator');
+        if (allowedChatIds !== null) {
+            const denied = recipients.filter(recipient => !allowedChatIds.includes(recipient.chatId));
+            if (denied.length > 0) {
+                return res.status(403).json({ message: `You cannot send to ${denied.length} of the target chats` });
+            }
+        }
+
+        if (req.query.dryRun === 'true') {
+            return res.status(200).json(recipients.map(recipient => ({
+                chatId: recipient.chatId,
+                name: recipient.name,
+                message: renderCampaignTemplate(template, recipient.variables)
+            })));
+        }
+
+        const campaign = await Campaign.create({
+            name,
+            template,
+            target,
+            organization: target.organization || target.contacts?.organization || null,
+            channel: channel?._id,
+            scheduledAt: scheduledAt ? new Date(scheduledAt) : new Date(),
+            ratePerMinute: ratePerMinute ? Number(ratePerMinute) : undefined,
+            recipients,
+            createdBy: getActor(req)
+        });
+        emitCampaign(campaign);
+        auditChange(res, 'campaign.create', {
+            after: campaignSummary(campaign),
+            target: { type: 'campaign', id: String(campaign._id) },
+            organization: campaign.organization || undefined
+        });
+
+        if (campaign.scheduledAt <= new Date()) {
+            runCampaign(campaign._id).catch(error => console.error(`Error running campaign ${campaign._id}:`, error.message));
+        }
+
+        res.status(201).json(campaign);
+    } catch (error) {
+        console.error('Error creating campaign:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to create campaign' });
+    }
+});
+
+// Campaign with per-recipient send status and, once sent, WhatsApp delivery status
+app.get('/api/campaigns/:id', async (req, res) => {
+    try {
+        const campaign = await findVisibleCampaign(req, res);
+        if (!campaign) return;
+
+        const messageIds = campaign.recipients.map(recipient => recipient.messageId).filter(Boolean);
+        const messages = await Message.find({ messageId: { $in: messageIds } }).select('messageId status');
+        const deliveryStatus = new Map(messages.map(message => [message.messageId, message.status]));
+
+        res.status(200).json({
+            ...campaign.toObject(),
+            summary: campaignSummary(campaign),
+            recipients: campaign.recipients.map(recipient => ({
+                ...recipient.toObject(),
+                deliveryStatus: recipient.messageId ? deliveryStatus.get(recipient.messageId) || null : null
+            }))
+        });
+    } catch (error) {
+        console.error(`Error getting campaign ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to get campaign' });
+    }
+});
+
+// Pause, resume or cancel; the creator, administrators and organization operators may do this
+const changeCampaignStatus = (from, to) => async (req, res) => {
+    try {
+        const campaign = await findVisibleCampaign(req, res);
+        if (!campaign) return;
+
+        const allowed = req.user.isAdmin || campaign.createdBy === req.user.email
+            || (campaign.organization && hasOrganizationRole(req.user, campaign.organization, 'operator'));
+        if (!allowed) {
+            return res.status(403).json({ message: 'You cannot change this campaign' });
+        }
+        if (!from.includes(campaign.status)) {
+            return res.status(409).json({ message: `Campaign is ${campaign.status}` });
+        }
+
+        // Conditional update: the runner may be marking recipients or finishing at the same time
+        const update = { $set: { status: to } };
+        const options = { new: true };
+        if (to === 'cancelled') {
+            update.$set.finishedAt = new Date();
+            update.$set['recipients.$[recipient].status'] = 'skipped';
+            options.arrayFilters = [{ 'recipient.status': 'pending' }];
+        }
+        const updatedCampaign = await Campaign.findOneAndUpdate({ _id: campaign._id, status: { $in: from } }, update, options);
+        if (!updatedCampaign) {
+            const current = await Campaign.findById(campaign._id).select('status');
+            return res.status(409).json({ message: `Campaign is ${current?.status || 'gone'}` });
+        }
+        emitCampaign(updatedCampaign);
+        auditChange(res, `campaign.${to === 'scheduled' ? 'resume' : to === 'paused' ? 'pause' : 'cancel'}`, {
+            before: campaignSummary(campaign),
+            after: campaignSummary(updatedCampaign),
+            organization: campaign.organization || undefined
+        });
+
+        if (to === 'scheduled') {
+            runCampaign(updatedCampaign._id).catch(error => console.error(`Error running campaign ${updatedCampaign._id}:`, error.message));
+        }
+
+        res.status(200).json(campaignSummary(updatedCampaign));
+    } catch (error) {
+        console.error(`Error changing campaign ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to update campaign' });
+    }
+};
+
+app.post('/api/campaigns/:id/pause', changeCampaignStatus(['scheduled', 'running'], 'paused'));
+app.post('/api/campaigns/:id/resume', changeCampaignStatus(['paused'], 'scheduled'));
+app.post('/api/campaigns/:id/cancel', changeCampaignStatus(['scheduled', 'running', 'paused'], 'cancelled'));
+
+// Audit Routes
+// Filters: actor (email), action (trailing * for a prefix), targetType, targetId, organization,
+// from/to (ISO dates), outcome (success or failure). Organization admins see their organizations' entries.
+const buildAuditQuery = (req) => {
+    const query = {};
+    if (req.query.actor) query['actor.email'] = req.query.actor.toLowerCase();
+    if (req.query.action) {
+        query.action = req.query.action.endsWith('*')
+            ? new RegExp(`^${escapeRegExp(req.query.action.slice(0, -1))}`)
+            : req.query.action;
+    }
+    if (req.query.targetType) query['target.type'] = req.query.targetType;
+    if (req.query.targetId) query['target.id'] = req.query.targetId;
+    if (req.query.organization) {
+        if (!mongoose.isValidObjectId(req.query.organization)) {
+            throw Object.assign(new Error('Invalid organization'), { status: 400 });
+        }
+        query.organization = req.query.organization;
+    }
+    if (req.query.from || req.query.to) {
+        query.at = {};
+        ['from', 'to'].filter(key => req.query[key]).forEach(key => {
+            const date = new Date(req.query[key]);
+            if (Number.isNaN(date.getTime())) {
+                throw Object.assign(new Error(`Invalid ${key} date`), { status: 400 });
+            }
+            query.at[key === 'from' ? '$gte' : '$lte'] = date;
+        });
+    }
+    if (req.query.outcome === 'success') query.statusCode = { $lt: 400 };
+    if (req.query.outcome === 'failure') query.statusCode = { $gte: 400 };
+
+    const organizationIds = getAccessibleOrganizationIds(req.user, 'admin');
+    return organizationIds === null ? query : { $and: [query, { organization: { $in: organizationIds } }] };
+};
+
+const requireAuditAccess = (req, res, next) => {
+    if (!req.user.isAdmin && getAccessibleOrganizationIds(req.user, 'admin').length === 0) {
+        return res.status(403).json({ message: 'Requires admin access to an organization' });
+    }
+    next();
+};
+
+// Newest first; page with ?before=<at of the last entry>
+app.get('/api/audit', requireAuditAccess, async (req, res) => {
+    try {
+        const query = buildAuditQuery(req);
+        if (req.query.before) {
+            const before = new Date(req.query.before);
+            if (Number.isNaN(before.getTime())) {
+                return res.status(400).json({ message: 'Invalid before date' });
+            }
+            query.$and = [...(query.$and || []), { at: { $lt: before } }];
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const entries = await AuditLog.find(query).sort({ at: -1 }).limit(limit);
+        res.status(200).json(entries);
+    } catch (error) {
+        console.error('Error getting audit log:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to get audit log' });
+    }
+});
+
+// Stream matching entries as CSV (default) or NDJSON (?format=ndjson), oldest first
+app.get('/api/audit/export', requireAuditAccess, async (req, res) => {
+    try {
+        const format = req.query.format === 'ndjson' ? 'ndjson' : 'csv';
+        const query = buildAuditQuery(req);
+        const stamp = new Date().toISOString().slice(0, 10);
+
+        res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+        res.set('Content-Disposition', `attachment; filename="audit-${stamp}.${format}"`);
+
+        const columns = ['at', 'actor', 'action', 'method', 'path', 'targetType', 'targetId', 'organization', 'statusCode', 'ip', 'changes'];
+        if (format === 'csv') res.write(`${columns.join(',')}\n`);
+
+        for await (const entry of AuditLog.find(query).sort({ at: 1 }).lean().cursor()) {
+            if (format === 'ndjson') {
+                res.write(`${JSON.stringify(entry)}\n`);
+                continue;
+            }
+            res.write(`${[
+                entry.at,
+                entry.actor?.email,
+                entry.action,
+                entry.method,
+                entry.path,
+                entry.target?.type,
+                entry.target?.id,
+                entry.organization,
+                entry.statusCode,
+                entry.ip,
+                entry.changes?.length ? entry.changes : ''
+            ].map(csvValue).join(',')}\n`);
+        }
+        res.end();
+    } catch (error) {
+        console.error('Error exporting audit log:', error);
+        if (res.headersSent) return res.end();
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to export audit log' });
+    }
+});
+
+// Contact Routes
+// Query: q (name, label, phone or ID), organization, limit, offset; total in X-Total-Count
+app.get('/api/contacts', async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.organization) {
+            if (!mongoose.isValidObjectId(req.query.organization)) {
+                return res.status(400).json({ message: 'Invalid organization' });
+            }
+            query.organization = req.query.organization;
+        }
+        if (req.query.q) {
+            const pattern = new RegExp(escapeRegExp(req.query.q), 'i');
+            query.$or = [{ label: pattern }, { pushName: pattern }, { phone: pattern }, { contactId: pattern }, { aliases: pattern }];
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const filter = { $and: [query, await contactScopeFilter(req.user)] };
+
+        const [contacts, total] = await Promise.all([
+            Contact.find(filter).sort({ lastSeenAt: -1, _id: -1 }).skip(offset).limit(limit).populate('organization', 'name'),
+            Contact.countDocuments(filter)
+        ]);
+
+        res.set('X-Total-Count', String(total));
+        res.status(200).json(contacts);
+    } catch (error) {
+        console.error('Error getting contacts:', error);
+        res.status(500).json({ message: 'Failed to get contacts' });
+    }
+});
+
+// Likely duplicates: contacts sharing a phone number or a push name
+app.get('/api/contacts/duplicates', requireAdmin, async (req, res) => {
+    try {
+        const groupBy = async (key) => Contact.aggregate([
+            { $match: { [key]: { $nin: [null, ''] } } },
+            { $group: { _id: key === 'pushName' ? { $toLower: `$${key}` } : `$${key}`, contacts: { $push: '$$ROOT' }, count: { $sum: 1 } } },
+            { $match: { count: { $gt: 1 } } },
+            { $limit: 200 }
+        ]);
+
+        const [byPhone, byName] = await Promise.all([groupBy('phone'), groupBy('pushName')]);
+        res.status(200).json([
+            ...byPhone.map(group => ({ reason: 'phone', value: group._id, contacts: group.contacts })),
+            ...byName.map(group => ({ reason: 'pushName', value: group._id, contacts: group.contacts }))
+        ]);
+    } catch (error) {
+        console.error('Error finding duplicate contacts:', error);
+        res.status(500).json({ message: 'Failed to find duplicate contacts' });
+    }
+});
+
+// Populate contacts from every stored chat and message sender
+app.post('/api/contacts/rebuild', requireAdmin, async (req, res) => {
+    try {
+        const chats = await Chat.find({}).select('chatId name isGroup participants profilePicture lastMessageAt').lean();
+        await recordContacts(contactSightingsFromChats(chats));
+
+        const senders = await Message.aggregate([
+            { $match: { fromMe: false, sender: { $nin: [null, ''] } } },
+            { $sort: { timestamp: 1 } },
+            { $group: { _id: '$sender', pushName: { $last: '$senderName' }, seenAt: { $max: '$timestamp' } } }
+        ]);
+        await recordContacts(senders.map(sender => ({ id: sender._id, pushName: sender.pushName, seenAt: sender.seenAt })));
+
+        const contacts = await Contact.countDocuments();
+        auditChange(res, 'contact.rebuild', { target: { type: 'contact', id: null }, meta: { contacts } });
+        res.status(200).json({ contacts });
+    } catch (error) {
+        console.error('Error rebuilding contacts:', error);
+        res.status(500).json({ message: 'Failed to rebuild contacts' });
+    }
+});
+
+// Resolve :id to a contact the caller can see
+const findVisibleContact = async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(404).json({ message: 'Contact not found' });
+        return null;
+    }
+    const contact = await Contact.findOne({ $and: [{ _id: req.params.id }, await contactScopeFilter(req.user)] });
+    if (!contact) {
+        res.status(404).json({ message: 'Contact not found' });
+    }
+    return contact;
+};
+
+app.get('/api/contacts/:id', async (req, res) => {
+    try {
+        const contact = await findVisibleContact(req, res);
+        if (!contact) return;
+        res.status(200).json(await contact.populate('organization', 'name'));
+    } catch (error) {
+        console.error(`Error getting contact ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to get contact' });
+    }
+});
+
+// Set the custom label or linked organization (admins of that organization only)
+app.put('/api/contacts/:id', async (req, res) => {
+    try {
+        const contact = await findVisibleContact(req, res);
+        if (!contact) return;
+
+        const before = contact.toObject();
+        const { label, organization } = req.body;
+        if (organization !== undefined) {
+            if (organization && !(mongoose.isValidObjectId(organization) && await Organization.exists({ _id: organization }))) {
+                return res.status(400).json({ message: 'Organization not found' });
+            }
+            const affected = [organization, contact.organization].filter(Boolean);
+            if (affected.some(organizationId => !hasOrganizationRole(req.user, organizationId, 'admin'))) {
+                return res.status(403).json({ message: 'Requires admin access to the organization' });
+            }
+            contact.organization = organization || null;
+        }
+        if (label !== undefined) contact.label = label || null;
+
+        const updatedContact = await contact.save();
+        auditChange(res, 'contact.update', { before, after: updatedContact.toObject(), organization: updatedContact.organization || before.organization });
+        res.status(200).json(updatedContact);
+    } catch (error) {
+        console.error(`Error updating contact ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to update contact' });
+    }
+});
+
+// Chats the contact takes part in: their own chat and groups they are a participant of
+app.get('/api/contacts/:id/chats', async (req, res) => {
+    try {
+        const contact = await findVisibleContact(req, res);
+        if (!contact) return;
+
+        const ids = contactIdentifiers(contact);
+        const chats = await Chat.find({
+            $and: [
+                { $or: [{ chatId: { $in: ids } }, { participants: { $in: ids } }] },
+                await chatScopeFilter(req.user)
+            ]
+        }).sort({ lastMessageAt: -1 }).populate('organization', 'name');
+
+        res.status(200).json(chats);
+    } catch (error) {
+        console.error(`Error getting chats for contact ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to get contact chats' });
+    }
+});
+
+// Documents the contact sent, in any chat, plus documents from their own chat
+app.get('/api/contacts/:id/documents', async (req, res) => {
+    try {
+        const contact = await findVisibleContact(req, res);
+        if (!contact) return;
+
+        const ids = contactIdentifiers(contact);
+        const sentMessageIds = await Message.distinct('messageId', { sender: { $in: ids }, mediaId: { $ne: null } });
+        const documents = await Document.find({
+            $and: [
+                { $or: [{ chatId: { $in: ids } }, { originalMessageId: { $in: sentMessageIds } }] },
+                await chatScopeFilter(req.user)
+            ]
+        }).sort({ processedAt: -1 });
+
+        res.status(200).json(documents);
+    } catch (error) {
+        console.error(`Error getting documents for contact ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to get contact documents' });
+    }
+});
+
+// Merge duplicates into this contact: { contactIds: [...] } (contact _ids)
+app.post('/api/contacts/:id/merge', requireAdmin, async (req, res) => {
+    try {
+        const { contactIds } = req.body;
+        if (!Array.isArray(contactIds) || contactIds.length === 0 || !contactIds.every(id => mongoose.isValidObjectId(id))) {
+            return res.status(400).json({ message: 'contactIds must be a non-empty list of contact IDs' });
+        }
+        if (contactIds.includes(req.params.id)) {
+            return res.status(400).json({ message: 'A contact cannot be merged into itself' });
+        }
+
+        const target = await findVisibleContact(req, res);
+        if (!target) return;
+
+        const sources = await Contact.find({ _id: { $in: contactIds } });
+        if (sources.length !== new Set(contactIds).size) {
+            return res.status(404).json({ message: 'One or more contacts were not found' });
+        }
+
+        const before = target.toObject();
+        const merged = await mergeContacts(target, sources);
+        auditChange(res, 'contact.merge', {
+            before,
+            after: merged.toObject(),
+            meta: { merged: sources.map(source => ({ _id: source._id, contactId: source.contactId })) }
+        });
+        res.status(200).json(merged);
+    } catch (error) {
+        console.error(`Error merging contacts into ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to merge contacts' });
+    }
+});
+
+// Search Routes
+// q uses the query language described under Search. Query parameters types, chatId, sender,
+// mediaType, organization (comma separated) and from/to (dates) add to the filters in q.
+// limit (default 20, max 100) and offset page through the ranked results; total in X-Total-Count.
+app.get('/api/search', async (req, res) => {
+    try {
+        const search = buildSearchRequest(req.query);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const offset = Math.min(Math.max(parseInt(req.query.offset) || 0, 0), SEARCH_MAX_RESULTS - limit);
+
+        const { counts, total, results } = await runSearch(req.user, search, { limit, offset });
+
+        res.set('X-Total-Count', String(total));
+        res.status(200).json({
+            query: {
+                text: search.text,
+                types: search.types,
+                chatIds: search.chatIds,
+                senders: search.senders,
+                mediaTypes: search.mediaTypes,
+                organizations: search.organizations,
+                after: search.after,
+                before: search.before
+            },
+            counts,
+            total,
+            results
+        });
+    } catch (error) {
+        console.error('Error searching:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Search failed' });
+    }
+});
+
+// Message Routes
+// Message history served from our database, newest first.
+// Query: before/after (cursor or date), limit, sender, mediaType (comma separated)
+app.get('/api/messages/:chatId', requireChatAccess('viewer'), async (req, res) => {
+    try {
+        const chatId = req.params.chatId;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const before = parseMessageCursor(req.query.before);
+        const after = parseMessageCursor(req.query.after);
+
+        if (before === undefined || after === undefined) {
+            return res.status(400).json({ message: 'Invalid before/after cursor' });
+        }
+
+        const query = { chatId };
+        if (req.query.sender) query.sender = req.query.sender;
+        if (req.query.mediaType) query.mediaType = { $in: req.query.mediaType.split(',') };
+
+        const range = [];
+        if (before) {
+            range.push(before.id
+                ? { $or: [{ timestamp: { $lt: before.timestamp } }, { timestamp: before.timestamp, _id: { $lt: before.id } }] }
+                : { timestamp: { $lt: before.timestamp } });
+        }
+        if (after) {
+            range.push(after.id
+                ? { $or: [{ timestamp: { $gt: after.timestamp } }, { timestamp: after.timestamp, _id: { $gt: after.id } }] }
+                : { timestamp: { $gt: after.timestamp } });
+        }
+        if (range.length > 0) query.$and = range;
+
+        // Paging forward from "after" walks oldest-first, then flips back to newest-first
+        const ascending = !!after && !before;
+        const sortOrder = ascending ? 1 : -1;
+        let messages = await Message.find(query)
+            .sort({ timestamp: sortOrder, _id: sortOrder })
+            .limit(limit + 1);
+
+        const hasMore = messages.length > limit;
+        messages = messages.slice(0, limit);
+        if (ascending) messages.reverse();
+
+        // Pull the full history from Whapi in the background the first time a chat is opened
+        const chat = await Chat.findOne({ chatId }).select('historySyncedAt');
+        const backfilling = !chat?.historySyncedAt;
+        if (backfilling) {
+            backfillChatHistory(chatId, req.io).catch(error => {
+                console.error(`Error backfilling history for chat ${chatId}:`, error.message);
+            });
+        }
+
+        res.status(200).json({
+            messages,
+            count: messages.length,
+            hasMore,
+            before: messages.length > 0 ? messageCursor(messages[messages.length - 1]) : null,
+            after: messages.length > 0 ? messageCursor(messages[0]) : null,
+            backfilling
+        });
+    } catch (error) {
+        console.error(`Error getting messages for chat ${req.params.chatId}:`, error);
+        res.status(500).json({ message: 'Failed to get messages' });
+    }
+});
+
+// Pull the full conversation history for a chat from Whapi into our database
+app.post('/api/messages/:chatId/backfill', requireChatAccess('operator'), async (req, res) => {
+    try {
+        const { chatId } = req.params;
+        const maxMessages = parseInt(req.body.maxMessages) || HISTORY_BACKFILL_LIMIT;
+
+        if (req.query.wait === 'true') {
+            const result = await backfillChatHistory(chatId, req.io, { maxMessages });
+            auditChange(res, 'message.backfill', { meta: { maxMessages, ...result } });
+            return res.status(200).json(result);
+        }
+
+        auditChange(res, 'message.backfill', { meta: { maxMessages, background: true } });
+        backfillChatHistory(chatId, req.io, { maxMessages }).catch(error => {
+            console.error(`Error backfilling history for chat ${chatId}:`, error.message);
+        });
+
+        res.status(202).json({ chatId, message: 'History backfill started' });
+    } catch (error) {
+        console.error(`Error backfilling history for chat ${req.params.chatId}:`, error);
+        if (error instanceof WhapiError) return respondWithWhapiError(res, error, 'Failed to backfill message history');
+        res.status(500).json({ message: 'Failed to backfill message history' });
+    }
+});
+
+// What the audit log keeps of a sent message (not its content)
+const messageAuditSnapshot = (message) => (message ? {
+    messageId: message.messageId,
+    status: message.status,
+    mediaType: message.mediaType,
+    fileName: message.fileName,
+    quotedMessageId: message.quotedMessageId,
+    error: message.error
+} : null);
+
+// Send a text message (optionally as a reply to quotedMessageId)
+app.post('/api/messages/:chatId', requireChatAccess('operator'), async (req, res) => {
+    try {
+        const { chatId } = req.params;
+        const { body, quotedMessageId } = req.body;
+
+        if (!body || typeof body !== 'string') {
+            return res.status(400).json({ message: 'Message body is required' });
+        }
+
+        const payload = { to: chatId, body };
+        if (quotedMessageId) payload.quoted = quotedMessageId;
+
+        const { message, clientMessageId, error } = await sendOutgoingMessage('/messages/text', payload, {
+            chatId,
+            content: body,
+            quotedMessageId
+        }, req.io, req.body.channelId, { user: req.user });
+        auditChange(res, 'message.send', { after: messageAuditSnapshot(message) });
+
+        if (error) {
+            return respondWithWhapiError(res, error, 'Failed to send message', { data: message });
+        }
+
+        res.status(201).json({ ...message.toObject(), clientMessageId });
+    } catch (error) {
+        console.error(`Error sending message to chat ${req.params.chatId}:`, error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to send message' });
+    }
+});
+
+// Send an uploaded image, video, audio or document (multipart field "file")
+app.post('/api/messages/:chatId/media', requireChatAccess('operator'), (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({ message: err.message });
+        }
+        next(err);
+    });
+}, async (req, res) => {
+    try {
+        const { chatId } = req.params;
+        const { caption, quotedMessageId } = req.body;
+
+        if (!req.file) {
+            return res.status(400).json({ message: 'File is required' });
+        }
+
+        const mediaType = ['image', 'video', 'audio', 'document'].includes(req.body.mediaType)
+            ? req.body.mediaType
+            : mediaTypeFromMime(req.file.mimetype);
+        const fileName = req.file.originalname;
+
+        const payload = {
+            to: chatId,
+            media: `data:${req.file.mimetype};name=${encodeURIComponent(fileName)};base64,${req.file.buffer.toString('base64')}`
+        };
+        if (caption && mediaType !== 'audio') payload.caption = caption;
+        if (mediaType === 'document') payload.filename = fileName;
+        if (quotedMessageId) payload.quoted = quotedMessageId;
+
+        const { message, clientMessageId, error } = await sendOutgoingMessage(`/messages/${mediaType}`, payload, {
+            chatId,
+            content: caption || '',
+            mediaType,
+            mimeType: req.file.mimetype,
+            fileName,
+            quotedMessageId
+        }, req.io, req.body.channelId, { user: req.user });
+        auditChange(res, 'message.send', { after: messageAuditSnapshot(message) });
+
+        if (error) {
+            return respondWithWhapiError(res, error, 'Failed to send media', { data: message });
+        }
+
+        res.status(201).json({ ...message.toObject(), clientMessageId });
+    } catch (error) {
+        console.error(`Error sending media to chat ${req.params.chatId}:`, error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to send media' });
+    }
+});
+
+// React to a message (an empty emoji removes our reaction)
+app.post('/api/messages/:chatId/:messageId/reaction', requireChatAccess('operator'), async (req, res) => {
+    try {
+        const { chatId, messageId } = req.params;
+        const emoji = req.body.emoji || '';
+
+        const channel = await getChannelForChat(chatId, req.body.channelId, req.user);
+        const before = await Message.findOne({ messageId }).select('reactions');
+        await whapiRequest(`/messages/${messageId}/reaction`, 'put', { emoji }, channel);
+
+        const message = await applyReaction(messageId, { emoji, fromMe: true }, req.io);
+        auditChange(res, 'message.react', {
+            before: { reaction: before?.reactions?.find(reaction => reaction.fromMe)?.emoji || null },
+            after: { reaction: emoji || null },
+            meta: { messageId }
+        });
+
+        res.status(200).json(message || { messageId, chatId, emoji });
+    } catch (error) {
+        console.error(`Error reacting to message ${req.params.messageId}:`, error);
+        if (error instanceof WhapiError) return respondWithWhapiError(res, error, 'Failed to send reaction');
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to send reaction' });
+    }
+});
+
+// Media Routes
+// Non-admins may only fetch media from messages in chats they can see
+const requireMediaAccess = async (req, res, next) => {
+    try {
+        if (req.user.isAdmin) return next();
+
+        const message = await Message.findOne({ mediaId: req.params.mediaId }).select('chatId');
+        const chatId = message?.chatId || mediaStore.entries.get(req.params.mediaId)?.chatId;
+        if (!chatId || !(await canAccessChat(req.user, chatId))) {
+            return res.status(403).json({ message: 'You do not have access to this media' });
+        }
+        next();
+    } catch (error) {
+        console.error('Error checking media access:', error);
+        res.status(500).json({ message: 'Failed to check access' });
+    }
+};
+
+// Media download endpoint, served from the media store (supports Range and If-None-Match)
+app.get('/api/media/:mediaId', requireMediaAccess, async (req, res) => {
+    const { mediaId } = req.params;
+
+    if (!isValidMediaId(mediaId)) {
+        return res.status(400).json({ message: 'Invalid media ID' });
+    }
+
+    try {
+        const entry = await getMedia(mediaId);
+        await sendMediaFile(req, res, entry);
+    } catch (error) {
+        console.error(`Error fetching media ${mediaId}:`, error.message);
+        if (error.upstreamStatus === 404) {
+            return res.status(404).json({ message: 'Media not found' });
+        }
+        if (error instanceof WhapiError) return respondWithWhapiError(res, error, 'Failed to fetch media');
+        res.status(500).json({
+            message: 'Failed to fetch media'
+        });
+    }
+});
+
+// Time-limited download link for the stored original (usable without a session)
+app.get('/api/media/:mediaId/url', requireMediaAccess, async (req, res) => {
+    const { mediaId } = req.params;
+
+    if (!isValidMediaId(mediaId)) {
+        return res.status(400).json({ message: 'Invalid media ID' });
+    }
+
+    try {
+        const expiresIn = Math.min(Math.max(parseInt(req.query.expiresIn) || STORAGE_URL_TTL, 60), 7 * 24 * 3600);
+        const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+        res.status(200).json(await mediaDownloadUrl(mediaId, { expiresIn, disposition }));
+    } catch (error) {
+        console.error(`Error signing media URL ${mediaId}:`, error.message);
+        if (error.upstreamStatus === 404) {
+            return res.status(404).json({ message: 'Media not found' });
+        }
+        if (error instanceof WhapiError) return respondWithWhapiError(res, error, 'Failed to create media URL');
+        res.status(500).json({ message: 'Failed to create media URL' });
+    }
+});
 
-        await Organization.deleteOne({ _id: organization._id });
+// Cached media metadata (mime type, size, original file name, source chat/message)
+app.get('/api/media/:mediaId/info', requireMediaAccess, async (req, res) => {
+    const { mediaId } = req.params;
 
-        // Update any chats that reference this organization
-        await Chat.updateMany(
-            { organization: organization._id },
-            { $unset: { organization: 1 } }
-        );
+    if (!isValidMediaId(mediaId)) {
+        return res.status(400).json({ message: 'Invalid media ID' });
+    }
 
-        res.status(200).json({ message: 'Organization deleted successfully' });
+    try {
+        const { hasSidecar, lastAccessedAt, ...entry } = await getMedia(mediaId);
+        res.status(200).json({ ...entry, lastAccessedAt: new Date(lastAccessedAt) });
     } catch (error) {
-        console.error(`Error deleting organization ${req.params.id}:`, error);
-        res.status(500).json({ message: 'Failed to delete organization' });
+        console.error(`Error getting media info ${mediaId}:`, error.message);
+        if (error.upstreamStatus === 404) {
+            return res.status(404).json({ message: 'Media not found' });
+        }
+        if (error instanceof WhapiError) return respondWithWhapiError(res, error, 'Failed to get media info');
+        res.status(500).json({ message: 'Failed to get media info' });
     }
 });
 
-// Add chat to organization
-app.post('/api/organizations/:id/chats/:chatId', async (req, res) => {
+// System Routes
+app.get('/api/system/info', async (req, res) => {
     try {
-        const { id, chatId } = req.params;
-        const decodedChatId = decodeURIComponent(chatId);
+        const forceUpdate = req.query.forceUpdate === 'true';
 
-        const organization = await Organization.findById(id);
+        // Try to get existing system info from database
+        let systemInfo = await SystemInfo.findOne();
 
-        if (!organization) {
-            return res.status(404).json({ message: 'Organization not found' });
+        // If no system info exists, or forceUpdate is true, fetch fresh data
+        if (!systemInfo || forceUpdate) {
+            systemInfo = await refreshSystemInfo();
+        }
+
+        res.status(200).json(systemInfo);
+    } catch (error) {
+        console.error('Error getting system info:', error);
+        res.status(500).json({ message: 'Failed to get system info' });
+    }
+});
+
+app.post('/api/system/info/update', requireAdmin, async (req, res) => {
+    try {
+        const before = await SystemInfo.findOne().lean();
+        const systemInfo = await refreshSystemInfo();
+        auditChange(res, 'system.refresh', { before, after: systemInfo });
+
+        res.status(200).json(systemInfo);
+    } catch (error) {
+        console.error('Error updating system info:', error);
+        res.status(500).json({ message: 'Failed to update system info' });
+    }
+});
+
+// Documents Routes
+// Filters shared by the document listing and export: status, documentType, chatId (comma
+// separated) and from/to (processedAt)
+const documentListQuery = (params) => {
+    const query = {};
+    if (params.status) query.status = { $in: params.status.split(',') };
+    if (params.documentType) query.documentType = { $in: params.documentType.split(',') };
+    if (params.chatId) query.chatId = { $in: params.chatId.split(',') };
+    if (params.from || params.to) {
+        query.processedAt = {};
+        ['from', 'to'].filter(key => params[key]).forEach(key => {
+            const date = new Date(params[key]);
+            if (Number.isNaN(date.getTime())) {
+                throw Object.assign(new Error(`Invalid ${key} date`), { status: 400 });
+            }
+            query.processedAt[key === 'from' ? '$gte' : '$lte'] = date;
+        });
+    }
+    return query;
+};
+
+app.get('/api/documents', async (req, res) => {
+    try {
+        const query = documentListQuery(req.query);
+
+        let documentsQuery = Document.find({ $and: [query, await chatScopeFilter(req.user)] }).sort({ processedAt: -1 });
+        if (req.query.limit) documentsQuery = documentsQuery.limit(parseInt(req.query.limit));
+        if (req.query.skip) documentsQuery = documentsQuery.skip(parseInt(req.query.skip));
+
+        const documents = await documentsQuery;
+        res.status(200).json(documents);
+    } catch (error) {
+        console.error('Error getting documents:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to get documents' });
+    }
+});
+
+// Export as CSV, XLSX or NDJSON. Takes the listing filters plus format (csv, xlsx, ndjson),
+// rows (document or lineItem), organization, and mapping (the ID or name of one of the
+// organization's export mappings; its rows and documentType apply unless given here).
+app.get('/api/documents/export', async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({ message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+        }
+
+        let organization = null;
+        if (req.query.organization) {
+            if (!mongoose.isValidObjectId(req.query.organization)) {
+                return res.status(400).json({ message: 'Invalid organization' });
+            }
+            if (!hasOrganizationRole(req.user, req.query.organization, 'viewer')) {
+                return res.status(403).json({ message: 'Requires viewer access to this organization' });
+            }
+            organization = await Organization.findById(req.query.organization).select('chatIds exportMappings');
+            if (!organization) {
+                return res.status(404).json({ message: 'Organization not found' });
+            }
+        }
+
+        let mapping = null;
+        if (req.query.mapping) {
+            if (!organization) {
+                return res.status(400).json({ message: 'mapping requires organization' });
+            }
+            mapping = (mongoose.isValidObjectId(req.query.mapping) && organization.exportMappings.id(req.query.mapping))
+                || organization.exportMappings.find(candidate => candidate.name === req.query.mapping);
+            if (!mapping) {
+                return res.status(404).json({ message: 'Export mapping not found' });
+            }
+        }
+
+        const rows = req.query.rows || mapping?.rows || 'document';
+        if (!EXPORT_ROWS.includes(rows)) {
+            return res.status(400).json({ message: `rows must be one of: ${EXPORT_ROWS.join(', ')}` });
+        }
+
+        const query = documentListQuery(req.query);
+        if (!req.query.documentType && mapping?.documentType) query.documentType = mapping.documentType;
+        const filters = [query, await chatScopeFilter(req.user)];
+        if (organization) filters.push({ chatId: { $in: organization.chatIds } });
+
+        const columns = mapping
+            ? mapping.columns.map(column => ({ header: column.header || column.source, source: column.source }))
+            : defaultExportColumns(rows, query.documentType?.$in || (query.documentType ? [query.documentType] : []));
+
+        const stamp = new Date().toISOString().slice(0, 10);
+        res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+        res.set('Content-Disposition', `attachment; filename="documents-${stamp}.${EXPORT_FORMATS[format].extension}"`);
+
+        await streamDocumentExport(res, { query: { $and: filters }, columns, rows, format });
+    } catch (error) {
+        console.error('Error exporting documents:', error);
+        if (res.headersSent) return res.end();
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to export documents' });
+    }
+});
+
+// Available extraction providers
+app.get('/api/documents/providers', (req, res) => {
+    const defaultProvider = defaultExtractionProvider();
+    res.status(200).json(Object.entries(extractionProviders).map(([name, provider]) => ({
+        name,
+        label: provider.label,
+        configured: provider.isConfigured(),
+        default: name === defaultProvider
+    })));
+});
+
+// Documents waiting for a reviewer, oldest first
+app.get('/api/documents/review', async (req, res) => {
+    try {
+        const query = { status: 'needs_review' };
+        if (req.query.chatId) query.chatId = req.query.chatId;
+        if (req.query.documentType) query.documentType = req.query.documentType;
+
+        const documents = await Document.find({ $and: [query, await chatScopeFilter(req.user)] })
+            .sort({ processedAt: 1 })
+            .limit(Math.min(parseInt(req.query.limit) || 50, 500));
+        res.status(200).json(documents);
+    } catch (error) {
+        console.error('Error getting review queue:', error);
+        res.status(500).json({ message: 'Failed to get review queue' });
+    }
+});
+
+// Supported document types and their typed fields
+app.get('/api/documents/types', (req, res) => {
+    const types = Object.entries(DOCUMENT_TYPES).map(([type, definition]) => ({
+        type,
+        label: definition.label,
+        fields: Object.entries(definition.fields).map(([name, field]) => ({ name, type: field.type, required: !!field.required })),
+        lineItems: definition.lineItems
+            ? Object.entries(definition.lineItems).map(([name, field]) => ({ name, type: field.type }))
+            : []
+    }));
+    res.status(200).json(types);
+});
+
+// Document processing jobs
+app.get('/api/documents/jobs', async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.status) query.status = { $in: req.query.status.split(',') };
+        if (req.query.chatId) query.chatId = req.query.chatId;
+        if (req.query.mediaId) query.mediaId = req.query.mediaId;
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const jobs = await DocumentJob.find({ $and: [query, await chatScopeFilter(req.user)] }).sort({ createdAt: -1 }).limit(limit);
+        res.status(200).json(jobs);
+    } catch (error) {
+        console.error('Error getting document jobs:', error);
+        res.status(500).json({ message: 'Failed to get document jobs' });
+    }
+});
+
+app.post('/api/documents/jobs', async (req, res) => {
+    try {
+        const { mediaId, chatId, messageId, documentType, provider } = req.body;
+        if (!mediaId) {
+            return res.status(400).json({ message: 'mediaId is required' });
+        }
+        if (documentType && !DOCUMENT_TYPES[documentType]) {
+            return res.status(400).json({ message: `Unknown document type: ${documentType}` });
+        }
+        if (provider && !extractionProviders[provider]) {
+            return res.status(400).json({ message: `Unknown extraction provider: ${provider}` });
+        }
+
+        const mediaChatId = await resolveMediaChatId(mediaId, chatId);
+        if (!req.user.isAdmin && !(mediaChatId && await canAccessChat(req.user, mediaChatId, 'operator'))) {
+            return res.status(403).json({ message: 'You do not have access to this chat' });
+        }
+
+        const job = await enqueueDocumentJob({
+            mediaId,
+            chatId: mediaChatId,
+            messageId,
+            documentType,
+            provider,
+            requestedBy: { user: req.user._id, email: req.user.email }
+        });
+        auditChange(res, 'document_job.create', { after: jobSummary(job), target: { type: 'media', id: mediaId } });
+        res.status(202).json(jobSummary(job));
+    } catch (error) {
+        console.error('Error creating document job:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to create document job' });
+    }
+});
+
+app.get('/api/documents/jobs/:id', async (req, res) => {
+    try {
+        const job = await DocumentJob.findById(req.params.id).populate('document');
+
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+        if (!(await canAccessChat(req.user, job.chatId))) {
+            return res.status(403).json({ message: 'You do not have access to this job' });
+        }
+
+        res.status(200).json(job);
+    } catch (error) {
+        console.error(`Error getting document job ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to get document job' });
+    }
+});
+
+// Put a failed job back in the queue with a fresh set of attempts
+app.post('/api/documents/jobs/:id/retry', async (req, res) => {
+    try {
+        const job = await DocumentJob.findById(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+        if (!(await canAccessChat(req.user, job.chatId, 'operator'))) {
+            return res.status(403).json({ message: 'You do not have access to this job' });
+        }
+        if (job.status !== 'failed') {
+            return res.status(409).json({ message: `Job is ${job.status}, only failed jobs can be retried` });
         }
 
-        if (!organization.chatIds) {
-            organization.chatIds = [];
+        const before = jobSummary(job);
+        job.status = 'queued';
+        job.attempts = 0;
+        job.error = null;
+        job.runAt = new Date();
+        job.finishedAt = null;
+        await job.save();
+        auditChange(res, 'document_job.retry', { before, after: jobSummary(job), target: { type: 'media', id: job.mediaId } });
+
+        emitDocumentJob(job);
+        setImmediate(pollDocumentJobs);
+
+        res.status(202).json(jobSummary(job));
+    } catch (error) {
+        console.error(`Error retrying document job ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to retry document job' });
+    }
+});
+
+app.get('/api/documents/:id', async (req, res) => {
+    try {
+        const document = await Document.findById(req.params.id);
+
+        if (!document) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+        if (!(await canAccessChat(req.user, document.chatId))) {
+            return res.status(403).json({ message: 'You do not have access to this document' });
+        }
+
+        res.status(200).json(document);
+    } catch (error) {
+        console.error(`Error getting document ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to get document' });
+    }
+});
+
+// Time-limited download link for the document's original file; ?redirect=true sends the browser there
+app.get('/api/documents/:id/file', async (req, res) => {
+    try {
+        const document = await Document.findById(req.params.id);
+
+        if (!document) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+        if (!(await canAccessChat(req.user, document.chatId))) {
+            return res.status(403).json({ message: 'You do not have access to this document' });
+        }
+
+        const options = { fileName: document.fileName, disposition: req.query.download === 'true' ? 'attachment' : 'inline' };
+        let link;
+        if (document.storageKey && await storage.head(document.storageKey)) {
+            link = await storage.signedUrl(document.storageKey, options);
+        } else if (document.mediaId) {
+            // Processed before object storage, or the stored copy is gone: store it from the media source
+            link = await mediaDownloadUrl(document.mediaId, options);
+            if (document.storageKey !== mediaStorageKey(document.mediaId)) {
+                document.storageKey = mediaStorageKey(document.mediaId);
+                document.fileUrl = storage.uri(document.storageKey);
+                await document.save();
+            }
+        } else {
+            return res.status(404).json({ message: 'Document file not found' });
+        }
+
+        if (req.query.redirect === 'true') {
+            return res.redirect(302, link.url);
+        }
+        res.status(200).json(link);
+    } catch (error) {
+        console.error(`Error getting file for document ${req.params.id}:`, error.message);
+        if (error.upstreamStatus === 404) {
+            return res.status(404).json({ message: 'Document file not found' });
+        }
+        if (error instanceof WhapiError) return respondWithWhapiError(res, error, 'Failed to get document file');
+        res.status(500).json({ message: 'Failed to get document file' });
+    }
+});
+
+// Review a document: correct fields/line items, change its type or move it to another status.
+// Body: { fields: { name: value }, lineItems: [{ index, field, value } | { index, remove: true }],
+//         documentType, status, comment, force }
+app.patch('/api/documents/:id', async (req, res) => {
+    try {
+        const document = await Document.findById(req.params.id);
+
+        if (!document) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+        if (!(await canAccessChat(req.user, document.chatId, 'operator'))) {
+            return res.status(403).json({ message: 'You do not have access to this document' });
+        }
+
+        const { fields, lineItems, documentType, status, comment, force } = req.body;
+        const actor = getActor(req);
+        const editing = fields || lineItems || documentType;
+        const before = documentReviewSnapshot(document.toObject());
+
+        if (editing && document.status === 'approved') {
+            return res.status(409).json({ message: 'Approved documents must be moved back to reviewed before editing' });
+        }
+
+        if (documentType && documentType !== document.documentType) {
+            if (!DOCUMENT_TYPES[documentType]) {
+                return res.status(400).json({ message: `Unknown document type: ${documentType}` });
+            }
+            document.corrections.push({ field: 'documentType', oldValue: document.documentType, newValue: documentType, by: actor, at: new Date() });
+            document.documentType = documentType;
+        }
+
+        if (editing) {
+            try {
+                applyDocumentCorrections(document, {
+                    fieldEdits: fields || {},
+                    lineItemEdits: lineItems || []
+                }, actor);
+            } catch (correctionError) {
+                return res.status(400).json({ message: correctionError.message });
+            }
+        }
+
+        if (status && status !== document.status) {
+            if (!(REVIEW_TRANSITIONS[document.status] || []).includes(status)) {
+                return res.status(409).json({ message: `Cannot move document from ${document.status} to ${status}` });
+            }
+            if (status === 'approved' && document.validationErrors.length > 0 && !force) {
+                return res.status(409).json({
+                    message: 'Document has validation errors; fix them or approve with force',
+                    validationErrors: document.validationErrors
+                });
+            }
+
+            document.statusHistory.push({ from: document.status, to: status, by: actor, comment, at: new Date() });
+            document.status = status;
+            if (['reviewed', 'approved', 'rejected'].includes(status)) {
+                document.reviewedBy = actor;
+                document.reviewedAt = new Date();
+            }
+        }
+
+        const updatedDocument = await document.save();
+        auditChange(res, 'document.update', { before, after: documentReviewSnapshot(updatedDocument.toObject()), meta: comment ? { comment } : undefined });
+
+        req.io.to(updatedDocument.chatId).emit('document_updated', updatedDocument);
+        if (updatedDocument.status !== before.status && ['reviewed', 'approved', 'rejected'].includes(updatedDocument.status)) {
+            emitWebhookEvent(`document.${updatedDocument.status}`, { chatId: updatedDocument.chatId }, webhookDocument(updatedDocument));
+        }
+
+        res.status(200).json(updatedDocument);
+    } catch (error) {
+        console.error(`Error updating document ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to update document' });
+    }
+});
+
+app.get('/api/documents/chat/:chatId', requireChatAccess('viewer'), async (req, res) => {
+    try {
+        const documents = await Document.find({ chatId: req.params.chatId }).sort({ processedAt: -1 });
+        res.status(200).json(documents);
+    } catch (error) {
+        console.error(`Error getting documents for chat ${req.params.chatId}:`, error);
+        res.status(500).json({ message: 'Failed to get documents' });
+    }
+});
+
+// Route to process and analyze a document with Document AI
+// Queues a processing job and returns it immediately; media that was already analyzed
+// returns the stored Document. Pass ?wait=true to process inline instead.
+app.post('/api/documents/analyze/:fileId', async (req, res) => {
+    try {
+        const { fileId } = req.params;
+        if (!fileId) {
+            return res.status(400).json({ message: 'File ID is required' });
+        }
+
+        const { documentType, provider } = req.body;
+        if (documentType && !DOCUMENT_TYPES[documentType]) {
+            return res.status(400).json({ message: `Unknown document type: ${documentType}` });
+        }
+        if (provider && !extractionProviders[provider]) {
+            return res.status(400).json({ message: `Unknown extraction provider: ${provider}` });
+        }
+
+        const existing = await Document.findOne({ mediaId: fileId });
+        const mediaChatId = existing?.chatId || await resolveMediaChatId(fileId, req.body.chatId);
+        if (!req.user.isAdmin && !(mediaChatId && await canAccessChat(req.user, mediaChatId, existing ? 'viewer' : 'operator'))) {
+            return res.status(403).json({ message: 'You do not have access to this chat' });
+        }
+
+        if (existing) {
+            return res.status(200).json({ ...existing.toObject(), mimeType: existing.fileType });
+        }
+
+        if (req.query.wait === 'true') {
+            const { document, created } = await analyzeMediaDocument(fileId, {
+                chatId: mediaChatId,
+                messageId: req.body.messageId,
+                documentType,
+                provider
+            });
+
+            if (created) {
+                req.io.to(document.chatId).emit('document_processed', document);
+                emitWebhookEvent('document.processed', { chatId: document.chatId }, webhookDocument(document));
+            }
+            auditChange(res, 'document.create', {
+                after: documentReviewSnapshot(document.toObject()),
+                target: { type: 'document', id: String(document._id) }
+            });
+
+            return res.status(created ? 201 : 200).json({
+                ...document.toObject(),
+                mimeType: document.fileType
+            });
+        }
+
+        const job = await enqueueDocumentJob({
+            mediaId: fileId,
+            chatId: mediaChatId,
+            messageId: req.body.messageId,
+            documentType,
+            provider,
+            requestedBy: { user: req.user._id, email: req.user.email }
+        });
+        auditChange(res, 'document_job.create', { after: jobSummary(job) });
+
+        res.status(202).json(jobSummary(job));
+    } catch (error) {
+        console.error('Error analyzing document:', error);
+        res.status(error.status || 500).json({ 
+            message: error.status ? error.message : 'Failed to analyze document',
+            error: error.message 
+        });
+    }
+});
+
+// Queue a new analysis of an existing document, keeping the previous result in its history
+app.post('/api/documents/:id/reanalyze', async (req, res) => {
+    try {
+        const document = await Document.findById(req.params.id);
+
+        if (!document) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+        if (!(await canAccessChat(req.user, document.chatId, 'operator'))) {
+            return res.status(403).json({ message: 'You do not have access to this document' });
+        }
+        if (!document.mediaId) {
+            return res.status(400).json({ message: 'Document has no source media to re-analyze' });
         }
 
-        if (!organization.chatIds.includes(decodedChatId)) {
-            organization.chatIds.push(decodedChatId);
-            await organization.save();
+        const documentType = req.body.documentType || document.documentType;
+        if (documentType && !DOCUMENT_TYPES[documentType]) {
+            return res.status(400).json({ message: `Unknown document type: ${documentType}` });
+        }
+        const { provider } = req.body;
+        if (provider && !extractionProviders[provider]) {
+            return res.status(400).json({ message: `Unknown extraction provider: ${provider}` });
         }
 
-        // Also update chat record if it exists
-        const chat = await Chat.findOne({ chatId: decodedChatId });
-        if (chat) {
-            chat.organization = organization._id;
-            await chat.save();
+        const job = await enqueueDocumentJob({
+            mediaId: document.mediaId,
+            chatId: document.chatId,
+            messageId: document.originalMessageId,
+            documentType,
+            provider,
+            reanalyze: true,
+            requestedBy: { user: req.user._id, email: req.user.email }
+        });
+        // The field changes are audited as document.reanalyzed once the job has run
+        auditChange(res, 'document.reanalyze', { meta: { job: job._id, status: document.status, documentType, provider } });
+
+        res.status(202).json(jobSummary(job));
+    } catch (error) {
+        console.error(`Error re-analyzing document ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to re-analyze document' });
+    }
+});
+
+// Transcript Routes
+// POST { chatId } (viewer access to the chat) or { organization } (organization admin), with
+// optional from/to dates and includeMedia (default true). Progress is sent to the requester as
+// transcript_export_updated; finished exports include a signed downloadUrl.
+const findVisibleTranscriptExport = async (req, res) => {
+    const job = mongoose.isValidObjectId(req.params.id) ? await TranscriptExport.findById(req.params.id) : null;
+    const visible = job && (req.user.isAdmin
+        || job.requestedBy?.user?.equals(req.user._id)
+        || (job.organization && hasOrganizationRole(req.user, job.organization, 'admin')));
+    if (!visible) {
+        res.status(404).json({ message: 'Transcript export not found' });
+        return null;
+    }
+    return job;
+};
+
+const sendTranscriptFile = (res, job) => {
+    if (job.status !== 'succeeded') {
+        return res.status(409).json({ message: `Transcript export is ${job.status}` });
+    }
+    res.download(transcriptExportPath(job), job.fileName, (error) => {
+        if (error && !res.headersSent) {
+            res.status(404).json({ message: 'Transcript file not found' });
         }
+    });
+};
 
-        res.status(200).json(organization);
+app.get('/api/transcripts', async (req, res) => {
+    try {
+        const query = req.user.isAdmin ? {} : {
+            $or: [
+                { 'requestedBy.user': req.user._id },
+                { organization: { $in: getAccessibleOrganizationIds(req.user, 'admin') } }
+            ]
+        };
+        const jobs = await TranscriptExport.find(query)
+            .sort({ createdAt: -1 })
+            .limit(Math.min(parseInt(req.query.limit) || 50, 500));
+        res.status(200).json(jobs.map(transcriptExportSummary));
     } catch (error) {
-        console.error('Error adding chat to organization:', error);
-        res.status(500).json({ message: 'Failed to add chat to organization' });
+        console.error('Error getting transcript exports:', error);
+        res.status(500).json({ message: 'Failed to get transcript exports' });
     }
 });
 
-// Remove chat from organization
-app.delete('/api/organizations/:id/chats/:chatId', async (req, res) => {
+app.post('/api/transcripts', async (req, res) => {
     try {
-        const { id, chatId } = req.params;
-        const decodedChatId = decodeURIComponent(chatId);
-
-        const organization = await Organization.findById(id);
-
-        if (!organization) {
-            return res.status(404).json({ message: 'Organization not found' });
+        const { chatId, organization, from, to, includeMedia } = req.body;
+        if (!chatId === !organization) {
+            return res.status(400).json({ message: 'Give exactly one of chatId or organization' });
         }
 
-        if (organization.chatIds) {
-            organization.chatIds = organization.chatIds.filter(id => id !== decodedChatId);
-            await organization.save();
+        if (chatId) {
+            if (typeof chatId !== 'string' || !(await canAccessChat(req.user, chatId))) {
+                return res.status(403).json({ message: 'You do not have access to this chat' });
+            }
+            if (!(await Chat.exists({ chatId })) && !(await Message.exists({ chatId }))) {
+                return res.status(404).json({ message: 'Chat not found' });
+            }
+        } else {
+            if (!mongoose.isValidObjectId(organization)) {
+                return res.status(400).json({ message: 'Invalid organization' });
+            }
+            if (!hasOrganizationRole(req.user, organization, 'admin')) {
+                return res.status(403).json({ message: 'Requires admin access to this organization' });
+            }
+            if (!(await Organization.exists({ _id: organization }))) {
+                return res.status(404).json({ message: 'Organization not found' });
+            }
         }
 
-        // Also update chat record if it exists
-        const chat = await Chat.findOne({ chatId: decodedChatId });
-        if (chat && chat.organization && chat.organization.toString() === id) {
-            chat.organization = null;
-            await chat.save();
+        const range = {};
+        for (const [name, value] of Object.entries({ from, to })) {
+            if (value === undefined || value === null || value === '') continue;
+            range[name] = new Date(value);
+            if (Number.isNaN(range[name].getTime())) {
+                return res.status(400).json({ message: `Invalid ${name} date` });
+            }
+        }
+        if (includeMedia !== undefined && typeof includeMedia !== 'boolean') {
+            return res.status(400).json({ message: 'includeMedia must be true or false' });
         }
 
-        res.status(200).json(organization);
+        const job = await TranscriptExport.create({
+            chatId: chatId || undefined,
+            organization: organization || undefined,
+            ...range,
+            includeMedia: includeMedia !== false,
+            requestedBy: { user: req.user._id, email: req.user.email }
+        });
+        auditChange(res, 'transcript.create', {
+            target: { type: 'transcript', id: String(job._id) },
+            organization: organization || undefined,
+            meta: { chatId, organization, from: range.from, to: range.to }
+        });
+        setImmediate(pollTranscriptExports);
+
+        res.status(202).json(transcriptExportSummary(job));
     } catch (error) {
-        console.error('Error removing chat from organization:', error);
-        res.status(500).json({ message: 'Failed to remove chat from organization' });
+        console.error('Error creating transcript export:', error);
+        res.status(500).json({ message: 'Failed to create transcript export' });
     }
 });
 
-// ----------------CHAT ROUTES--------------------------------------------------
-// Get all Chats information (includes groups)
-app.get('/api/chats', async (req, res) => {
+app.get('/api/transcripts/:id', async (req, res) => {
     try {
-        // Get chats from Whapi
-        const whapiChats = await whapiRequest('/chats');
-        const chats = whapiChats.chats || [];
-
-        // Find existing chats in our database for org info
-        const existingChats = await Chat.find({}).populate('organization');
-        const chatMap = {};
-        existingChats.forEach(chat => {
-            chatMap[chat.chatId] = chat;
-        });
-
-        // Format and return data
-        const formattedChats = chats.map(chat => ({
-            chatId: chat.id,
-            name: chat.name || chat.subject || `Chat with ${chat.id}`,
-            isGroup: false,
-            participants: Array.isArray(chat.participants) ? chat.participants.map(p => typeof p === 'string' ? p : p.id) : [],
-            profilePicture: chat.profilePictureUrl || '',
-            organization: chatMap[chat.id]?.organization || null,
-            _id: chatMap[chat.id]?._id || null
-        }));
-
-        res.status(200).json(formattedChats);
+        const job = await findVisibleTranscriptExport(req, res);
+        if (!job) return;
+        res.status(200).json(transcriptExportSummary(job));
     } catch (error) {
-        console.error('Error getting chats:', error);
-        res.status(500).json({ message: 'Failed to get chats' });
+        console.error(`Error getting transcript export ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to get transcript export' });
     }
 });
 
-app.get('/api/chats/individual', async (req, res) => {
+app.get('/api/transcripts/:id/download', async (req, res) => {
     try {
-        // Get chats from Whapi
-        const whapiChats = await whapiRequest('/chats');
-        const individualChats = (whapiChats.chats || []).filter(chat => chat.type === 'contact');
-
-        // Find existing chats in our database for org info
-        const chatIds = individualChats.map(chat => chat.id);
-        const existingChats = await Chat.find({ chatId: { $in: chatIds } }).populate('organization');
-        const chatMap = {};
-        existingChats.forEach(chat => {
-            chatMap[chat.chatId] = chat;
-        });
-
-        // Format and return data
-        const formattedChats = individualChats.map(chat => ({
-            chatId: chat.id,
-            name: chat.name || chat.subject || `Chat with ${chat.id}`,
-            isGroup: false,
-            participants: Array.isArray(chat.participants) ? chat.participants.map(p => typeof p === 'string' ? p : p.id) : [],
-            profilePicture: chat.profilePictureUrl || '',
-            organization: chatMap[chat.id]?.organization || null,
-            _id: chatMap[chat.id]?._id || null
-        }));
-
-        res.status(200).json(formattedChats);
+        const job = await findVisibleTranscriptExport(req, res);
+        if (!job) return;
+        sendTranscriptFile(res, job);
     } catch (error) {
-        console.error('Error getting individual chats:', error);
-        res.status(500).json({ message: 'Failed to get individual chats' });
+        console.error(`Error downloading transcript export ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to download transcript export' });
     }
 });
 
-app.get('/api/chats/groups', async (req, res) => {
+// Delete the file now instead of waiting for it to expire
+app.delete('/api/transcripts/:id', async (req, res) => {
     try {
-        // Get groups from Whapi
-        const whapiGroups = await whapiRequest('/groups');
-        const groups = whapiGroups.groups || [];
+        const job = await findVisibleTranscriptExport(req, res);
+        if (!job) return;
+        if (job.status === 'running') {
+            return res.status(409).json({ message: 'Transcript export is still running' });
+        }
 
-        // Find existing groups in our database for org info
-        const groupIds = groups.map(group => group.id);
-        const existingGroups = await Chat.find({ chatId: { $in: groupIds } }).populate('organization');
-        const groupMap = {};
-        existingGroups.forEach(group => {
-            groupMap[group.chatId] = group;
+        await fs.promises.unlink(transcriptExportPath(job)).catch(() => {});
+        await TranscriptExport.deleteOne({ _id: job._id });
+        auditChange(res, 'transcript.delete', {
+            before: job.toObject(),
+            organization: job.organization || undefined
         });
 
-        // Format and return data
-        const formattedGroups = groups.map(group => ({
-            chatId: group.id,
-            name: group.name || group.subject || `Group ${group.id}`,
-            isGroup: true,
-            participants: Array.isArray(group.participants) ? group.participants.map(p => typeof p === 'string' ? p : p.id) : [],
-            profilePicture: group.profilePictureUrl || group.icon || '',
-            organization: groupMap[group.id]?.organization || null,
-            _id: groupMap[group.id]?._id || null
-        }));
-
-        res.status(200).json(formattedGroups);
+        res.status(200).json({ message: 'Transcript export deleted successfully' });
     } catch (error) {
-        console.error('Error getting groups:', error);
-        res.status(500).json({ message: 'Failed to get groups' });
+        console.error(`Error deleting transcript export ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to delete transcript export' });
     }
 });
 
-app.get('/api/chats/:id', async (req, res) => {
+// Signed download link (no bearer token needed); see transcriptExportSummary
+app.get('/api/downloads/transcripts/:id', async (req, res) => {
     try {
-        const chatId = req.params.id;
-        const isGroup = chatId.includes('@g.us');
-
-        // First try to get from our database
-        let chat = await Chat.findOne({ chatId }).populate('organization');
-
-        // If not in database or we need fresh data, get from Whapi
-        if (!chat) {
-            try {
-                // Try to get chat info from Whapi
-                let whapiChat;
-
-                if (isGroup) {
-                    const groupResponse = await whapiRequest(`/group/${chatId}`);
-                    whapiChat = {
-                        id: groupResponse.id || chatId,
-                        name: groupResponse.subject || `Group ${chatId}`,
-                        isGroup: true,
-                        participants: groupResponse.participants || [],
-                        profilePictureUrl: groupResponse.icon || null
-                    };
-                } else {
-                    whapiChat = await whapiRequest(`/chat/${chatId}`);
-                }
-
-                // Create new chat entry
-                chat = new Chat({
-                    chatId: chatId,
-                    name: whapiChat.name || whapiChat.subject || `Chat with ${chatId}`,
-                    isGroup: isGroup,
-                    participants: Array.isArray(whapiChat.participants)
-                        ? whapiChat.participants.map(p => typeof p === 'string' ? p : p.id)
-                        : [],
-                    profilePicture: whapiChat.profilePictureUrl || whapiChat.icon || ''
-                });
-
-                await chat.save();
-            } catch (whapiError) {
-                // If Whapi call fails, create basic entry
-                console.log(`Error getting chat info from Whapi for ${chatId}:`, whapiError.message);
-
-                // Return minimal info that won't break the UI
-                return res.status(200).json({
-                    chatId: chatId,
-                    name: isGroup ? `Group ${chatId.split('@')[0]}` : `Chat ${chatId}`,
-                    isGroup: isGroup,
-                    participants: [],
-                    _id: null
-                });
-            }
+        if (!verifyDownloadSignature(`transcript:${req.params.id}`, parseInt(req.query.expires), req.query.signature)) {
+            return res.status(403).json({ message: 'Download link is invalid or has expired' });
         }
 
-        res.status(200).json(chat);
+        const job = mongoose.isValidObjectId(req.params.id) ? await TranscriptExport.findById(req.params.id) : null;
+        if (!job) {
+            return res.status(404).json({ message: 'Transcript export not found' });
+        }
+        sendTranscriptFile(res, job);
     } catch (error) {
-        console.error(`Error getting chat ${req.params.id}:`, error);
-
-        // Return minimal info that won't break the UI
-        const chatId = req.params.id;
-        const isGroup = chatId.includes('@g.us');
-
-        res.status(200).json({
-            chatId: chatId,
-            name: isGroup ? `Group ${chatId.split('@')[0]}` : `Chat ${chatId}`,
-            isGroup: isGroup,
-            participants: [],
-            _id: null
-        });
+        console.error(`Error downloading transcript export ${req.params.id}:`, error);
+        res.status(500).json({ message: 'Failed to download transcript export' });
     }
 });
 
-// Message Routes
-app.get('/api/messages/:chatId', async (req, res) => {
+// Signed links to objects in local storage (GCS and S3 links point at the bucket instead)
+app.get('/api/downloads/storage', async (req, res) => {
+    const { key } = req.query;
     try {
-        const chatId = req.params.chatId;
-        const limit = parseInt(req.query.limit) || 50;
-
-        // Get messages from Whapi
-        let endpoint = `/messages/list/${chatId}`;
-        if (limit) endpoint += `?count=${limit}`;
+        if (!isValidStorageKey(key) || !verifyDownloadSignature(`storage:${key}`, parseInt(req.query.expires), req.query.signature)) {
+            return res.status(403).json({ message: 'Download link is invalid or has expired' });
+        }
 
-        const messages = await whapiRequest(endpoint);
+        const object = await storage.head(key);
+        if (!object) {
+            return res.status(404).json({ message: 'File not found' });
+        }
 
-        res.status(200).json(messages);
+        res.setHeader('Content-Type', object.contentType || 'application/octet-stream');
+        res.setHeader('Content-Length', object.size);
+        res.setHeader('Cache-Control', 'private, no-store');
+        if (object.fileName) {
+            res.setHeader('Content-Disposition', contentDisposition(object.fileName, req.query.disposition === 'attachment' ? 'attachment' : 'inline'));
+        }
+        await pipeline(storage.createReadStream(key), res);
     } catch (error) {
-        console.error(`Error getting messages for chat ${req.params.chatId}:`, error);
-        res.status(500).json({ message: 'Failed to get messages' });
+        console.error(`Error downloading stored file ${key}:`, error.message);
+        if (!res.headersSent) res.status(500).json({ message: 'Failed to download file' });
     }
 });
 
-// Media Routes
-// Media download endpoint
-app.get('/api/media/:mediaId', async (req, res) => {
-    const { mediaId } = req.params;
+// Webhook Routes
+// Inbound events from Whapi (messages, statuses, chats). Point each channel's webhook at
+// /api/webhooks/whapi/<channel id>; the bare path is matched by channel_id or uses the default channel.
+app.post('/api/webhooks/whapi/:channelId?', async (req, res) => {
+    const payload = req.body;
+    if (!payload || typeof payload !== 'object'
+        || !(payload.messages || payload.statuses || payload.chats || payload.chats_updates)) {
+        return res.status(400).json({ message: 'Unrecognized webhook payload' });
+    }
 
+    let channel;
     try {
-        // Check if we already have this file cached
-        const mediaPath = path.join(mediaDir, mediaId);
+        channel = await getWebhookChannel(req);
+    } catch (error) {
+        console.error('Error resolving webhook channel:', error);
+        return res.status(500).json({ message: 'Failed to process webhook' });
+    }
+    if (req.params.channelId && !channel) {
+        return res.status(404).json({ message: 'Unknown channel' });
+    }
 
-        // If file exists locally, serve it
-        if (fs.existsSync(mediaPath)) {
-            // For local files, we need to guess the content type
-            let contentType = 'application/octet-stream';
+    // The path is public, so without a secret anyone could post events
+    const secret = channel?.webhookSecret || WHAPI_WEBHOOK_SECRET;
+    if (!secret) {
+        return res.status(503).json({ message: 'Webhook secret is not configured' });
+    }
+    if (!verifyWhapiWebhook(req, secret)) {
+        return res.status(401).json({ message: 'Invalid webhook secret' });
+    }
+
+    try {
+        const channelId = channel?._id || null;
 
-            // Read the file and send it
-            const fileData = fs.readFileSync(mediaPath);
-            res.setHeader('Content-Type', contentType);
-            return res.send(fileData);
+        // Learn Whapi's channel ID so deliveries to the bare path can be matched later
+        if (channel && payload.channel_id && !channel.whapiChannelId && req.params.channelId) {
+            channel.whapiChannelId = payload.channel_id;
+            await channel.save();
         }
 
-        // Otherwise, fetch from Whapi
-        const response = await axios.get(`${WHAPI_BASE_URL}/media/${mediaId}`, {
-            headers: {
-                'Authorization': `Bearer ${WHAPI_TOKEN}`
-            },
-            responseType: 'arraybuffer'
-        });
+        const messages = Array.isArray(payload.messages) ? payload.messages : [];
+        for (const whapiMessage of messages) {
+            // Reactions, edits and deletions arrive as 'action' messages, not new content
+            if (whapiMessage.type === 'action') {
+                if (whapiMessage.action?.type === 'reaction' && whapiMessage.action.target) {
+                    await applyReaction(whapiMessage.action.target, {
+                        emoji: whapiMessage.action.emoji,
+                        sender: whapiMessage.from,
+                        fromMe: !!whapiMessage.from_me,
+                        timestamp: whapiMessage.timestamp ? new Date(whapiMessage.timestamp * 1000) : new Date()
+                    }, req.io);
+                }
+                continue;
+            }
+            await saveWhapiMessage(whapiMessage, req.io, channelId);
+        }
 
-        // Save to local file system
-        fs.writeFileSync(mediaPath, Buffer.from(response.data));
+        const statuses = Array.isArray(payload.statuses) ? payload.statuses : [];
+        for (const whapiStatus of statuses) {
+            await applyWhapiStatus(whapiStatus, req.io);
+        }
 
-        // Set response headers
-        if (response.headers['content-type']) {
-            res.setHeader('Content-Type', response.headers['content-type']);
+        const chats = [
+            ...(Array.isArray(payload.chats) ? payload.chats : []),
+            ...(Array.isArray(payload.chats_updates) ? payload.chats_updates.map(update => update.after_update) : [])
+        ].filter(chat => chat && chat.id);
+        for (const whapiChat of chats) {
+            const lastMessageAt = whapiChat.timestamp ? new Date(whapiChat.timestamp * 1000) : null;
+            const chat = await upsertChatFromWhapi(whapiChat.id, whapiChat, lastMessageAt, channelId);
+            broadcastForChat(chat.chatId, 'chat_updated', chat);
         }
 
-        // Send response
-        res.send(response.data);
-    } catch (error) {
-        console.error(`Error fetching media ${mediaId}:`, error);
-        res.status(500).json({
-            message: 'Failed to fetch media'
+        res.status(200).json({
+            received: true,
+            messages: messages.length,
+            statuses: statuses.length,
+            chats: chats.length
         });
+    } catch (error) {
+        console.error('Error processing Whapi webhook:', error);
+        res.status(500).json({ message: 'Failed to process webhook' });
     }
 });
 
-// System Routes
-app.get('/api/system/info', async (req, res) => {
-    try {
-        const forceUpdate = req.query.forceUpdate === 'true';
-
-        // Try to get existing system info from database
-        let systemInfo = await SystemInfo.findOne();
-
-        // If no system info exists, or forceUpdate is true, fetch fresh data
-        if (!systemInfo || forceUpdate) {
-            // Get profile information
-            const profileInfo = await whapiRequest('/users/profile');
-
-            // Count individual chats
-            const whapiChats = await whapiRequest('/chats');
-            const individualChats = (whapiChats.chats || []).filter(chat => chat.type === 'contact');
-
-            // Count groups
-            const whapiGroups = await whapiRequest('/groups');
-            const groups = whapiGroups.groups || [];
-
-            // Count documents
-            const documentCount = await Document.countDocuments();
-
-            const systemInfoData = {
-                whatsappAccount: profileInfo.name || 'Unknown',
-                profileIcon: profileInfo.icon || null,
-                whapiStatus: 'Active',
-                documentAIStatus: 'Not Configured',
-                lastSync: new Date(),
-                stats: {
-                    chats: individualChats.length,
-                    groups: groups.length,
-                    documents: documentCount
-                },
-                lastUpdated: new Date()
-            };
+// Health check endpoints. /api/health/live only says the process is serving requests;
+// /api/health/ready probes MongoDB, Whapi, Document AI and object storage and answers 503 when MongoDB is
+// down or no Whapi channel is reachable.
+const HEALTH_PROBE_TIMEOUT_MS = 3000;
+const HEALTH_CACHE_MS = 15000;
+let readinessCache = null;
 
-            if (systemInfo) {
-                // Update existing record
-                Object.assign(systemInfo, systemInfoData);
-                await systemInfo.save();
-            } else {
-                // Create new record
-                systemInfo = await SystemInfo.create(systemInfoData);
-            }
-        }
+const withTimeout = (promise, ms, message) => Promise.race([
+    promise,
+    new Promise((resolve, reject) => setTimeout(() => reject(new Error(message)), ms).unref())
+]);
 
-        res.status(200).json(systemInfo);
+const checkMongo = async () => {
+    if (mongoose.connection.readyState !== 1) {
+        return { status: 'Unavailable', state: mongoose.STATES[mongoose.connection.readyState] };
+    }
+    try {
+        await withTimeout(mongoose.connection.db.admin().ping(), HEALTH_PROBE_TIMEOUT_MS, 'MongoDB ping timed out');
+        return { status: 'Active' };
     } catch (error) {
-        console.error('Error getting system info:', error);
-        res.status(500).json({ message: 'Failed to get system info' });
+        return { status: 'Unavailable', error: error.message };
     }
-});
+};
 
-app.post('/api/system/info/update', async (req, res) => {
+const checkStorage = async () => {
     try {
-        // Get fresh system info
-        const profileInfo = await whapiRequest('/users/profile');
+        return await withTimeout(storage.check(), HEALTH_PROBE_TIMEOUT_MS, 'Storage check timed out');
+    } catch (error) {
+        return { status: 'Unavailable', backend: storage.name, error: error.message };
+    }
+};
 
-        // Count individual chats
-        const whapiChats = await whapiRequest('/chats');
-        const individualChats = (whapiChats.chats || []).filter(chat => chat.type === 'contact');
+// One GET /health per active channel, without retries so a slow channel cannot stall the probe
+const checkWhapi = async () => {
+    const channels = await Channel.find({ active: true }).sort({ isDefault: -1, createdAt: 1 });
+    if (channels.length === 0) {
+        return { status: 'Not Configured', channels: [] };
+    }
 
-        // Count groups
-        const whapiGroups = await whapiRequest('/groups');
-        const groups = whapiGroups.groups || [];
+    const results = await Promise.all(channels.map(async (channel) => {
+        try {
+            await callWhapi('/health', { channel, timeout: HEALTH_PROBE_TIMEOUT_MS, maxRetries: 0 });
+            return { channel: channel._id, label: channel.label, status: 'Active' };
+        } catch (error) {
+            // Whapi answering at all (even with an error) means it is reachable
+            const status = error.upstreamStatus && error.upstreamStatus !== 429 && error.upstreamStatus < 500 ? 'Error' : 'Unreachable';
+            return { channel: channel._id, label: channel.label, status, error: error.message };
+        }
+    }));
 
-        // Count documents
-        const documentCount = await Document.countDocuments();
+    return { status: summarizeChannelStatus(results), channels: results };
+};
 
-        const systemInfoData = {
-            whatsappAccount: profileInfo.name || 'Unknown',
-            profileIcon: profileInfo.icon || null,
-            whapiStatus: 'Active',
-            documentAIStatus: 'Not Configured',
-            lastSync: new Date(),
-            stats: {
-                chats: individualChats.length,
-                groups: groups.length,
-                documents: documentCount
-            },
-            lastUpdated: new Date()
-        };
+const checkReadiness = async () => {
+    if (readinessCache && Date.now() - readinessCache.checkedAt < HEALTH_CACHE_MS) {
+        return readinessCache;
+    }
 
-        let systemInfo = await SystemInfo.findOne();
+    const mongo = await checkMongo();
+    const [whapi, documentAI, objectStorage] = await Promise.all([
+        mongo.status === 'Active' ? checkWhapi() : { status: 'Unknown', channels: [] },
+        checkDocumentAI(),
+        checkStorage()
+    ]);
 
-        if (systemInfo) {
-            // Update existing record
-            Object.assign(systemInfo, systemInfoData);
-            await systemInfo.save();
-        } else {
-            // Create new record
-            systemInfo = await SystemInfo.create(systemInfoData);
-        }
+    const ready = mongo.status === 'Active'
+        && (whapi.channels.length === 0 || whapi.channels.some(channel => channel.status !== 'Unreachable'));
+    const degraded = whapi.status !== 'Active' || documentAI.status === 'Unavailable' || objectStorage.status !== 'Active';
+    readinessCache = {
+        status: !ready ? 'unavailable' : degraded ? 'degraded' : 'ok',
+        ready,
+        checks: { mongo, whapi, documentAI, storage: objectStorage },
+        checkedAt: Date.now()
+    };
+    return readinessCache;
+};
 
-        res.status(200).json(systemInfo);
-    } catch (error) {
-        console.error('Error updating system info:', error);
-        res.status(500).json({ message: 'Failed to update system info' });
-    }
+app.get('/api/health', (req, res) => {
+    res.status(200).json({ status: 'ok', message: 'Server is running' });
 });
 
-// Documents Routes
-app.get('/api/documents', async (req, res) => {
+app.get('/api/health/live', (req, res) => {
+    res.status(200).json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Public for load balancers, so only the overall status; the details are at /api/health/checks
+app.get('/api/health/ready', async (req, res) => {
     try {
-        const documents = await Document.find().sort({ processedAt: -1 });
-        res.status(200).json(documents);
+        const { ready, status, checkedAt } = await checkReadiness();
+        res.status(ready ? 200 : 503).json({ status, checkedAt: new Date(checkedAt) });
     } catch (error) {
-        console.error('Error getting documents:', error);
-        res.status(500).json({ message: 'Failed to get documents' });
+        console.error('Error checking readiness:', error);
+        res.status(503).json({ status: 'unavailable', message: 'Readiness check failed' });
     }
 });
 
-app.get('/api/documents/:id', async (req, res) => {
+app.get('/api/health/checks', requireAdmin, async (req, res) => {
     try {
-        const document = await Document.findById(req.params.id);
-
-        if (!document) {
-            return res.status(404).json({ message: 'Document not found' });
-        }
-
-        res.status(200).json(document);
+        const { ready, status, checks, checkedAt } = await checkReadiness();
+        res.status(ready ? 200 : 503).json({ status, checks, checkedAt: new Date(checkedAt) });
     } catch (error) {
-        console.error(`Error getting document ${req.params.id}:`, error);
-        res.status(500).json({ message: 'Failed to get document' });
+        console.error('Error checking readiness:', error);
+        res.status(503).json({ status: 'unavailable', message: 'Readiness check failed' });
     }
 });
 
-app.get('/api/documents/chat/:chatId', async (req, res) => {
+// Prometheus scrape endpoint; set METRICS_TOKEN to require it as a bearer token
+app.get('/metrics', async (req, res) => {
+    if (process.env.METRICS_TOKEN) {
+        const expected = Buffer.from(`Bearer ${process.env.METRICS_TOKEN}`);
+        const actual = Buffer.from(req.headers.authorization || '');
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return res.status(401).send('Unauthorized\n');
+        }
+    }
+
     try {
-        const documents = await Document.find({ chatId: req.params.chatId });
-        res.status(200).json(documents);
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.status(200).send(await renderMetrics());
     } catch (error) {
-        console.error(`Error getting documents for chat ${req.params.chatId}:`, error);
-        res.status(500).json({ message: 'Failed to get documents' });
+        console.error('Error rendering metrics:', error);
+        res.status(500).send('Failed to render metrics\n');
     }
 });
 
-// Route to process and analyze a document with Document AI
-app.post('/api/documents/analyze/:fileId', async (req, res) => {
+// Socket.io clients authenticate with the same bearer token or API key as the REST API,
+// passed as auth.token in the handshake
+io.use(async (socket, next) => {
     try {
-        const { fileId } = req.params;
-        if (!fileId) {
-            return res.status(400).json({ message: 'File ID is required' });
-        }
-
-        // Download the file from WHAPI
-        const fileResponse = await axios({
-            method: 'get',
-            url: `${WHAPI_BASE_URL}/media/${fileId}`,
-            headers: {
-                'Authorization': `Bearer ${WHAPI_TOKEN}`
-            },
-            responseType: 'arraybuffer'
-        });
-
-        // Get file name from headers or use a default
-        const contentDisposition = fileResponse.headers['content-disposition'];
-        let fileName = 'document';
-        if (contentDisposition) {
-            const fileNameMatch = contentDisposition.match(/filename="(.+)"/);
-            if (fileNameMatch) {
-                fileName = fileNameMatch[1];
-            }
-        }
-        
-        // Add an extension based on content type if not present
-        const contentType = fileResponse.headers['content-type'];
-        if (!fileName.includes('.')) {
-            if (contentType.includes('pdf')) {
-                fileName += '.pdf';
-            } else if (contentType.includes('jpeg') || contentType.includes('jpg')) {
-                fileName += '.jpg';
-            } else if (contentType.includes('png')) {
-                fileName += '.png';
-            }
+        const authHeader = socket.handshake.headers?.authorization || '';
+        const credential = socket.handshake.auth?.token
+            || (authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null);
+        const user = await authenticateCredential(credential);
+        if (!user) {
+            return next(new Error('Unauthorized'));
         }
-
-        // Process the document with Google Document AI
-        const documentAIResult = await processDocumentWithAI(fileResponse.data, fileName);
-
-        // Return the processing results
-        res.status(200).json({
-            fileName,
-            mimeType: contentType,
-            parsedData: documentAIResult.parsedData,
-            rawText: documentAIResult.rawText,
-            confidence: documentAIResult.confidence
-        });
+        socket.data.user = user;
+        next();
     } catch (error) {
-        console.error('Error analyzing document:', error);
-        res.status(500).json({ 
-            message: 'Failed to analyze document',
-            error: error.message 
-        });
+        console.error('Error authenticating socket:', error);
+        next(new Error('Authentication failed'));
     }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    res.status(200).json({ status: 'ok', message: 'Server is running' });
-});
-
 // Socket.io connection handler
 io.on('connection', (socket) => {
     console.log('New client connected');
 
-    socket.on('join_chat', (chatId) => {
-        socket.join(chatId);
-        console.log(`Client joined chat: ${chatId}`);
+    // Organization-wide events (chat list, document jobs) go to these rooms
+    const { user } = socket.data;
+    if (user.isAdmin) {
+        socket.join('admins');
+    }
+    user.memberships.forEach(membership => socket.join(`org:${membership.organization}`));
+    // Events for this user only (transcript exports)
+    socket.join(`user:${user._id}`);
+
+    socket.on('join_chat', async (chatId, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+            if (typeof chatId !== 'string' || !(await canAccessChat(user, chatId))) {
+                socket.emit('join_error', { chatId, message: 'You do not have access to this chat' });
+                return reply({ ok: false, message: 'You do not have access to this chat' });
+            }
+            socket.join(chatId);
+            console.log(`Client joined chat: ${chatId}`);
+            reply({ ok: true });
+        } catch (error) {
+            console.error(`Error joining chat ${chatId}:`, error);
+            reply({ ok: false, message: 'Failed to join chat' });
+        }
     });
 
     socket.on('leave_chat', (chatId) => {
@@ -861,6 +9003,27 @@ io.on('connection', (socket) => {
 });
 
 // Start server
-server.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+        startDocumentWorker();
+        startChatSync();
+        startCampaignWorker();
+        startWebhookWorker();
+        startTranscriptWorker();
+    });
+}
+
+// Pure helpers, for the tests under test/
+module.exports = {
+    processDocumentLocally,
+    extractTypedDocument,
+    validateTypedDocument,
+    normalizeDate,
+    parseAmount,
+    applyDocumentCorrections,
+    neutralizeFormula,
+    csvValue,
+    webhookUrlError,
+    globMatches
+};
\ No newline at end of file
@@ -0,0 +1,303 @@
+// server/storage.js
+// Object storage backends for originals (media files, documents). STORAGE_BACKEND picks one:
+//   local  files under STORAGE_LOCAL_DIR (default ./storage), served through signed app links.
+//          Metadata sidecars live under .meta/ in the same tree, which no key can start with.
+//   gcs    a Google Cloud Storage bucket (STORAGE_BUCKET). STORAGE_GCS_ENDPOINT points it at
+//          a stand-in such as fake-gcs-server; without signing credentials, links fall back
+//          to signed app links.
+//   s3     an S3-compatible bucket (STORAGE_BUCKET) on AWS, MinIO and the like.
+//          STORAGE_S3_ENDPOINT and STORAGE_S3_FORCE_PATH_STYLE=true point it at MinIO.
+// Every backend implements put, head, createReadStream, delete, signedUrl, check and uri.
+// scripts/check-storage.js runs them against the stand-ins in docker-compose.storage.yml.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PassThrough, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Storage } = require('@google-cloud/storage');
+const { S3Client, HeadObjectCommand, GetObjectCommand, DeleteObjectCommand, HeadBucketCommand } = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const STORAGE_URL_TTL = parseInt(process.env.STORAGE_URL_TTL) || 15 * 60;
+const STORAGE_KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.\-/]{0,511}$/;
+
+const isValidStorageKey = (key) => typeof key === 'string'
+    && STORAGE_KEY_PATTERN.test(key)
+    && !key.split('/').some(part => part === '' || part === '.' || part === '..');
+
+const storageKeyError = (key) => Object.assign(new Error(`Invalid storage key: ${key}`), { status: 400 });
+
+const contentDisposition = (fileName, type = 'inline') =>
+    (fileName ? `${type}; filename*=UTF-8''${encodeURIComponent(fileName)}` : type);
+
+// appUrl(key, expiresIn, disposition) returns { url, expiresAt } for a link the app serves itself
+const createLocalStorage = (root, { appUrl }) => {
+    fs.mkdirSync(root, { recursive: true });
+    const filePath = (key) => {
+        if (!isValidStorageKey(key)) throw storageKeyError(key);
+        return path.join(root, key);
+    };
+    const metaPath = (key) => {
+        if (!isValidStorageKey(key)) throw storageKeyError(key);
+        return path.join(root, '.meta', key);
+    };
+
+    return {
+        name: 'local',
+        uri: (key) => `local://${key}`,
+        // body is a Buffer or a readable stream
+        put: async (key, body, { contentType, fileName } = {}) => {
+            const target = filePath(key);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.mkdir(path.dirname(metaPath(key)), { recursive: true });
+            const tempPath = `${target}.${crypto.randomUUID()}.part`;
+            const hash = crypto.createHash('md5');
+            try {
+                if (Buffer.isBuffer(body)) {
+                    hash.update(body);
+                    await fs.promises.writeFile(tempPath, body);
+                } else {
+                    await pipeline(body, new Transform({
+                        transform(chunk, encoding, callback) {
+                            hash.update(chunk);
+                            callback(null, chunk);
+                        }
+                    }), fs.createWriteStream(tempPath));
+                }
+                const { size } = await fs.promises.stat(tempPath);
+                await fs.promises.writeFile(metaPath(key), JSON.stringify({
+                    contentType: contentType || 'application/octet-stream',
+                    fileName: fileName || null,
+                    size,
+                    etag: `"${hash.digest('hex')}"`,
+                    createdAt: new Date()
+                }));
+                await fs.promises.rename(tempPath, target);
+            } catch (error) {
+                await fs.promises.unlink(tempPath).catch(() => {});
+                throw error;
+            }
+        },
+        head: async (key) => {
+            try {
+                const stat = await fs.promises.stat(filePath(key));
+                const meta = JSON.parse(await fs.promises.readFile(metaPath(key), 'utf8').catch(() => '{}'));
+                return {
+                    contentType: meta.contentType || 'application/octet-stream',
+                    fileName: meta.fileName || null,
+                    size: stat.size,
+                    etag: meta.etag || `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`
+                };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        createReadStream: (key, range = {}) => fs.createReadStream(filePath(key), range),
+        delete: async (key) => {
+            await fs.promises.unlink(filePath(key)).catch(() => {});
+            await fs.promises.unlink(metaPath(key)).catch(() => {});
+        },
+        signedUrl: async (key, { expiresIn = STORAGE_URL_TTL, disposition } = {}) => appUrl(key, expiresIn, disposition),
+        check: async () => {
+            await fs.promises.access(root, fs.constants.W_OK);
+            return { status: 'Active', backend: 'local' };
+        }
+    };
+};
+
+const createGcsStorage = ({ bucket, apiEndpoint, projectId, appUrl }) => {
+    if (!bucket) {
+        throw new Error('STORAGE_BUCKET is required for the gcs storage backend');
+    }
+    const client = new Storage({ ...(apiEndpoint ? { apiEndpoint } : {}), ...(projectId ? { projectId } : {}) });
+    const bucketRef = client.bucket(bucket);
+    const file = (key) => {
+        if (!isValidStorageKey(key)) throw storageKeyError(key);
+        return bucketRef.file(key);
+    };
+    let signingUnavailable = false;
+
+    return {
+        name: 'gcs',
+        uri: (key) => `gs://${bucket}/${key}`,
+        put: async (key, body, { contentType, fileName } = {}) => {
+            const options = {
+                resumable: false,
+                contentType: contentType || 'application/octet-stream',
+                metadata: { metadata: { fileName: fileName || '' } }
+            };
+            if (Buffer.isBuffer(body)) {
+                await file(key).save(body, options);
+            } else {
+                await pipeline(body, file(key).createWriteStream(options));
+            }
+        },
+        head: async (key) => {
+            try {
+                const [meta] = await file(key).getMetadata();
+                return {
+                    contentType: meta.contentType || 'application/octet-stream',
+                    fileName: meta.metadata?.fileName || null,
+                    size: Number(meta.size),
+                    etag: `"${meta.md5Hash || meta.etag}"`
+                };
+            } catch (error) {
+                if (error.code === 404) return null;
+                throw error;
+            }
+        },
+        createReadStream: (key, { start, end } = {}) => file(key).createReadStream({
+            ...(start !== undefined ? { start, end } : {}),
+            // Partial reads cannot be checksummed
+            validation: start === undefined
+        }),
+        delete: async (key) => {
+            await file(key).delete({ ignoreNotFound: true });
+        },
+        // Native V4 signed URL; needs a service account key, so emulators and some runtimes
+        // get an app link instead
+        signedUrl: async (key, { expiresIn = STORAGE_URL_TTL, fileName, disposition = 'inline' } = {}) => {
+            if (!signingUnavailable) {
+                try {
+                    const expires = Date.now() + expiresIn * 1000;
+                    const [url] = await file(key).getSignedUrl({
+                        version: 'v4',
+                        action: 'read',
+                        expires,
+                        ...(fileName ? { responseDisposition: contentDisposition(fileName, disposition) } : {})
+                    });
+                    return { url, expiresAt: new Date(expires) };
+                } catch (error) {
+                    signingUnavailable = true;
+                    console.warn('Cannot sign GCS URLs, serving storage downloads through the app:', error.message);
+                }
+            }
+            return appUrl(key, expiresIn, disposition);
+        },
+        check: async () => {
+            const [exists] = await bucketRef.exists();
+            return exists
+                ? { status: 'Active', backend: 'gcs', bucket }
+                : { status: 'Unavailable', backend: 'gcs', bucket, error: 'Bucket not found' };
+        }
+    };
+};
+
+const isS3NotFound = (error) => error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+// Credentials default to the SDK's chain (env, shared config, instance role) unless given
+const createS3Storage = ({ bucket, endpoint, region, forcePathStyle, accessKeyId, secretAccessKey }) => {
+    if (!bucket) {
+        throw new Error('STORAGE_BUCKET is required for the s3 storage backend');
+    }
+    const client = new S3Client({
+        region: region || 'us-east-1',
+        ...(endpoint ? { endpoint } : {}),
+        forcePathStyle: Boolean(forcePathStyle),
+        ...(accessKeyId ? { credentials: { accessKeyId, secretAccessKey } } : {})
+    });
+    const object = (key) => {
+        if (!isValidStorageKey(key)) throw storageKeyError(key);
+        return { Bucket: bucket, Key: key };
+    };
+
+    return {
+        name: 's3',
+        uri: (key) => `s3://${bucket}/${key}`,
+        // Multipart upload, so streams of unknown length work too
+        put: async (key, body, { contentType, fileName } = {}) => {
+            await new Upload({
+                client,
+                params: {
+                    ...object(key),
+                    Body: body,
+                    ContentType: contentType || 'application/octet-stream',
+                    // Metadata values must be ASCII
+                    Metadata: fileName ? { 'file-name': encodeURIComponent(fileName) } : {}
+                }
+            }).done();
+        },
+        head: async (key) => {
+            try {
+                const meta = await client.send(new HeadObjectCommand(object(key)));
+                return {
+                    contentType: meta.ContentType || 'application/octet-stream',
+                    fileName: meta.Metadata?.['file-name'] ? decodeURIComponent(meta.Metadata['file-name']) : null,
+                    size: Number(meta.ContentLength),
+                    etag: meta.ETag
+                };
+            } catch (error) {
+                if (isS3NotFound(error)) return null;
+                throw error;
+            }
+        },
+        // Returned right away like the other backends; request errors surface on the stream
+        createReadStream: (key, { start, end } = {}) => {
+            const command = new GetObjectCommand({
+                ...object(key),
+                ...(start !== undefined ? { Range: `bytes=${start}-${end ?? ''}` } : {})
+            });
+            const stream = new PassThrough();
+            client.send(command)
+                .then(({ Body }) => pipeline(Body, stream))
+                .catch(error => stream.destroy(error));
+            return stream;
+        },
+        delete: async (key) => {
+            await client.send(new DeleteObjectCommand(object(key)));
+        },
+        signedUrl: async (key, { expiresIn = STORAGE_URL_TTL, fileName, disposition = 'inline' } = {}) => {
+            const command = new GetObjectCommand({
+                ...object(key),
+                ...(fileName ? { ResponseContentDisposition: contentDisposition(fileName, disposition) } : {})
+            });
+            const url = await getSignedUrl(client, command, { expiresIn });
+            return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+        },
+        check: async () => {
+            try {
+                await client.send(new HeadBucketCommand({ Bucket: bucket }));
+                return { status: 'Active', backend: 's3', bucket };
+            } catch (error) {
+                if (isS3NotFound(error)) return { status: 'Unavailable', backend: 's3', bucket, error: 'Bucket not found' };
+                throw error;
+            }
+        }
+    };
+};
+
+const storageBackends = {
+    local: (env, { appUrl }) => createLocalStorage(env.STORAGE_LOCAL_DIR || path.join(__dirname, 'storage'), { appUrl }),
+    gcs: (env, { appUrl }) => createGcsStorage({
+        bucket: env.STORAGE_BUCKET,
+        apiEndpoint: env.STORAGE_GCS_ENDPOINT,
+        projectId: env.STORAGE_PROJECT_ID,
+        appUrl
+    }),
+    s3: (env) => createS3Storage({
+        bucket: env.STORAGE_BUCKET,
+        endpoint: env.STORAGE_S3_ENDPOINT,
+        region: env.STORAGE_S3_REGION,
+        forcePathStyle: env.STORAGE_S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: env.STORAGE_S3_ACCESS_KEY_ID,
+        secretAccessKey: env.STORAGE_S3_SECRET_ACCESS_KEY
+    })
+};
+
+// Build the backend named by env.STORAGE_BACKEND (default local)
+const createStorage = (env, options) => {
+    const backend = env.STORAGE_BACKEND || 'local';
+    if (!storageBackends[backend]) {
+        throw new Error(`Unknown STORAGE_BACKEND ${backend}; use ${Object.keys(storageBackends).join(', ')}`);
+    }
+    return storageBackends[backend](env, options);
+};
+
+module.exports = {
+    STORAGE_URL_TTL,
+    isValidStorageKey,
+    contentDisposition,
+    createStorage
+};
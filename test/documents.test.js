@@ -0,0 +1,258 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+// Read once when index.js loads
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'extraction-fixtures-'));
+process.env.EXTRACTION_FIXTURES_DIR = fixturesDir;
+after(() => fs.rmSync(fixturesDir, { recursive: true, force: true }));
+delete process.env.DOCUMENT_DATE_ORDER;
+delete process.env.DEFAULT_CURRENCY;
+
+const {
+    processDocumentLocally,
+    extractTypedDocument,
+    validateTypedDocument,
+    normalizeDate,
+    parseAmount,
+    applyDocumentCorrections
+} = require('../index');
+
+// A one-page PDF whose text is in a Flate-compressed content stream, one text object per line
+const buildPdf = (lines) => {
+    const content = zlib.deflateSync(Buffer.from(
+        lines.map(line => `BT /F1 12 Tf (${line.replace(/[()\\]/g, '\\$&')}) Tj ET`).join('\n'),
+        'latin1'
+    ));
+    return Buffer.concat([
+        Buffer.from(`%PDF-1.4\n4 0 obj\n<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        content,
+        Buffer.from('\nendstream\nendobj\n%%EOF\n', 'latin1')
+    ]);
+};
+
+const INVOICE_LINES = [
+    'ACME Supplies Ltd',
+    'Invoice No: INV-1001',
+    'Invoice Date: 05/03/2024',
+    'Due Date: 04/04/2024',
+    'Subtotal: 100.00',
+    'VAT (20%): 20.00',
+    'Total: EUR 120.00'
+];
+
+const money = (amount, currency = null) => ({ amount, currency });
+const field = (value) => ({ value, text: String(value), confidence: 1, boundingBox: null });
+
+const reviewDocument = (overrides = {}) => ({
+    documentType: 'invoice',
+    fields: {
+        invoiceId: field('INV-1'),
+        totalAmount: field(money(30, 'EUR'))
+    },
+    lineItems: [
+        { description: field('first'), amount: field(money(10, 'EUR')) },
+        { description: field('second'), amount: field(money(10, 'EUR')) },
+        { description: field('third'), amount: field(money(10, 'EUR')) }
+    ],
+    corrections: [],
+    markModified: () => {},
+    ...overrides
+});
+
+test('local provider reads a Flate-compressed PDF into a typed, valid invoice', async () => {
+    const result = await processDocumentLocally(buildPdf(INVOICE_LINES), 'invoice.pdf', 'application/pdf');
+    assert.equal(result.rawText, INVOICE_LINES.join('\n'));
+    assert.equal(result.processorVersion, 'local-1.0.0');
+
+    const typed = extractTypedDocument(result.entities);
+    assert.equal(typed.documentType, 'invoice');
+    assert.equal(typed.fields.invoiceId.value, 'INV-1001');
+    assert.equal(typed.fields.invoiceDate.value, '2024-03-05');
+    assert.equal(typed.fields.dueDate.value, '2024-04-04');
+    assert.deepEqual(typed.fields.netAmount.value, money(100));
+    assert.deepEqual(typed.fields.taxAmount.value, money(20));
+    assert.deepEqual(typed.fields.totalAmount.value, money(120, 'EUR'));
+    assert.deepEqual(typed.validationErrors, []);
+});
+
+test('local provider is deterministic', async () => {
+    const pdf = buildPdf(INVOICE_LINES);
+    const [first, second] = await Promise.all([
+        processDocumentLocally(pdf, 'a.pdf', 'application/pdf'),
+        processDocumentLocally(Buffer.from(pdf), 'b.pdf', 'application/octet-stream')
+    ]);
+    assert.deepEqual(first, second);
+});
+
+test('local provider reads plain text and returns nothing for images', async () => {
+    const text = await processDocumentLocally(Buffer.from('Invoice #: A-778\nTotal: 12.50'), 'note.txt');
+    assert.equal(text.parsedData.invoice_id, 'A-778');
+    assert.equal(text.parsedData.total_amount, '12.50');
+
+    const image = await processDocumentLocally(Buffer.from([0xff, 0xd8, 0xff]), 'scan.jpg', 'image/jpeg');
+    assert.deepEqual(image.entities, []);
+    assert.equal(image.confidence, 0);
+});
+
+test('local provider prefers a fixture named after the input hash', async () => {
+    const input = Buffer.from('scanned receipt');
+    const hash = crypto.createHash('sha256').update(input).digest('hex');
+    fs.writeFileSync(path.join(fixturesDir, `${hash}.json`), JSON.stringify({
+        text: 'fixture text',
+        entities: [{ type: 'total_amount', mentionText: '9.99' }]
+    }));
+
+    const result = await processDocumentLocally(input, 'receipt.jpg', 'image/jpeg');
+    assert.equal(result.rawText, 'fixture text');
+    assert.equal(result.parsedData.total_amount, '9.99');
+    assert.equal(result.entities[0].confidence, null);
+    assert.equal(result.processorVersion, `local-1.0.0+fixture:${hash.slice(0, 12)}`);
+});
+
+test('local provider caps inflated PDF streams', async () => {
+    const bomb = zlib.deflateSync(Buffer.alloc(64 * 1024 * 1024, 0x20));
+    const pdf = Buffer.concat([
+        Buffer.from(`%PDF-1.4\n<< /Length ${bomb.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        bomb,
+        Buffer.from('\nendstream\n', 'latin1')
+    ]);
+    const result = await processDocumentLocally(pdf, 'bomb.pdf', 'application/pdf');
+    assert.equal(result.rawText, '');
+});
+
+test('normalizeDate', async (t) => {
+    const cases = {
+        '05/03/2024': '2024-03-05',
+        '5.3.24': '2024-03-05',
+        '2024-03-05': '2024-03-05',
+        '29/02/2024': '2024-02-29',
+        '5 March 2024': '2024-03-05',
+        'March 5, 2024': '2024-03-05',
+        '1st Jan 2023': '2023-01-01',
+        '31/02/2024': null,
+        '31.04.24': null,
+        '29/02/2023': null,
+        '13/13/2024': null,
+        'not a date': null
+    };
+    for (const [text, expected] of Object.entries(cases)) {
+        await t.test(text, () => assert.equal(normalizeDate({ mentionText: text }), expected));
+    }
+
+    await t.test('uses the processor value when it has one', () => {
+        assert.equal(normalizeDate({ mentionText: 'garbled', normalizedValue: { dateValue: { year: 2024, month: 7, day: 9 } } }), '2024-07-09');
+    });
+});
+
+test('parseAmount', async (t) => {
+    const cases = {
+        '1.234,56': 1234.56,
+        '1,234.56': 1234.56,
+        '1234.56': 1234.56,
+        '€ 99': 99,
+        '1.234': 1234,
+        '-12.50': -12.5,
+        'EUR': null,
+        '': null
+    };
+    for (const [text, expected] of Object.entries(cases)) {
+        await t.test(text || '(empty)', () => assert.equal(parseAmount(text), expected));
+    }
+});
+
+test('validateTypedDocument', async (t) => {
+    await t.test('flags missing required fields and unreadable values', () => {
+        const errors = validateTypedDocument('invoice', { invoiceDate: { value: null, text: '31/02/2024' } }, []);
+        assert.deepEqual(errors.map(error => `${error.field}:${error.code}`).sort(), [
+            'invoiceDate:unparseable',
+            'invoiceId:required',
+            'totalAmount:required'
+        ]);
+    });
+
+    await t.test('checks net + tax against the total', () => {
+        const fields = {
+            invoiceId: field('INV-1'),
+            netAmount: field(money(100)),
+            taxAmount: field(money(20)),
+            totalAmount: field(money(125))
+        };
+        assert.deepEqual(validateTypedDocument('invoice', fields, []).map(error => error.code), ['total_mismatch']);
+    });
+
+    await t.test('checks line items against the net amount and their own quantity x price', () => {
+        const fields = { invoiceId: field('INV-1'), netAmount: field(money(50)), totalAmount: field(money(50)) };
+        const lineItems = [
+            { quantity: field(2), unitPrice: field(money(10)), amount: field(money(20)) },
+            { quantity: field(3), unitPrice: field(money(10)), amount: field(money(20)) }
+        ];
+        assert.deepEqual(validateTypedDocument('invoice', fields, lineItems).map(error => `${error.field}:${error.code}`), [
+            'lineItems:line_items_mismatch',
+            'lineItems.1:line_item_mismatch'
+        ]);
+    });
+
+    await t.test('checks that the due date is not before the invoice date', () => {
+        const fields = {
+            invoiceId: field('INV-1'),
+            totalAmount: field(money(1)),
+            invoiceDate: field('2024-03-05'),
+            dueDate: field('2024-03-01')
+        };
+        assert.deepEqual(validateTypedDocument('invoice', fields, []).map(error => error.code), ['date_order']);
+    });
+});
+
+test('applyDocumentCorrections', async (t) => {
+    await t.test('normalizes field edits and records them', () => {
+        const document = reviewDocument();
+        const corrections = applyDocumentCorrections(document, {
+            fieldEdits: { invoiceDate: '2024-02-29', supplierTaxId: 'gb 123.456-789', totalAmount: '30' }
+        }, 'reviewer@example.com');
+
+        assert.equal(document.fields.invoiceDate.value, '2024-02-29');
+        assert.equal(document.fields.invoiceDate.corrected, true);
+        assert.equal(document.fields.supplierTaxId.value, 'GB123456789');
+        assert.deepEqual(document.fields.totalAmount.value, money(30, 'EUR'));
+        assert.deepEqual(corrections.map(correction => correction.field), ['fields.invoiceDate', 'fields.supplierTaxId', 'fields.totalAmount']);
+        assert.equal(document.corrections.length, 3);
+        assert.equal(document.corrections[0].by, 'reviewer@example.com');
+    });
+
+    await t.test('rejects dates that do not exist', () => {
+        assert.throws(() => applyDocumentCorrections(reviewDocument(), { fieldEdits: { invoiceDate: '2024-02-31' } }, 'r'), /YYYY-MM-DD/);
+        assert.throws(() => applyDocumentCorrections(reviewDocument(), { fieldEdits: { invoiceDate: '05/03/2024' } }, 'r'), /YYYY-MM-DD/);
+    });
+
+    await t.test('resolves every index against the line items as they were', () => {
+        const document = reviewDocument();
+        const corrections = applyDocumentCorrections(document, {
+            lineItemEdits: [
+                { index: 0, remove: true },
+                { index: 2, field: 'description', value: 'third, edited' },
+                { index: 1, remove: true }
+            ]
+        }, 'r');
+
+        assert.deepEqual(document.lineItems.map(item => item.description.value), ['third, edited']);
+        assert.deepEqual(corrections.map(correction => correction.field), ['lineItems.0', 'lineItems.2.description', 'lineItems.1']);
+        assert.equal(corrections[2].oldValue.description.value, 'second');
+    });
+
+    await t.test('rejects out-of-range indexes and unknown fields', () => {
+        assert.throws(() => applyDocumentCorrections(reviewDocument(), { lineItemEdits: [{ index: 3, remove: true }] }, 'r'), /Invalid line item index/);
+        assert.throws(() => applyDocumentCorrections(reviewDocument(), { lineItemEdits: [{ index: 0, field: 'colour', value: 'red' }] }, 'r'), /Unknown line item field/);
+        assert.throws(() => applyDocumentCorrections(reviewDocument(), { fieldEdits: { colour: 'red' } }, 'r'), /Unknown field/);
+    });
+
+    await t.test('revalidates after the edits', () => {
+        const document = reviewDocument();
+        applyDocumentCorrections(document, { lineItemEdits: [{ index: 0, remove: true }] }, 'r');
+        assert.deepEqual(document.validationErrors.map(error => error.code), ['line_items_mismatch']);
+    });
+});
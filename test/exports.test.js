@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { neutralizeFormula, csvValue } = require('../index');
+
+test('neutralizeFormula', async (t) => {
+    for (const text of ['=SUM(A1:A2)', '+1', '-1+1', '@cmd', '\t=1', '\r=1']) {
+        await t.test(JSON.stringify(text), () => assert.equal(neutralizeFormula(text), `'${text}`));
+    }
+    for (const text of ['Invoice 1', '', ' =1', "'=1"]) {
+        await t.test(`${JSON.stringify(text)} is left alone`, () => assert.equal(neutralizeFormula(text), text));
+    }
+});
+
+test('csvValue', async (t) => {
+    await t.test('leaves numbers, including negative ones, as numbers', () => {
+        assert.equal(csvValue(-12.5), '-12.5');
+        assert.equal(csvValue(0), '0');
+    });
+
+    await t.test('neutralizes strings that look like formulas', () => {
+        assert.equal(csvValue('=HYPERLINK("http://example.com")'), `"'=HYPERLINK(""http://example.com"")"`);
+        assert.equal(csvValue('-12.5'), "'-12.5");
+    });
+
+    await t.test('quotes separators, quotes and line breaks', () => {
+        assert.equal(csvValue('a,b'), '"a,b"');
+        assert.equal(csvValue('say "hi"'), '"say ""hi"""');
+        assert.equal(csvValue('two\nlines'), '"two\nlines"');
+    });
+
+    await t.test('writes dates as ISO strings and objects as JSON', () => {
+        assert.equal(csvValue(new Date('2024-03-05T10:00:00Z')), '2024-03-05T10:00:00.000Z');
+        assert.equal(csvValue({ amount: 1 }), '"{""amount"":1}"');
+    });
+
+    await t.test('writes nothing for missing values', () => {
+        assert.equal(csvValue(null), '');
+        assert.equal(csvValue(undefined), '');
+    });
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { globMatches } = require('../index');
+
+test('globMatches', async (t) => {
+    const cases = [
+        ['*.pdf', 'Invoice.PDF', true],
+        ['invoice*', 'invoice-42.pdf', true],
+        ['invoice*', 'my invoice.pdf', false],
+        ['*invoice*', 'my invoice.pdf', true],
+        ['inv?ice.pdf', 'invoice.pdf', true],
+        ['inv?ice.pdf', 'invice.pdf', false],
+        ['ACME *', 'acme suppliers', true],
+        ['a*b*c', 'axxbyyc', true],
+        ['a*b*c', 'axxbyy', false],
+        ['(a+)+$', 'aaaa', false],
+        ['*', '', true],
+        ['', '', true],
+        ['', 'x', false]
+    ];
+    for (const [pattern, text, expected] of cases) {
+        await t.test(`${JSON.stringify(pattern)} ~ ${JSON.stringify(text)}`, () => assert.equal(globMatches(pattern, text), expected));
+    }
+
+    await t.test('stays fast on adversarial input', () => {
+        const started = Date.now();
+        assert.equal(globMatches(`${'*a'.repeat(100)}b`, 'a'.repeat(20000)), false);
+        assert.ok(Date.now() - started < 1000);
+    });
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const { isValidStorageKey, createStorage } = require('../storage');
+
+test('isValidStorageKey', async (t) => {
+    for (const key of ['media/abc.jpg', 'documents/2024/03/file-1_a.pdf', 'a', 'x.meta.json']) {
+        await t.test(`${key} is valid`, () => assert.equal(isValidStorageKey(key), true));
+    }
+    const invalid = ['', '/etc/passwd', '../secret', 'media/../secret', 'media//x', 'media/./x', 'media/', '.meta/x', 'a b', 'ä', 'x'.repeat(513), null, 42];
+    for (const key of invalid) {
+        await t.test(`${JSON.stringify(key)} is invalid`, () => assert.equal(isValidStorageKey(key), false));
+    }
+});
+
+test('local storage round trip', async (t) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const storage = createStorage({ STORAGE_BACKEND: 'local', STORAGE_LOCAL_DIR: root }, {
+        appUrl: (key, expiresIn) => ({ url: `/app/${key}`, expiresAt: new Date(Date.now() + expiresIn * 1000) })
+    });
+
+    await storage.put('media/a', Buffer.from('hello world'), { contentType: 'text/plain', fileName: 'résumé.txt' });
+    await storage.put('media/a.meta.json', Readable.from([Buffer.from('{}')]), { contentType: 'application/json' });
+
+    assert.deepEqual(await storage.head('media/a'), {
+        contentType: 'text/plain',
+        fileName: 'résumé.txt',
+        size: 11,
+        etag: '"5eb63bbbe01eeed093cb22bb8f5acdc3"'
+    });
+    assert.equal((await storage.head('media/a.meta.json')).size, 2);
+
+    const chunks = [];
+    for await (const chunk of storage.createReadStream('media/a', { start: 6, end: 10 })) chunks.push(chunk);
+    assert.equal(Buffer.concat(chunks).toString(), 'world');
+
+    assert.equal((await storage.signedUrl('media/a')).url, '/app/media/a');
+    assert.throws(() => storage.createReadStream('../outside'), { status: 400 });
+
+    await storage.delete('media/a');
+    assert.equal(await storage.head('media/a'), null);
+    assert.notEqual(await storage.head('media/a.meta.json'), null);
+});
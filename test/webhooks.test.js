@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+
+const { webhookUrlError } = require('../index');
+
+test('webhookUrlError', async (t) => {
+    const privateUrls = [
+        'http://localhost/hook',
+        'http://api.localhost/hook',
+        'http://127.0.0.1:8000/hook',
+        'http://10.1.2.3/hook',
+        'http://172.16.0.1/hook',
+        'http://192.168.1.10/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://0.0.0.0/hook',
+        'http://[::1]/hook',
+        'http://[fd00::1]/hook',
+        'http://[fe80::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook'
+    ];
+    for (const url of privateUrls) {
+        await t.test(`${url} is refused`, () => assert.match(webhookUrlError(new URL(url)), /private address/));
+    }
+
+    for (const url of ['https://example.com/hook', 'http://8.8.8.8/hook', 'https://[2606:4700::1111]/hook']) {
+        await t.test(`${url} is allowed`, () => assert.equal(webhookUrlError(new URL(url)), null));
+    }
+});